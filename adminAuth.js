@@ -0,0 +1,125 @@
+// Admin authentication for Chessville
+// Admins sign in with a username and password and get a session cookie, which every
+// config change requires. Credentials come from the environment or a local file:
+//   ADMIN_PASSWORD (and optionally ADMIN_USERNAME, default "admin") for a single admin
+//   ADMIN_CREDENTIALS_FILE - a JSON list of admins: [{ "username": "...", "password": "..." }]
+// With no credentials at all, nobody can sign in and the config can't be changed.
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const SESSION_COOKIE = 'chessville_admin';
+
+// Load the admin credentials, preferring the environment over the file
+// Returns a list of { username, password }, empty if none are set
+function loadCredentials({ env = process.env, file } = {}) {
+  if (env.ADMIN_PASSWORD) {
+    return [{ username: env.ADMIN_USERNAME || 'admin', password: env.ADMIN_PASSWORD }];
+  }
+  
+  if (file && fs.existsSync(file)) {
+    const admins = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(admins)) {
+      throw new Error(`${file} must contain a list of admins`);
+    }
+    return admins.filter(admin => admin && admin.username && admin.password);
+  }
+  
+  return [];
+}
+
+// Compare two strings without leaking where they differ through timing
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+// Read the admin session token from a request's cookies
+function readSessionToken(req) {
+  const cookies = req.headers.cookie || '';
+  for (const cookie of cookies.split(';')) {
+    const [name, ...value] = cookie.trim().split('=');
+    if (name === SESSION_COOKIE) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+  return null;
+}
+
+// Create the session store for the given admins
+// Sessions live in memory, so everyone has to sign in again after a restart
+function createAdminAuth({ credentials = [], sessionTtl = 8 * 60 * 60 * 1000 } = {}) {
+  // A Map, so a cookie naming an Object.prototype key can never look like a session
+  const sessions = new Map();
+  
+  function pruneSessions() {
+    const now = Date.now();
+    sessions.forEach((session, token) => {
+      if (session.expiresAt <= now) {
+        sessions.delete(token);
+      }
+    });
+  }
+  
+  return {
+    sessionTtl,
+    
+    // Whether any admin can sign in at all
+    isEnabled() {
+      return credentials.length > 0;
+    },
+    
+    // Check a username and password, returning a new session token or null
+    login(username, password) {
+      // Check every admin so the time taken doesn't reveal which usernames exist
+      let admin = null;
+      credentials.forEach(candidate => {
+        const usernameMatches = safeEqual(candidate.username, username);
+        const passwordMatches = safeEqual(candidate.password, password);
+        if (usernameMatches && passwordMatches) {
+          admin = candidate;
+        }
+      });
+      
+      if (!admin) {
+        return null;
+      }
+      
+      pruneSessions();
+      const token = crypto.randomBytes(24).toString('hex');
+      sessions.set(token, {
+        username: admin.username,
+        expiresAt: Date.now() + sessionTtl
+      });
+      return token;
+    },
+    
+    // End a session
+    logout(token) {
+      sessions.delete(token);
+    },
+    
+    // Look up a live session, returning { username, expiresAt } or null
+    getSession(token) {
+      const session = token ? sessions.get(token) : null;
+      if (!session) {
+        return null;
+      }
+      
+      if (session.expiresAt <= Date.now()) {
+        sessions.delete(token);
+        return null;
+      }
+      
+      return { username: session.username, expiresAt: session.expiresAt };
+    }
+  };
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  loadCredentials,
+  readSessionToken,
+  createAdminAuth
+};
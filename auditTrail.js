@@ -0,0 +1,114 @@
+// Audit trail for Chessville
+// Records every admin config change with who made it and what it changed, so
+// balance changes can be reviewed after the fact. The config version history is kept
+// with the same adapters. Every adapter has the same interface:
+//   record(entry)  - stores the entry with a timestamp, returning the stored entry
+//   list(limit)    - resolves to the most recent entries, newest first
+
+const fs = require('fs');
+const path = require('path');
+const { createWriteQueue } = require('./writeQueue');
+
+// In-memory audit trail - nothing survives a restart, but useful for development
+function createMemoryAuditTrail() {
+  const entries = [];
+  
+  return {
+    record(entry) {
+      const stored = Object.assign({ timestamp: Date.now() }, entry);
+      entries.push(stored);
+      return stored;
+    },
+    list(limit = 50) {
+      return Promise.resolve(entries.slice(-limit).reverse());
+    }
+  };
+}
+
+// File-backed audit trail - one JSON entry per line, only ever appended to
+// Entries are written in the background, in order; onError(error) is called if a write fails
+function createFileAuditTrail(file, { onError } = {}) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const queue = createWriteQueue({ onError });
+  
+  // A crash during an append can leave the last line cut short - end it, so the next entry starts on its own line
+  queue.push(async () => {
+    let handle;
+    try {
+      handle = await fs.promises.open(file, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+    
+    try {
+      const { size } = await handle.stat();
+      const last = Buffer.alloc(1);
+      if (size > 0 && (await handle.read(last, 0, 1, size - 1)).bytesRead === 1 && last[0] !== 0x0a) {
+        await fs.promises.appendFile(file, '\n');
+      }
+    } finally {
+      await handle.close();
+    }
+  });
+  
+  return {
+    record(entry) {
+      const stored = Object.assign({ timestamp: Date.now() }, entry);
+      const line = JSON.stringify(stored) + '\n';
+      queue.push(() => fs.promises.appendFile(file, line));
+      return stored;
+    },
+    list(limit = 50) {
+      // Queued behind the writes, so entries recorded just before are included
+      return queue.run(async () => {
+        let text;
+        try {
+          text = await fs.promises.readFile(file, 'utf8');
+        } catch (error) {
+          if (error.code === 'ENOENT') {
+            return [];
+          }
+          throw error;
+        }
+        
+        const entries = [];
+        text.split('\n').forEach(line => {
+          if (line.trim() === '') {
+            return;
+          }
+          try {
+            entries.push(JSON.parse(line));
+          } catch (error) {
+            // Skip a line cut short by a crash
+          }
+        });
+        
+        return entries.slice(-limit).reverse();
+      });
+    }
+  };
+}
+
+// Create the audit trail named by options.type ('file' or 'memory')
+function createAuditTrail(options = {}) {
+  const type = options.type || 'file';
+  
+  if (type === 'memory') {
+    return createMemoryAuditTrail();
+  }
+  
+  if (type === 'file') {
+    return createFileAuditTrail(options.file, { onError: options.onError });
+  }
+  
+  throw new Error(`Unknown audit trail type: ${type}`);
+}
+
+module.exports = {
+  createMemoryAuditTrail,
+  createFileAuditTrail,
+  createAuditTrail
+};
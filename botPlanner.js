@@ -0,0 +1,32 @@
+// Computer opponent planner for Chessville
+// Plans the computer's turns on a worker thread, so a hard bot searching for its move never
+// holds up the other rooms. Turns are planned one at a time, in the order they were asked for.
+//   planTurn(state, config, difficulty) - resolves to the turn's actions, from BotPlayer.planTurn()
+//   close()                             - stops the worker
+
+const { isMainThread } = require('worker_threads');
+const WorkerThread = require('./workerThread');
+const BotPlayer = require('./js/modules/bot-player');
+
+// Worker side - plan each turn it is sent and send back the actions
+if (!isMainThread) {
+  WorkerThread.serveTasks(({ state, config, difficulty }) => BotPlayer.planTurn(state, config, difficulty));
+}
+
+// Create a planner, with onError(error) called if the worker crashes
+function createBotPlanner({ onError } = {}) {
+  const worker = WorkerThread.createWorkerClient(__filename, { name: 'Computer opponent', onError });
+  
+  return {
+    planTurn(state, config, difficulty) {
+      return worker.run({ state, config, difficulty });
+    },
+    close() {
+      return worker.close();
+    }
+  };
+}
+
+module.exports = {
+  createBotPlanner
+};
@@ -0,0 +1,467 @@
+// Balance experiments for Chessville
+// An experiment tries two or more config variants on real games before one is rolled out.
+// While it runs, each new room is assigned a variant by the traffic split and plays the whole
+// game under that variant's rules. Every finished game's outcome is recorded against its
+// variant, so the variants can be compared.
+// Only one experiment runs at a time, so a room is never in two.
+// Every storage adapter has the same interface:
+//   loadExperiments()            - every saved experiment, oldest first (only called at startup)
+//   saveExperiment(experiment)   - stores an experiment, replacing any with the same ID
+//   recordEntry(entry)           - appends a room assignment or a finished game
+//   listEntries(experimentId)    - resolves to every entry recorded for an experiment, oldest first
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createWriteQueue } = require('./writeQueue');
+const gameConfig = require('./gameConfig');
+const ConfigSchema = require('./js/modules/config-schema');
+
+const ERROR_CODES = ConfigSchema.ERROR_CODES;
+
+// How many variants an experiment can have
+const MIN_VARIANTS = 2;
+const MAX_VARIANTS = 6;
+
+// Variant IDs appear in reports and logs, so keep them short and readable
+const VARIANT_ID_PATTERN = /^[a-z0-9-]{1,30}$/;
+
+// Stored experiments are plain JSON, so a copy is a JSON round trip
+function snapshot(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+// In-memory storage - nothing survives a restart, but useful for development
+function createMemoryStorage() {
+  const experiments = [];
+  const entries = [];
+  
+  return {
+    loadExperiments() {
+      return snapshot(experiments);
+    },
+    saveExperiment(experiment) {
+      const index = experiments.findIndex(e => e.id === experiment.id);
+      if (index === -1) {
+        experiments.push(snapshot(experiment));
+      } else {
+        experiments[index] = snapshot(experiment);
+      }
+    },
+    recordEntry(entry) {
+      entries.push(snapshot(entry));
+    },
+    listEntries(experimentId) {
+      return Promise.resolve(entries.filter(entry => entry.experimentId === experimentId).map(snapshot));
+    }
+  };
+}
+
+// File-backed storage - the experiments in one JSON file, and the assignments and results
+// in a log beside it with one JSON entry per line, only ever appended to
+// Writes happen in the background, in order; onError(error) is called if one fails
+function createFileStorage(directory, { onError } = {}) {
+  const experimentsFile = path.join(directory, 'experiments.json');
+  const entriesFile = path.join(directory, 'results.log');
+  fs.mkdirSync(directory, { recursive: true });
+  const queue = createWriteQueue({ onError });
+  
+  // The saved experiments, read once at startup - every later save goes through this copy
+  const experiments = fs.existsSync(experimentsFile) ? JSON.parse(fs.readFileSync(experimentsFile, 'utf8')) : [];
+  
+  return {
+    loadExperiments() {
+      return snapshot(experiments);
+    },
+    saveExperiment(experiment) {
+      const index = experiments.findIndex(e => e.id === experiment.id);
+      if (index === -1) {
+        experiments.push(snapshot(experiment));
+      } else {
+        experiments[index] = snapshot(experiment);
+      }
+      
+      // Write to a temporary file first so a crash mid-write never loses the experiments
+      const json = JSON.stringify(experiments, null, 2);
+      const tempFile = `${experimentsFile}.tmp`;
+      queue.push(async () => {
+        await fs.promises.writeFile(tempFile, json);
+        await fs.promises.rename(tempFile, experimentsFile);
+      });
+    },
+    recordEntry(entry) {
+      const line = JSON.stringify(entry) + '\n';
+      queue.push(() => fs.promises.appendFile(entriesFile, line));
+    },
+    listEntries(experimentId) {
+      // Queued behind the writes, so entries recorded just before are included
+      return queue.run(async () => {
+        let text;
+        try {
+          text = await fs.promises.readFile(entriesFile, 'utf8');
+        } catch (error) {
+          if (error.code === 'ENOENT') {
+            return [];
+          }
+          throw error;
+        }
+        
+        const entries = [];
+        text.split('\n').forEach(line => {
+          if (line.trim() === '') {
+            return;
+          }
+          try {
+            entries.push(JSON.parse(line));
+          } catch (error) {
+            // Skip a line cut short by a crash
+          }
+        });
+        
+        return entries.filter(entry => entry.experimentId === experimentId);
+      });
+    }
+  };
+}
+
+// Create the storage adapter named by options.type ('file' or 'memory')
+function createStorage(options) {
+  const type = options.type || 'file';
+  
+  if (type === 'memory') {
+    return createMemoryStorage();
+  }
+  
+  if (type === 'file') {
+    return createFileStorage(options.directory, { onError: options.onError });
+  }
+  
+  throw new Error(`Unknown experiment storage type: ${type}`);
+}
+
+// Check an experiment definition from the admin panel
+// Returns { valid, errors } with errors in the same { field, code, message } shape as config errors.
+// Each variant's settings are checked against every ruleset the experiment can apply to
+function validateDefinition(definition) {
+  const errors = [];
+  const addError = (field, code, message) => errors.push({ field: field, code: code, message: message });
+  
+  if (typeof definition !== 'object' || definition === null || Array.isArray(definition)) {
+    addError('', ERROR_CODES.INVALID_TYPE, 'The experiment must be an object');
+    return { valid: false, errors: errors };
+  }
+  
+  if (typeof definition.name !== 'string' || definition.name.trim() === '') {
+    addError('name', ERROR_CODES.MISSING_FIELD, 'Give the experiment a name');
+  } else if (definition.name.length > 60) {
+    addError('name', ERROR_CODES.OUT_OF_RANGE, 'Must be at most 60 characters long');
+  }
+  
+  if (definition.description !== undefined && (typeof definition.description !== 'string' || definition.description.length > 500)) {
+    addError('description', ERROR_CODES.INVALID_TYPE, 'Must be text of at most 500 characters');
+  }
+  
+  const presetIds = gameConfig.getRulesetPresets().map(preset => preset.id);
+  if (definition.ruleset !== undefined && definition.ruleset !== null && !presetIds.includes(definition.ruleset)) {
+    addError('ruleset', ERROR_CODES.INVALID_VALUE, `Must be one of ${presetIds.join(', ')}, or left out for every ruleset`);
+  }
+  
+  const variants = definition.variants;
+  if (!Array.isArray(variants) || variants.length < MIN_VARIANTS || variants.length > MAX_VARIANTS) {
+    addError('variants', ERROR_CODES.OUT_OF_RANGE, `Must be a list of ${MIN_VARIANTS} to ${MAX_VARIANTS} variants`);
+    return { valid: false, errors: errors };
+  }
+  
+  const presets = presetIds.includes(definition.ruleset) ? [definition.ruleset] : presetIds;
+  const seenIds = [];
+  let totalWeight = 0;
+  
+  variants.forEach((variant, index) => {
+    const field = `variants.${index}`;
+    if (typeof variant !== 'object' || variant === null || Array.isArray(variant)) {
+      addError(field, ERROR_CODES.INVALID_TYPE, 'Each variant must be an object');
+      return;
+    }
+    
+    if (typeof variant.id !== 'string' || !VARIANT_ID_PATTERN.test(variant.id)) {
+      addError(`${field}.id`, ERROR_CODES.INVALID_VALUE, 'Must be 1 to 30 lowercase letters, digits or dashes');
+    } else if (seenIds.includes(variant.id)) {
+      addError(`${field}.id`, ERROR_CODES.INVALID_VALUE, `Variant ${variant.id} is listed twice`);
+    } else {
+      seenIds.push(variant.id);
+    }
+    
+    if (variant.name !== undefined && (typeof variant.name !== 'string' || variant.name.length > 60)) {
+      addError(`${field}.name`, ERROR_CODES.INVALID_TYPE, 'Must be text of at most 60 characters');
+    }
+    
+    if (!Number.isInteger(variant.weight) || variant.weight < 1 || variant.weight > 100) {
+      addError(`${field}.weight`, ERROR_CODES.OUT_OF_RANGE, 'Must be a whole percentage between 1 and 100');
+    } else {
+      totalWeight += variant.weight;
+    }
+    
+    // An error the settings have with every ruleset is reported once, others name their rulesets
+    const settingsErrors = [];
+    presets.forEach(presetId => {
+      const result = gameConfig.getVariantRuleset(presetId, variant.settings === undefined ? {} : variant.settings);
+      result.errors.forEach(error => {
+        const known = settingsErrors.find(e => e.field === error.field && e.message === error.message);
+        if (known) {
+          known.presets.push(presetId);
+        } else {
+          settingsErrors.push(Object.assign({ presets: [presetId] }, error));
+        }
+      });
+    });
+    settingsErrors.forEach(error => {
+      const where = error.presets.length < presets.length ? ` (with the ${error.presets.join(', ')} ruleset)` : '';
+      addError(`${field}.settings${error.field ? '.' + error.field : ''}`, error.code, error.message + where);
+    });
+  });
+  
+  if (errors.length === 0 && totalWeight !== 100) {
+    addError('variants', ERROR_CODES.CONSTRAINT, `The traffic split must add up to 100%, got ${totalWeight}%`);
+  }
+  
+  return { valid: errors.length === 0, errors: errors };
+}
+
+// Pick a room's variant from the traffic split
+// Hashing the room ID makes the choice repeatable, so a room always gets the same variant
+function pickVariant(experiment, roomId) {
+  const hash = crypto.createHash('sha256').update(`${experiment.id}:${roomId}`).digest();
+  const point = hash.readUInt32BE(0) % 100;
+  
+  let cumulative = 0;
+  for (const variant of experiment.variants) {
+    cumulative += variant.weight;
+    if (point < cumulative) {
+      return variant;
+    }
+  }
+  
+  return experiment.variants[experiment.variants.length - 1];
+}
+
+// Turn a count into a share of a total, rounded for reading
+function share(value, total) {
+  return total > 0 ? Math.round((value / total) * 10000) / 10000 : 0;
+}
+
+// Average a list of numbers, rounded for reading
+function average(values) {
+  return values.length > 0 ? Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 100) / 100 : 0;
+}
+
+// Summarize one variant's games
+// Games against the computer opponent are counted but left out of the outcome figures
+function summarizeVariant(variant, entries) {
+  const assigned = entries.filter(entry => entry.type === 'assigned').length;
+  const finished = entries.filter(entry => entry.type === 'finished');
+  const games = finished.filter(entry => !entry.vsComputer);
+  
+  const winners = {};
+  ['white', 'black', 'none'].forEach(winner => {
+    const count = games.filter(game => (game.winner || 'none') === winner).length;
+    winners[winner] = { games: count, rate: share(count, games.length) };
+  });
+  
+  const victoryTypes = {};
+  games.forEach(game => {
+    victoryTypes[game.reason] = victoryTypes[game.reason] || { games: 0, rate: 0 };
+    victoryTypes[game.reason].games++;
+  });
+  Object.values(victoryTypes).forEach(type => {
+    type.rate = share(type.games, games.length);
+  });
+  
+  return {
+    id: variant.id,
+    name: variant.name || variant.id,
+    weight: variant.weight,
+    settings: variant.settings || {},
+    assigned: assigned,
+    finished: games.length,
+    vsComputer: finished.length - games.length,
+    completionRate: share(finished.length, assigned),
+    winners: winners,
+    victoryTypes: victoryTypes,
+    averageMoves: average(games.map(game => game.moves)),
+    averageDurationMs: Math.round(average(games.map(game => game.durationMs)))
+  };
+}
+
+// Compare a variant with the control (the first variant): the difference in each figure
+function compareWithControl(variant, control) {
+  const reasons = Array.from(new Set(Object.keys(variant.victoryTypes).concat(Object.keys(control.victoryTypes))));
+  const victoryTypes = {};
+  reasons.forEach(reason => {
+    const rate = variant.victoryTypes[reason] ? variant.victoryTypes[reason].rate : 0;
+    const controlRate = control.victoryTypes[reason] ? control.victoryTypes[reason].rate : 0;
+    victoryTypes[reason] = Math.round((rate - controlRate) * 10000) / 10000;
+  });
+  
+  return {
+    whiteWinRate: Math.round((variant.winners.white.rate - control.winners.white.rate) * 10000) / 10000,
+    completionRate: Math.round((variant.completionRate - control.completionRate) * 10000) / 10000,
+    averageMoves: Math.round((variant.averageMoves - control.averageMoves) * 100) / 100,
+    averageDurationMs: variant.averageDurationMs - control.averageDurationMs,
+    victoryTypes: victoryTypes
+  };
+}
+
+// Create the experiments manager, with storage named by options.type ('file' or 'memory')
+// options.onError(error) is called if saving an experiment or an entry fails
+function createExperiments(options = {}) {
+  const storage = createStorage(options);
+  const experiments = storage.loadExperiments();
+  
+  function find(id) {
+    return experiments.find(experiment => experiment.id === id) || null;
+  }
+  
+  function getRunning() {
+    return experiments.find(experiment => experiment.status === 'running') || null;
+  }
+  
+  return {
+    // Every experiment, newest first
+    list() {
+      return snapshot(experiments).reverse();
+    },
+    
+    get(id) {
+      const experiment = find(id);
+      return experiment ? snapshot(experiment) : null;
+    },
+    
+    getRunning() {
+      const experiment = getRunning();
+      return experiment ? snapshot(experiment) : null;
+    },
+    
+    // Start a new experiment
+    // Returns { valid: false, errors }, { valid: false, code: 'EXPERIMENT_RUNNING' } or { valid: true, experiment }
+    start(definition, admin) {
+      const result = validateDefinition(definition);
+      if (!result.valid) {
+        return result;
+      }
+      
+      const running = getRunning();
+      if (running) {
+        return {
+          valid: false,
+          code: 'EXPERIMENT_RUNNING',
+          message: `Stop the running experiment "${running.name}" before starting another`,
+          errors: []
+        };
+      }
+      
+      const experiment = {
+        id: `exp-${crypto.randomBytes(4).toString('hex')}`,
+        name: definition.name.trim(),
+        description: definition.description || '',
+        ruleset: definition.ruleset || null,
+        variants: definition.variants.map(variant => ({
+          id: variant.id,
+          name: variant.name || variant.id,
+          weight: variant.weight,
+          settings: variant.settings || {}
+        })),
+        status: 'running',
+        createdAt: Date.now(),
+        createdBy: admin,
+        stoppedAt: null,
+        stoppedBy: null
+      };
+      
+      storage.saveExperiment(experiment);
+      experiments.push(experiment);
+      return { valid: true, experiment: snapshot(experiment) };
+    },
+    
+    // Stop assigning rooms to an experiment
+    // Rooms already in it keep their variant, and their results are still recorded
+    stop(id, admin) {
+      const experiment = find(id);
+      if (!experiment) {
+        return null;
+      }
+      
+      if (experiment.status === 'running') {
+        experiment.status = 'stopped';
+        experiment.stoppedAt = Date.now();
+        experiment.stoppedBy = admin;
+        storage.saveExperiment(experiment);
+      }
+      
+      return snapshot(experiment);
+    },
+    
+    // Choose the variant for a new room, or null if no running experiment covers its ruleset
+    assign(roomId, rulesetId) {
+      const experiment = getRunning();
+      if (!experiment || (experiment.ruleset && experiment.ruleset !== rulesetId)) {
+        return null;
+      }
+      
+      return {
+        experiment: { id: experiment.id, name: experiment.name },
+        variant: snapshot(pickVariant(experiment, roomId))
+      };
+    },
+    
+    // Record that a room plays under a variant
+    recordAssignment(experimentId, variantId, roomId) {
+      storage.recordEntry({
+        type: 'assigned',
+        experimentId: experimentId,
+        variantId: variantId,
+        roomId: roomId,
+        timestamp: Date.now()
+      });
+    },
+    
+    // Record a finished game: { roomId, winner, reason, moves, durationMs, vsComputer }
+    recordResult(experimentId, variantId, result) {
+      storage.recordEntry(Object.assign({
+        type: 'finished',
+        experimentId: experimentId,
+        variantId: variantId,
+        timestamp: Date.now()
+      }, result));
+    },
+    
+    // Compare an experiment's variants
+    // Resolves to the report, or null if there is no such experiment
+    async getReport(id) {
+      const experiment = find(id);
+      if (!experiment) {
+        return null;
+      }
+      
+      const entries = await storage.listEntries(id);
+      const variants = experiment.variants.map(variant =>
+        summarizeVariant(variant, entries.filter(entry => entry.variantId === variant.id))
+      );
+      variants.slice(1).forEach(variant => {
+        variant.vsControl = compareWithControl(variant, variants[0]);
+      });
+      
+      return {
+        experiment: snapshot(experiment),
+        control: variants[0].id,
+        variants: variants
+      };
+    }
+  };
+}
+
+module.exports = {
+  MIN_VARIANTS,
+  MAX_VARIANTS,
+  validateDefinition,
+  createExperiments
+};
@@ -1,79 +1,41 @@
 // Game configuration file for Chessville
-// This file contains all the configurable game parameters that can be adjusted for balance
-
-const gameConfig = {
-  // Starting resources
-  startingWheat: 25,
-  
-  // Chess piece move costs
-  moveCosts: {
-    p: 5,  // pawn
-    n: 10, // knight
-    b: 8,  // bishop
-    r: 12, // rook
-    q: 15, // queen
-    k: 7   // king
-  },
-  
-  // Farming configuration
-  farming: {
-    // Default plant settings
-    defaultGrowthStages: 3,
-    
-    // Plant types
-    plants: {
-      wheat: { 
-        seedCost: 2,
-        harvestYield: 6,
-        growthTime: 2,
-        emoji: "🌾" 
-      },
-      corn: { 
-        seedCost: 3,
-        harvestYield: 10,
-        growthTime: 3,
-        emoji: "🌽" 
-      },
-      carrot: { 
-        seedCost: 4,
-        harvestYield: 12,
-        growthTime: 3,
-        emoji: "🥕" 
-      },
-      potato: { 
-        seedCost: 5,
-        harvestYield: 15,
-        growthTime: 4,
-        emoji: "🥔" 
-      }
-    },
-    
-    // Farm plot configuration
-    totalFarmPlots: 6,
-    startingUnlockedPlots: 2,
-    
-    // Capture requirements for unlocking plots
-    captureRequirements: [
-      { plot: 2, capturesNeeded: 1 },  // Third plot (index 2) requires 1 capture
-      { plot: 3, capturesNeeded: 3 },  // Fourth plot (index 3) requires 3 captures
-      { plot: 4, capturesNeeded: 6 },  // Fifth plot (index 4) requires 6 captures
-      { plot: 5, capturesNeeded: 10 }  // Sixth plot (index 5) requires 10 captures
-    ]
-  },
-  
-  // Victory conditions
-  wheatVictoryAmount: 200,
-  
-  // Game progression
-  turnsPerGrowthStage: 1,
-  
-  // UI settings
-  notificationDuration: 3000, // milliseconds
-};
+// The default values live in js/modules/game-config.js, which the browser loads as well,
+// so the server, the rules engine and the clients all read the same config shape.
+// This file holds the live copy that the admin panel can adjust for balance.
+
+const defaultConfig = require('./js/modules/game-config');
+const ConfigSchema = require('./js/modules/config-schema');
+const ConfigDiff = require('./js/modules/config-diff');
+const rulesetPresets = require('./rulesetPresets');
+
+// Preset used when a room creator doesn't pick one
+const DEFAULT_RULESET = 'classic';
+
+// Ruleset for a room whose rules don't come from a preset, like one resumed from an edited game record
+const CUSTOM_RULESET = { id: 'custom', name: 'Custom', version: null, configVersion: null };
+
+// Deep copy a config so changes never leak into the defaults
+function cloneConfig(config) {
+  return JSON.parse(JSON.stringify(config));
+}
+
+const gameConfig = cloneConfig(defaultConfig);
 
 // This will be updated when config changes and tracked for change detection
 let configVersion = 1;
 
+// Every version of the config, oldest first, so changes can be compared and undone
+// Saved through the history store once loadHistory() has been called, and only in memory before that
+const configHistory = [{
+  version: configVersion,
+  timestamp: Date.now(),
+  summary: 'Default configuration',
+  config: cloneConfig(gameConfig)
+}];
+
+// Where new versions are saved - an adapter with record(entry) and list(limit), like the audit trail's
+let historyStore = null;
+
 // Function to get the current config
 function getConfig() {
   return {
@@ -82,28 +44,363 @@ function getConfig() {
   };
 }
 
+// Function to check config updates without applying them
+// Returns the config the updates would produce and any field-level errors in it
+function validateUpdate(updates) {
+  if (!isSettingsObject(updates)) {
+    return notSettingsObject();
+  }
+  
+  // Unknown keys are refused before merging, so a key like __proto__ never reaches applyUpdates()
+  const keys = ConfigSchema.validateKeys(updates);
+  if (!keys.valid) {
+    return {
+      valid: false,
+      errors: keys.errors,
+      config: null
+    };
+  }
+  
+  const candidate = cloneConfig(gameConfig);
+  applyUpdates(candidate, updates);
+  
+  return validateLiveCandidate(candidate);
+}
+
+// Function to check a complete replacement config without applying it
+function validateReplacement(config) {
+  if (!isSettingsObject(config)) {
+    return notSettingsObject();
+  }
+  
+  return validateLiveCandidate(cloneConfig(config));
+}
+
 // Function to update config values
+// Invalid updates are rejected as a whole, leaving the config untouched
 function updateConfig(updates) {
+  const result = validateUpdate(updates);
+  if (!result.valid) {
+    return {
+      valid: false,
+      errors: result.errors
+    };
+  }
+  
   // Apply updates to the config
+  const before = cloneConfig(gameConfig);
   applyUpdates(gameConfig, updates);
   
-  // Increment version to track changes
-  configVersion++;
+  // Record a new version to track changes
+  recordVersion('Changed', before);
   
   return {
+    valid: true,
     config: gameConfig,
     version: configVersion
   };
 }
 
+// Function to replace the whole config, which is how settings are removed
+// Invalid configs are rejected, leaving the config untouched
+function replaceConfig(config) {
+  const result = validateReplacement(config);
+  if (!result.valid) {
+    return {
+      valid: false,
+      errors: result.errors
+    };
+  }
+  
+  const before = cloneConfig(gameConfig);
+  replaceContents(result.config);
+  recordVersion('Replaced', before);
+  
+  return {
+    valid: true,
+    config: gameConfig,
+    version: configVersion
+  };
+}
+
+// Function to restore the default values
+function resetConfig() {
+  const before = cloneConfig(gameConfig);
+  replaceContents(cloneConfig(defaultConfig));
+  
+  // A reset is a change too, so clients notice it
+  recordVersion('Reset to defaults', before);
+  
+  return {
+    config: gameConfig,
+    version: configVersion
+  };
+}
+
+// Function to load the version history saved in a store and save every new version to it
+// The store is an adapter with record(entry) and list(limit), like the audit trail's. The newest
+// saved version becomes the live config, so version numbers carry on after a restart instead of
+// starting over - rooms, game records and audit entries all refer to them
+// Resolves to the live version
+async function loadHistory(store) {
+  const saved = (await store.list(Infinity)).reverse();
+  historyStore = store;
+  
+  if (saved.length === 0) {
+    store.record(configHistory[0]);
+    return configVersion;
+  }
+  
+  configHistory.length = 0;
+  configHistory.push(...saved);
+  
+  const latest = saved[saved.length - 1];
+  configVersion = latest.version;
+  if (ConfigSchema.validate(latest.config).valid) {
+    replaceContents(cloneConfig(latest.config));
+  } else {
+    // The saved config no longer fits the schema, e.g. a setting was renamed, so carry on from the defaults
+    recordVersion('Reset to defaults, the saved config no longer fits the schema', latest.config);
+  }
+  
+  return configVersion;
+}
+
+// Function to list every config version, oldest first, without the configs themselves
+function getHistory() {
+  return configHistory.map(entry => ({
+    version: entry.version,
+    timestamp: entry.timestamp,
+    summary: entry.summary
+  }));
+}
+
+// Function to get one config version, or null if there is no such version
+function getVersion(version) {
+  const entry = configHistory.find(e => e.version === version);
+  return entry ? cloneConfig(entry) : null;
+}
+
+// Function to list the settings that differ between two versions, or null if either doesn't exist
+function diffVersions(fromVersion, toVersion) {
+  const from = configHistory.find(e => e.version === fromVersion);
+  const to = configHistory.find(e => e.version === toVersion);
+  if (!from || !to) {
+    return null;
+  }
+  
+  return ConfigDiff.diff(from.config, to.config);
+}
+
+// Function to make an earlier version the live config again
+// The rollback is recorded as a new version, so it can be undone in turn
+// Returns null if there is no such version
+function rollbackConfig(version) {
+  const entry = configHistory.find(e => e.version === version);
+  if (!entry) {
+    return null;
+  }
+  
+  const before = cloneConfig(gameConfig);
+  replaceContents(cloneConfig(entry.config));
+  recordVersion(`Rolled back to version ${version}`, before);
+  
+  return {
+    config: gameConfig,
+    version: configVersion
+  };
+}
+
+// Function to list the named ruleset presets
+function getRulesetPresets() {
+  return rulesetPresets.map(preset => ({
+    id: preset.id,
+    name: preset.name,
+    description: preset.description,
+    version: preset.version
+  }));
+}
+
+// Function to build the rules for a new room from a preset
+// Returns a copy, so the room keeps these rules for the whole game whatever changes later
+// Returns null for an unknown preset, otherwise the ruleset and any field-level errors in its config.
+// A room must not be opened with an invalid ruleset
+function getRuleset(presetId) {
+  const preset = rulesetPresets.find(p => p.id === (presetId || DEFAULT_RULESET));
+  if (!preset) {
+    return null;
+  }
+  
+  return buildRuleset(preset, gameConfig, configVersion);
+}
+
+// Function to build the rules for a room in an experiment variant: the preset's rules with
+// the variant's settings on top, applied the same way as a config update
+// Returns null for an unknown preset, otherwise the ruleset and any field-level errors in its config
+function getVariantRuleset(presetId, settings) {
+  const ruleset = getRuleset(presetId);
+  if (!ruleset || !ruleset.valid) {
+    return ruleset;
+  }
+  
+  if (!isSettingsObject(settings)) {
+    return Object.assign(ruleset, notSettingsObject());
+  }
+  
+  const keys = ConfigSchema.validateKeys(settings);
+  if (!keys.valid) {
+    return Object.assign(ruleset, {
+      valid: false,
+      errors: keys.errors
+    });
+  }
+  
+  applyUpdates(ruleset.config, settings);
+  const result = validateCandidate(ruleset.config);
+  
+  return Object.assign(ruleset, {
+    valid: result.valid,
+    errors: result.errors
+  });
+}
+
+// Function to check the ruleset a game record claims against the preset it names
+// The claim holds if the preset is at the claimed version and layering it on the claimed config
+// version gives exactly the record's config. Returns the preset's ruleset if so, and the custom
+// ruleset otherwise, so a record can't put its own labels on a room
+function verifyRuleset(claimed, config) {
+  const preset = claimed ? rulesetPresets.find(p => p.id === claimed.id) : null;
+  const base = preset ? configHistory.find(e => e.version === claimed.configVersion) : null;
+  if (base && preset.version === claimed.version) {
+    const ruleset = buildRuleset(preset, base.config, base.version);
+    if (ConfigDiff.diff(ruleset.config, config).length === 0) {
+      return ruleset.ruleset;
+    }
+  }
+  
+  return Object.assign({}, CUSTOM_RULESET);
+}
+
+// Helper function to layer a preset on a config version and check the result
+function buildRuleset(preset, baseConfig, baseVersion) {
+  const config = cloneConfig(baseConfig);
+  applyOverrides(config, preset.overrides);
+  const result = ConfigSchema.validate(config);
+  
+  return {
+    config: config,
+    ruleset: {
+      id: preset.id,
+      name: preset.name,
+      version: preset.version,
+      configVersion: baseVersion // The live config the preset was layered on
+    },
+    valid: result.valid,
+    errors: result.errors
+  };
+}
+
+// Helper function to bump the version and store the new config in the history
+// The summary names the action and the settings it changed
+function recordVersion(action, before) {
+  const changed = ConfigDiff.diff(before, gameConfig).map(change => change.path);
+  let summary = action;
+  if (changed.length > 0) {
+    summary += ': ' + changed.slice(0, 5).join(', ');
+    if (changed.length > 5) {
+      summary += ` and ${changed.length - 5} more`;
+    }
+  }
+  
+  configVersion++;
+  const entry = {
+    version: configVersion,
+    timestamp: Date.now(),
+    summary: summary,
+    config: cloneConfig(gameConfig)
+  };
+  configHistory.push(entry);
+  
+  if (historyStore) {
+    historyStore.record(entry);
+  }
+}
+
+// Helper function to replace the config's contents in place,
+// so everything holding the config sees the change
+function replaceContents(config) {
+  Object.keys(gameConfig).forEach(key => {
+    delete gameConfig[key];
+  });
+  Object.assign(gameConfig, config);
+}
+
+// Helper function to check that a request body is an object of settings
+function isSettingsObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Helper function for the result when the request body isn't an object of settings
+function notSettingsObject() {
+  return {
+    valid: false,
+    errors: [{ field: '', code: ConfigSchema.ERROR_CODES.INVALID_TYPE, message: 'Updates must be an object of settings' }],
+    config: null
+  };
+}
+
+// Helper function to validate a candidate config
+function validateCandidate(candidate) {
+  const result = ConfigSchema.validate(candidate);
+  return {
+    valid: result.valid,
+    errors: result.errors,
+    config: candidate
+  };
+}
+
+// Helper function to validate a candidate for the live config
+// Every preset is layered on it as well, so a change can't leave a preset that builds an invalid config,
+// like starting wheat that already reaches the economic victory threshold
+function validateLiveCandidate(candidate) {
+  const result = validateCandidate(candidate);
+  if (!result.valid) {
+    return result;
+  }
+  
+  rulesetPresets.forEach(preset => {
+    buildRuleset(preset, candidate, configVersion).errors.forEach(error => {
+      result.errors.push(Object.assign({}, error, { message: `${error.message} (with the ${preset.id} ruleset)` }));
+    });
+  });
+  result.valid = result.errors.length === 0;
+  
+  return result;
+}
+
+// Helper function to layer a preset's overrides on a config
+// Overrides for settings the config no longer has (like a removed crop) are skipped
+function applyOverrides(target, overrides) {
+  for (const key in overrides) {
+    if (!(key in target)) {
+      continue;
+    }
+    
+    if (isSettingsObject(overrides[key]) && isSettingsObject(target[key])) {
+      applyOverrides(target[key], overrides[key]);
+    } else {
+      target[key] = overrides[key];
+    }
+  }
+}
+
 // Helper function to recursively apply updates to the config object
+// Lists are replaced as a whole rather than merged item by item
+// Only call it with updates that passed ConfigSchema.validateKeys()
 function applyUpdates(target, updates) {
-  for (const key in updates) {
+  for (const key of Object.keys(updates)) {
     // If the update value is an object and the target has that key as an object too
-    if (typeof updates[key] === 'object' && 
-        updates[key] !== null && 
-        typeof target[key] === 'object' &&
-        target[key] !== null) {
+    if (isSettingsObject(updates[key]) && isSettingsObject(target[key])) {
       // Recursively update nested object
       applyUpdates(target[key], updates[key]);
     } else {
@@ -115,5 +412,18 @@ function applyUpdates(target, updates) {
 
 module.exports = {
   getConfig,
-  updateConfig
-}; 
\ No newline at end of file
+  validateUpdate,
+  updateConfig,
+  validateReplacement,
+  replaceConfig,
+  resetConfig,
+  loadHistory,
+  getHistory,
+  getVersion,
+  diffVersions,
+  rollbackConfig,
+  getRulesetPresets,
+  getRuleset,
+  getVariantRuleset,
+  verifyRuleset
+};
@@ -2,7 +2,7 @@
 
 // Wait for the DOM to be loaded
 document.addEventListener('DOMContentLoaded', () => {
-  console.log('Chessville initializing...');
+  ClientLog.debug('Chessville initializing...');
   
   try {
     // Check if critical modules are loaded
@@ -18,7 +18,7 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // UPDATED: Phased initialization sequence
     // Phase 1: Initialize UI and GameState first
-    console.log('Phase 1: Initializing UI and GameState');
+    ClientLog.debug('Phase 1: Initializing UI and GameState');
     
     // Initialize the UI Manager
     if (!UIManager.initialize()) {
@@ -33,16 +33,16 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     
     // Phase 2: Check for saved game state
-    console.log('Phase 2: Checking for saved game state');
+    ClientLog.debug('Phase 2: Checking for saved game state');
     try {
       const savedState = localStorage.getItem('chessFarm_gameState');
       if (savedState) {
         const gameState = JSON.parse(savedState);
-        console.log('Found saved game state:', gameState);
+        ClientLog.debug('Found saved game state:', gameState);
         
         // If joining the same room, pre-initialize game state with saved info
         if (gameState.roomId && gameState.color) {
-          console.log('Pre-initializing game state with saved data');
+          ClientLog.debug('Pre-initializing game state with saved data');
           // This will help ensure player color is set before chess board initialization
           GameState.setupGame(gameState.roomId, gameState.color);
         }
@@ -52,7 +52,7 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     
     // Phase 3: Initialize other managers
-    console.log('Phase 3: Initializing remaining managers');
+    ClientLog.debug('Phase 3: Initializing remaining managers');
     
     // Initialize the Farm Manager
     if (!FarmManager.initialize()) {
@@ -73,27 +73,34 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     
     // Phase 4: Final setup
-    console.log('Phase 4: Final initialization steps');
+    ClientLog.debug('Phase 4: Final initialization steps');
     
     // Set up debug panel functionality
     setupDebugPanel();
     
-    console.log('Chessville initialization complete');
+    ClientLog.debug('Chessville initialization complete');
     
     // Show the login screen
     UIManager.showScreen('login-screen');
     
+    // A ?watch=<roomId> link (e.g. from the admin room monitor) opens the room as a spectator
+    const watchRoomId = new URLSearchParams(window.location.search).get('watch');
+    if (watchRoomId) {
+      ClientLog.debug('Watching room from link:', watchRoomId);
+      SocketManager.watchRoom(watchRoomId);
+    }
+    
     // Remove this line - we'll let the actual game start set up the board properly
     // ChessManager.showMoveCosts();
     
     // Phase 5: Check for auto-reconnect functionality
-    console.log('Phase 5: Checking for auto-reconnect');
+    ClientLog.debug('Phase 5: Checking for auto-reconnect');
     
     // Add event listener for manual game restoration
     const restoreButton = document.getElementById('restore-game-button');
     if (restoreButton) {
       restoreButton.addEventListener('click', function() {
-        console.log('Manual game state restoration requested');
+        ClientLog.debug('Manual game state restoration requested');
         if (typeof ChessManager !== 'undefined' && typeof ChessManager.manuallyRestoreSavedState === 'function') {
           const success = ChessManager.manuallyRestoreSavedState();
           if (success) {
@@ -118,7 +125,7 @@ document.addEventListener('DOMContentLoaded', () => {
         GameState.getSavedStateForReconnection() !== null);
       
       if (hasValidState) {
-        console.log('Valid recent game state found, showing restore option');
+        ClientLog.debug('Valid recent game state found, showing restore option');
         
         // Create a restore button if it doesn't exist
         if (!restoreButton) {
@@ -138,7 +145,7 @@ document.addEventListener('DOMContentLoaded', () => {
               
               // Add event listener to the newly created button
               document.getElementById('restore-game-button').addEventListener('click', function() {
-                console.log('Manual game state restoration requested');
+                ClientLog.debug('Manual game state restoration requested');
                 if (typeof ChessManager !== 'undefined' && typeof ChessManager.manuallyRestoreSavedState === 'function') {
                   const success = ChessManager.manuallyRestoreSavedState();
                   if (success) {
@@ -173,7 +180,7 @@ document.addEventListener('DOMContentLoaded', () => {
             gameState.timestamp && 
             (now - gameState.timestamp <= reconnectTimeout)) {
           
-          console.log('Valid recent game state found, attempting auto-reconnect');
+          ClientLog.debug('Valid recent game state found, attempting auto-reconnect');
           
           // Show a message about reconnecting
           showMessage('Reconnecting to previous game...', 3000);
@@ -183,9 +190,7 @@ document.addEventListener('DOMContentLoaded', () => {
             SocketManager.reconnect({
               username: gameState.username || 'Player',
               roomId: gameState.roomId,
-              previousColor: gameState.color,
-              savedFEN: gameState.fen,
-              savedFarmState: gameState.farmState
+              previousColor: gameState.color
             });
           }, 1000);
         }
@@ -0,0 +1,182 @@
+/**
+ * Action Log Module
+ * Ordered, timestamped record of everything accepted in a room: joins, rules
+ * actions (plants, phase changes, moves, end of turn, resignations) and the
+ * events they produced (harvests, unlocks, captures).
+ * The rules state can be rebuilt at any point by replaying the log.
+ * Loads in the browser and in Node, like the rules engine it replays through.
+ */
+
+const ActionLog = (function() {
+  const Rules = typeof GameRules !== 'undefined' ? GameRules : require('./game-rules');
+  
+  // Kinds of log entries
+  const ENTRY_TYPES = {
+    ROOM_CREATED: 'room-created',
+    JOIN: 'join',
+    ACTION: 'action'
+  };
+  
+  /**
+   * Create an empty log
+   * @returns {Array} The new log
+   */
+  function createLog() {
+    return [];
+  }
+  
+  /**
+   * Append an entry to the log
+   * @param {Array} log - The log
+   * @param {string} type - One of ENTRY_TYPES
+   * @param {Object} data - The entry's data
+   * @returns {Object} The new entry
+   */
+  function append(log, type, data) {
+    const entry = Object.assign({
+      seq: log.length + 1,
+      timestamp: Date.now(),
+      type: type
+    }, JSON.parse(JSON.stringify(data || {})));
+    
+    log.push(entry);
+    return entry;
+  }
+  
+  /**
+   * Record the creation of a room and the rules it starts with
+   * @param {Array} log - The log
+   * @param {Object} config - The room's config
+   * @param {Object} [ruleset] - The preset name and version the config came from
+   * @returns {Object} The new entry
+   */
+  function recordRoomCreated(log, config, ruleset) {
+    return append(log, ENTRY_TYPES.ROOM_CREATED, {
+      config: config,
+      ruleset: ruleset || null
+    });
+  }
+  
+  /**
+   * Record a player taking a seat
+   * @param {Array} log - The log
+   * @param {string} color - The seat color
+   * @param {string} username - The player's name
+   * @param {boolean} reconnected - Whether the player reclaimed a seat they held before
+   * @returns {Object} The new entry
+   */
+  function recordJoin(log, color, username, reconnected) {
+    return append(log, ENTRY_TYPES.JOIN, {
+      color: color,
+      username: username,
+      reconnected: !!reconnected
+    });
+  }
+  
+  /**
+   * Record an accepted rules action and the events it produced
+   * @param {Array} log - The log
+   * @param {Object} action - The rules engine action
+   * @param {Array} events - The events from the rules engine result
+   * @returns {Object} The new entry
+   */
+  function recordAction(log, action, events) {
+    return append(log, ENTRY_TYPES.ACTION, {
+      action: action,
+      events: events || []
+    });
+  }
+  
+  /**
+   * Rebuild the rules state by replaying the log through the rules engine
+   * @param {Array} log - The log
+   * @param {number} [uptoSeq] - Stop after the entry with this sequence number
+   * @returns {Object} Result with ok flag, state and config, or the entry that failed
+   */
+  function replay(log, uptoSeq) {
+    let state = null;
+    let config = null;
+    
+    for (const entry of log) {
+      if (uptoSeq !== undefined && entry.seq > uptoSeq) {
+        break;
+      }
+      
+      if (entry.type === ENTRY_TYPES.ROOM_CREATED) {
+        config = entry.config;
+        state = Rules.createInitialState(config);
+      } else if (entry.type === ENTRY_TYPES.ACTION) {
+        if (!state) {
+          return { ok: false, seq: entry.seq, error: 'Action recorded before the room was created' };
+        }
+        
+        const result = Rules.applyAction(state, entry.action, config);
+        if (!result.ok) {
+          return { ok: false, seq: entry.seq, error: result.error.message };
+        }
+        
+        state = result.state;
+      }
+    }
+    
+    if (!state) {
+      return { ok: false, seq: null, error: 'The log has no room-created entry' };
+    }
+    
+    return { ok: true, state: state, config: config };
+  }
+  
+  /**
+   * Strip the parts of a state that legitimately differ between runs (ledger timestamps)
+   * @param {Object} state - A rules state
+   * @returns {string} The state as comparable JSON
+   */
+  function comparableState(state) {
+    const copy = JSON.parse(JSON.stringify(state));
+    copy.ledger.entries.forEach(entry => {
+      delete entry.timestamp;
+    });
+    return JSON.stringify(copy);
+  }
+  
+  /**
+   * Check that replaying the log reproduces a rules state
+   * @param {Array} log - The log
+   * @param {Object} state - The state to check against
+   * @returns {Object} Result with ok flag and, if it doesn't match, an error
+   */
+  function verify(log, state) {
+    const result = replay(log);
+    if (!result.ok) {
+      return { ok: false, seq: result.seq, error: result.error };
+    }
+    
+    if (comparableState(result.state) !== comparableState(state)) {
+      return { ok: false, seq: null, error: 'Replaying the log gives a different state' };
+    }
+    
+    return { ok: true };
+  }
+  
+  // Public API
+  return {
+    ENTRY_TYPES,
+    createLog,
+    recordRoomCreated,
+    recordJoin,
+    recordAction,
+    replay,
+    comparableState,
+    verify
+  };
+})();
+
+// Make the action log available globally for browser
+// And also export for Node.js environments
+if (typeof window !== 'undefined') {
+  window.ActionLog = ActionLog;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ActionLog;
+}
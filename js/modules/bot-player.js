@@ -0,0 +1,384 @@
+/**
+ * Bot Player Module
+ * A computer opponent that plays both halves of a turn: it picks which crop to plant
+ * in which plot, then searches the legal chess moves it can afford. Everything goes
+ * through the rules engine, so the bot can only ever do what a player could.
+ * Runs on the server without any external engine; loads in the browser as well.
+ */
+
+const BotPlayer = (function() {
+  // chess.js is a global in the browser and a package in Node
+  const ChessEngine = typeof Chess !== 'undefined' ? Chess : require('chess.js').Chess;
+  const Rules = typeof GameRules !== 'undefined' ? GameRules : require('./game-rules');
+  
+  // How each difficulty plays
+  //   searchDepth   - chess plies searched (0 picks an affordable move at random)
+  //   noise         - random spread added to move scores, in centipawns
+  //   plantChance   - how often it plants when it could
+  //   reserveMoves  - spare moves' worth of wheat it keeps back when buying seeds
+  //   cropChoice    - 'random' or 'best' (highest profit per turn)
+  const DIFFICULTIES = {
+    easy: { name: 'Easy', searchDepth: 0, noise: 0, plantChance: 0.6, reserveMoves: 0, cropChoice: 'random' },
+    medium: { name: 'Medium', searchDepth: 1, noise: 40, plantChance: 1, reserveMoves: 1, cropChoice: 'best' },
+    hard: { name: 'Hard', searchDepth: 2, noise: 5, plantChance: 1, reserveMoves: 2, cropChoice: 'best' }
+  };
+  
+  const DEFAULT_DIFFICULTY = 'medium';
+  
+  // Piece values in centipawns
+  const PIECE_VALUES = { p: 100, n: 320, b: 330, r: 500, q: 900, k: 0 };
+  
+  // Positional nudges, in centipawns: pawns gain for each rank they advance, knights and
+  // bishops for standing in the centre, and kings lose for each rank they leave home by
+  // (king moves are free, so without this the bot would wander its king for nothing)
+  const PAWN_ADVANCE = 5;
+  const CENTRE_BONUS = 15;
+  const KING_EXPOSURE = 25;
+  
+  // What one wheat is worth against material, in centipawns
+  const WHEAT_VALUE = 8;
+  
+  // Score of a won or lost position, well beyond any material count
+  const MATE_SCORE = 100000;
+  
+  /**
+   * Get a difficulty's settings, falling back to the default for unknown names
+   * @param {string} difficulty - easy, medium or hard
+   * @returns {Object} The difficulty settings
+   */
+  function getDifficulty(difficulty) {
+    return DIFFICULTIES[difficulty] || DIFFICULTIES[DEFAULT_DIFFICULTY];
+  }
+  
+  /**
+   * Pick a random item from a list
+   * @param {Array} items - The list
+   * @param {Function} random - Returns a number in [0, 1)
+   * @returns {*} One of the items
+   */
+  function pickRandom(items, random) {
+    return items[Math.floor(random() * items.length)];
+  }
+  
+  /**
+   * Find the plots a player may plant on right now
+   * @param {Object} state - The game state
+   * @param {string} color - The player
+   * @param {Object} config - The game configuration
+   * @returns {Array} The plots
+   */
+  function getPlantablePlots(state, color, config) {
+    const maxFarmActions = config.turnStructure ? config.turnStructure.maxFarmActionsPerTurn : 1;
+    
+    return state.farms[color].plots.filter(plot =>
+      plot.state === 'empty' && (plot.canPlantAfterHarvest || state.farmActionsTaken < maxFarmActions)
+    );
+  }
+  
+  /**
+   * Get the price of the cheapest move, which is what each turn costs at the least
+   * @param {Object} config - The game configuration
+   * @returns {number} The cost of moving the cheapest non-king piece
+   */
+  function getCheapestMoveCost(config) {
+    const moveCosts = Object.keys(config.pieceCosts)
+      .filter(piece => piece !== 'k')
+      .map(piece => config.pieceCosts[piece]);
+    
+    return moveCosts.length > 0 ? Math.min(...moveCosts) : 0;
+  }
+  
+  /**
+   * Work out how many turns a player must pay for before a harvest brings wheat in
+   * @param {Object} state - The game state
+   * @param {string} color - The player
+   * @param {number} growthTime - Turns until the crop about to be planted is ready (Infinity for none)
+   * @returns {number} The turns, counting this one (Infinity when nothing is growing)
+   */
+  function getTurnsUntilIncome(state, color, growthTime) {
+    return state.farms[color].plots
+      .filter(plot => plot.state === 'planted')
+      .reduce((turns, plot) => Math.min(turns, plot.turnsToHarvest), growthTime);
+  }
+  
+  /**
+   * Choose the next crop to plant this turn
+   * @param {Object} state - The game state, in the bot's farming phase
+   * @param {string} color - The bot's color
+   * @param {Object} config - The game configuration
+   * @param {Object} settings - The difficulty settings
+   * @param {Function} random - Returns a number in [0, 1)
+   * @returns {Object|null} A plant action, or null to stop planting
+   */
+  function chooseFarmAction(state, color, config, settings, random) {
+    const plots = getPlantablePlots(state, color, config);
+    if (plots.length === 0 || random() >= settings.plantChance) {
+      return null;
+    }
+    
+    // Only buy seeds that leave enough wheat to keep moving until the next harvest
+    const wheat = Rules.getWheatCounts(state)[color];
+    const moveCost = getCheapestMoveCost(config);
+    const crops = Object.keys(config.crops)
+      .map(cropType => Rules.getCrop(config, cropType))
+      .filter(crop => {
+        const reserve = moveCost * (getTurnsUntilIncome(state, color, crop.growthTime) + settings.reserveMoves);
+        return crop.yield > crop.cost && crop.cost <= wheat - reserve;
+      });
+    if (crops.length === 0) {
+      return null;
+    }
+    
+    let crop;
+    if (settings.cropChoice === 'random') {
+      crop = pickRandom(crops, random);
+    } else {
+      const profitPerTurn = c => (c.yield - c.cost) / Math.max(1, c.growthTime);
+      crop = crops.reduce((best, c) => (profitPerTurn(c) > profitPerTurn(best) ? c : best));
+    }
+    
+    return { type: 'plant', color: color, plotIndex: plots[0].index, cropType: crop.type };
+  }
+  
+  /**
+   * Value a piece on its square
+   * @param {Object} piece - chess.js piece ({ type, color })
+   * @param {number} rowIndex - Row of chess.board(), 0 being the eighth rank
+   * @param {number} fileIndex - File, 0 being the a-file
+   * @returns {number} The value in centipawns
+   */
+  function valuePiece(piece, rowIndex, fileIndex) {
+    const advance = piece.color === 'w' ? 7 - rowIndex : rowIndex;
+    const central = rowIndex >= 2 && rowIndex <= 5 && fileIndex >= 2 && fileIndex <= 5;
+    let value = PIECE_VALUES[piece.type];
+    
+    if (piece.type === 'p') {
+      value += advance * PAWN_ADVANCE;
+    } else if ((piece.type === 'n' || piece.type === 'b') && central) {
+      value += CENTRE_BONUS;
+    } else if (piece.type === 'k') {
+      value -= advance * KING_EXPOSURE;
+    }
+    
+    return value;
+  }
+  
+  /**
+   * Score a position for the side to move: material and placement, then wheat
+   * @param {Object} chess - chess.js at the position
+   * @param {Object} wheat - Balances keyed by 'w' and 'b'
+   * @returns {number} The score in centipawns
+   */
+  function evaluate(chess, wheat) {
+    const side = chess.turn();
+    let score = 0;
+    
+    chess.board().forEach((row, rowIndex) => {
+      row.forEach((square, fileIndex) => {
+        if (square) {
+          const value = valuePiece(square, rowIndex, fileIndex);
+          score += square.color === side ? value : -value;
+        }
+      });
+    });
+    
+    const other = side === 'w' ? 'b' : 'w';
+    return score + WHEAT_VALUE * (wheat[side] - wheat[other]);
+  }
+  
+  /**
+   * Negamax search with alpha-beta pruning over moves each side can afford
+   * Farming is left out: crops grow the same whichever move is made
+   * @param {Object} chess - chess.js at the position (moves are made and undone)
+   * @param {Object} wheat - Balances keyed by 'w' and 'b' (changed and restored)
+   * @param {number} depth - Plies left to search
+   * @param {number} alpha - Best score the side to move is already assured of
+   * @param {number} beta - Best score the opponent is already assured of
+   * @param {Object} config - The game configuration
+   * @returns {number} The score for the side to move
+   */
+  function search(chess, wheat, depth, alpha, beta, config) {
+    if (depth === 0) {
+      return evaluate(chess, wheat);
+    }
+    
+    const side = chess.turn();
+    const moves = chess.moves({ verbose: true });
+    
+    if (moves.length === 0) {
+      // Checkmate loses, stalemate is a draw
+      return chess.in_check() ? -MATE_SCORE - depth : 0;
+    }
+    
+    const affordable = moves.filter(move => wheat[side] >= Rules.getMoveCost(config, move.piece));
+    if (affordable.length === 0) {
+      const victoryConditions = config.victoryConditions || {};
+      return victoryConditions.opponentBankruptcy ? -MATE_SCORE - depth : evaluate(chess, wheat);
+    }
+    
+    // Captures first, so pruning cuts more
+    affordable.sort((a, b) => (b.captured ? PIECE_VALUES[b.captured] : 0) - (a.captured ? PIECE_VALUES[a.captured] : 0));
+    
+    let best = -Infinity;
+    for (const move of affordable) {
+      const cost = Rules.getMoveCost(config, move.piece);
+      chess.move(move);
+      wheat[side] -= cost;
+      const score = -search(chess, wheat, depth - 1, -beta, -alpha, config);
+      wheat[side] += cost;
+      chess.undo();
+      
+      best = Math.max(best, score);
+      alpha = Math.max(alpha, score);
+      if (alpha >= beta) {
+        break;
+      }
+    }
+    
+    return best;
+  }
+  
+  /**
+   * Choose a chess move for the side to move
+   * @param {Object} state - The game state, in the bot's chess phase
+   * @param {Object} config - The game configuration
+   * @param {Object} settings - The difficulty settings
+   * @param {Function} random - Returns a number in [0, 1)
+   * @returns {Object|null} The move ({ from, to, promotion }), or null if nothing is affordable
+   */
+  function chooseMove(state, config, settings, random) {
+    const affordable = Rules.getAffordableMoves(state, config);
+    if (affordable.length === 0) {
+      return null;
+    }
+    
+    // Keep enough wheat to pay for every turn until the next harvest, unless no move can
+    const color = state.turn;
+    const wheatLeft = Rules.getWheatCounts(state)[color];
+    const turnsUntilIncome = getTurnsUntilIncome(state, color, Infinity);
+    const keep = getCheapestMoveCost(config) * (turnsUntilIncome === Infinity ? settings.reserveMoves : turnsUntilIncome - 1);
+    const safe = affordable.filter(move => wheatLeft - Rules.getMoveCost(config, move.piece) >= keep);
+    const moves = safe.length > 0 ? safe : affordable;
+    
+    let chosen;
+    if (settings.searchDepth === 0) {
+      chosen = pickRandom(moves, random);
+    } else {
+      const chess = new ChessEngine(state.fen);
+      const side = chess.turn();
+      const balances = Rules.getWheatCounts(state);
+      const wheat = { w: balances.white, b: balances.black };
+      
+      let bestScore = -Infinity;
+      moves.forEach(move => {
+        const cost = Rules.getMoveCost(config, move.piece);
+        chess.move(move);
+        wheat[side] -= cost;
+        // in_check() is cheap and rules out most moves before the full checkmate test
+        const score = chess.in_check() && chess.in_checkmate()
+          ? MATE_SCORE
+          : -search(chess, wheat, settings.searchDepth - 1, -Infinity, Infinity, config) + random() * settings.noise;
+        wheat[side] += cost;
+        chess.undo();
+        
+        if (score > bestScore) {
+          bestScore = score;
+          chosen = move;
+        }
+      });
+    }
+    
+    return { from: chosen.from, to: chosen.to, promotion: chosen.promotion };
+  }
+  
+  /**
+   * Plan a whole turn for the player to move: plantings, leaving the farm, a move and ending the turn
+   * Each action is checked against the rules engine as it is planned, so the list only holds
+   * actions that will be accepted. It stops early if one of them ends the game.
+   * @param {Object} state - The game state at the start of the bot's turn
+   * @param {Object} config - The game configuration
+   * @param {string} difficulty - easy, medium or hard
+   * @param {Object} [options] - { random } to make the bot's choices repeatable
+   * @returns {Array} The rules engine actions, in order
+   */
+  function planTurn(state, config, difficulty, options = {}) {
+    const settings = getDifficulty(difficulty);
+    const random = options.random || Math.random;
+    const color = state.turn;
+    const actions = [];
+    let current = state;
+    
+    function take(action) {
+      const result = Rules.applyAction(current, action, config);
+      if (!result.ok) {
+        return false;
+      }
+      
+      actions.push(action);
+      current = result.state;
+      return true;
+    }
+    
+    if (current.isGameOver) {
+      return actions;
+    }
+    
+    if (current.phase === 'farming') {
+      let plant = chooseFarmAction(current, color, config, settings, random);
+      while (plant && take(plant)) {
+        plant = chooseFarmAction(current, color, config, settings, random);
+      }
+      
+      if (!take({ type: 'skip-farming', color: color }) || current.isGameOver) {
+        return actions;
+      }
+    }
+    
+    if (!current.moveMade) {
+      const move = chooseMove(current, config, settings, random);
+      if (!move || !take({ type: 'move', color: color, move: move }) || current.isGameOver) {
+        return actions;
+      }
+    }
+    
+    take({ type: 'end-turn', color: color });
+    return actions;
+  }
+  
+  /**
+   * List the difficulty levels
+   * @returns {Array} { id, name } for each level, easiest first
+   */
+  function getDifficulties() {
+    return Object.keys(DIFFICULTIES).map(id => ({ id: id, name: DIFFICULTIES[id].name }));
+  }
+  
+  /**
+   * Check whether a difficulty level exists
+   * @param {string} difficulty - The level's ID
+   * @returns {boolean} Whether it exists
+   */
+  function isDifficulty(difficulty) {
+    return Object.prototype.hasOwnProperty.call(DIFFICULTIES, difficulty);
+  }
+  
+  // Public API
+  return {
+    DEFAULT_DIFFICULTY,
+    getDifficulties,
+    isDifficulty,
+    chooseMove: (state, config, difficulty, options = {}) =>
+      chooseMove(state, config, getDifficulty(difficulty), options.random || Math.random),
+    planTurn
+  };
+})();
+
+// Make the bot available globally for browser
+// And also export for Node.js environments
+if (typeof window !== 'undefined') {
+  window.BotPlayer = BotPlayer;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BotPlayer;
+}
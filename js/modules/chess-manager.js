@@ -17,7 +17,7 @@ const ChessManager = (function() {
    */
   function debugLog(...args) {
     if (debugMode) {
-      console.log('[ChessManager Debug]', ...args);
+      ClientLog.debug('[ChessManager Debug]', ...args);
     }
   }
   
@@ -32,7 +32,7 @@ const ChessManager = (function() {
     }
     
     try {
-      console.log('Initializing Chess Manager');
+      ClientLog.debug('Initializing Chess Manager');
       
       // Initialize chess engine
       if (typeof Chess === 'undefined') {
@@ -47,13 +47,13 @@ const ChessManager = (function() {
       // Instead of using setTimeout, we'll use a more robust approach
       document.addEventListener('DOMContentLoaded', function() {
         // Only set up the board when explicitly requested by GameState or SocketManager
-        console.log('ChessManager initialized and waiting for explicit board setup');
+        ClientLog.debug('ChessManager initialized and waiting for explicit board setup');
       });
       
       // Fix touch events for mobile
       setupTouchEventFixes();
       
-      console.log('Chess Manager initialized');
+      ClientLog.debug('Chess Manager initialized');
       initialized = true;
       return true;
     } catch (error) {
@@ -121,7 +121,7 @@ const ChessManager = (function() {
     }
     
     // Last resort - just log to console
-    console.log('Message:', message);
+    ClientLog.debug('Message:', message);
   }
   
   /**
@@ -528,7 +528,7 @@ const ChessManager = (function() {
     
     // Check which moves are affordable
     const pieceType = chessEngine.get(sourceSquare).type;
-    const moveCost = GameConfig.pieceCosts[pieceType] || 0;
+    const moveCost = GameRules.getMoveCost(GameConfig, pieceType);
     const playerColor = GameState.getPlayerColor();
     const playerWheat = GameState.getWheat(playerColor);
     
@@ -604,32 +604,22 @@ const ChessManager = (function() {
         promotion: 'q' // Always promote to queen for simplicity
       };
       
-      // Attempt the move
-      const move = chessEngine.move(moveConfig);
-      
-      // If the move is invalid, it will return null
-      if (move === null) {
-        debugLog(`Move rejected: Invalid move from ${source} to ${target}`);
+      // The rules engine checks the move and charges its wheat, exactly as the server will
+      const result = GameState.predictAction({ type: 'move', move: moveConfig });
+      if (!result.ok) {
+        if (result.error.code === GameRules.ERROR_CODES.ILLEGAL_MOVE) {
+          debugLog(`Move rejected: Invalid move from ${source} to ${target}`);
+        } else {
+          showMessage(result.error.message);
+        }
         return false;
       }
       
-      // Log the successful move
-      debugLog('Move successful:', move);
-      
-      // Get the piece type
-      const pieceType = move.piece;
-      
-      // Calculate the move cost
-      const moveCost = GameConfig.pieceCosts[pieceType] || 0;
+      const moveEvent = result.events.find(event => event.type === 'piece-moved');
+      const move = chessEngine.move(moveConfig);
       
-      // Check if player has enough wheat
-      const gamePlayerColor = GameState.getPlayerColor();
-      if (!GameState.updateWheat(gamePlayerColor, -moveCost)) {
-        // Undo the move
-        chessEngine.undo();
-        showMessage(`Not enough wheat to move this piece (cost: ${moveCost})`);
-        return false;
-      }
+      // Log the successful move
+      debugLog('Move successful:', move, `cost ${moveEvent.cost}`);
       
       // Update the board display
       updateBoard();
@@ -637,7 +627,6 @@ const ChessManager = (function() {
       // Check if a piece was captured
       if (move.captured) {
         debugLog(`Captured a ${move.captured} piece!`);
-        GameState.recordCapture(gamePlayerColor);
         showMessage(`Captured ${getPieceName(move.captured)}!`);
       }
       
@@ -647,11 +636,10 @@ const ChessManager = (function() {
       // Mark chess phase as completed
       GameState.completeCurrentGamePhase();
       
-      // Check for checkmate
-      if (chessEngine.in_checkmate()) {
-        GameState.declareWinner(gamePlayerColor, 'checkmate');
+      // A checkmate already ended the game in the prediction
+      if (moveEvent.checkmate) {
         showMessage('Checkmate!');
-      } else if (chessEngine.in_check()) {
+      } else if (moveEvent.check) {
         showMessage('Check!');
       }
       
@@ -788,6 +776,29 @@ const ChessManager = (function() {
     }
   }
   
+  /**
+   * Replace the current position with one computed by the server
+   * @param {string} fen - The FEN string from the server
+   * @returns {boolean} True if the position was loaded
+   */
+  function loadPosition(fen) {
+    if (!chessEngine || !validateFEN(fen)) {
+      console.error('Cannot load server position:', fen);
+      return false;
+    }
+    
+    debugLog('Loading position from server:', fen);
+    chessEngine.load(fen);
+    updateBoard();
+    
+    // Keep localStorage in sync with the corrected position
+    if (typeof GameState !== 'undefined' && typeof GameState.saveGameState === 'function') {
+      GameState.saveGameState();
+    }
+    
+    return true;
+  }
+  
   /**
    * Get a human-readable name for a piece
    * @param {string} pieceCode - The piece code (p, n, b, r, q, k)
@@ -928,31 +939,15 @@ const ChessManager = (function() {
   function checkIfPlayerCanMakeAnyMoves() {
     debugLog('Checking if player can make any legal moves with current resources');
     
-    // Get the player's color and wheat
+    // Get the player's color
     const playerColor = GameState.getPlayerColor();
-    const playerWheat = GameState.getWheat(playerColor);
     
-    debugLog(`Player ${playerColor} has ${playerWheat} wheat`);
-    
-    // Get all legal moves
+    // Get all legal moves, and the ones the rules engine says the player can afford
     const legalMoves = chessEngine.moves({ verbose: true });
-    debugLog(`Total legal moves available: ${legalMoves.length}`);
+    const affordableMoves = GameRules.getAffordableMoves(GameState.getRulesState(), GameConfig);
+    debugLog(`Legal moves: ${legalMoves.length}, affordable: ${affordableMoves.length}`);
     
-    // Check if any moves are affordable
-    let canMakeAnyMove = false;
-    
-    for (const move of legalMoves) {
-      const pieceType = move.piece;
-      const moveCost = GameConfig.pieceCosts[pieceType] || 0;
-      
-      debugLog(`Move ${move.from}-${move.to} costs ${moveCost} wheat`);
-      
-      if (playerWheat >= moveCost) {
-        canMakeAnyMove = true;
-        debugLog(`Player can afford move ${move.from}-${move.to}`);
-        break;
-      }
-    }
+    const canMakeAnyMove = affordableMoves.length > 0;
     
     // If player can't make any moves, they lose
     if (!canMakeAnyMove && legalMoves.length > 0) {
@@ -1029,16 +1024,15 @@ const ChessManager = (function() {
       
       // Restore resources if available
       if (gameState.wheatCount !== undefined && typeof GameState !== 'undefined' && 
-          typeof GameState.updateWheat === 'function') {
+          typeof GameState.setWheatCounts === 'function') {
         debugLog('Restoring wheat count from saved state:', gameState.wheatCount);
-        const playerColor = GameState.getPlayerColor();
-        GameState.updateWheat(playerColor, gameState.wheatCount - GameState.getWheat(playerColor));
+        GameState.setWheatCounts({ [GameState.getPlayerColor()]: gameState.wheatCount });
       }
       
       // Refresh the board to make sure changes take effect
       refreshBoard();
       
-      console.log('Game state manually restored successfully');
+      ClientLog.debug('Game state manually restored successfully');
       return true;
     } catch (error) {
       console.error('Error manually restoring game state:', error);
@@ -1053,6 +1047,7 @@ const ChessManager = (function() {
     updateBoard,
     processChessMove,
     processOpponentMove,
+    loadPosition,
     showMoveCosts,
     refreshBoard,
     checkIfPlayerCanMakeAnyMoves,
@@ -0,0 +1,136 @@
+/**
+ * Client Log Module
+ * Structured logging for the browser, matching the records the server writes.
+ * Each record carries the room, socket and player color it belongs to.
+ * Debug records only reach the console when debugging is switched on with ?debug=1
+ * or localStorage 'chessville_debug', but the most recent records are always kept
+ * so they can be attached to a bug report.
+ */
+
+const ClientLog = (function() {
+  // How many records are kept for bug reports
+  const MAX_RECORDS = 500;
+  
+  const records = [];
+  const context = {};
+  let debugEnabled = false;
+  
+  try {
+    debugEnabled = new URLSearchParams(window.location.search).get('debug') === '1' ||
+      localStorage.getItem('chessville_debug') === 'true';
+  } catch (e) {
+    // Without a location or localStorage, debugging stays off
+  }
+  
+  /**
+   * Set fields added to every following record
+   * @param {Object} fields - Any of roomId, socketId and color
+   */
+  function setContext(fields) {
+    Object.assign(context, fields);
+  }
+  
+  /**
+   * Record a log line and print it if its level is shown
+   * @param {string} level - DEBUG, INFO, WARN or ERROR
+   * @param {string} message - What happened
+   * @param {Array} details - Anything else passed along with the message
+   */
+  function write(level, message, details) {
+    const record = Object.assign({
+      time: new Date().toISOString(),
+      level: level,
+      msg: message
+    }, context);
+    if (details.length > 0) {
+      record.data = details.length === 1 ? details[0] : details;
+    }
+    
+    records.push(record);
+    if (records.length > MAX_RECORDS) {
+      records.shift();
+    }
+    
+    if (level === 'ERROR') {
+      console.error(message, ...details);
+    } else if (level === 'WARN') {
+      console.warn(message, ...details);
+    } else if (level === 'INFO' || debugEnabled) {
+      console.log(message, ...details);
+    }
+  }
+  
+  /**
+   * Log diagnostic detail, only shown while debugging
+   * @param {string} message - What happened
+   * @param {...any} details - Values to log with it
+   */
+  function debug(message, ...details) {
+    write('DEBUG', message, details);
+  }
+  
+  /**
+   * Log something worth seeing in every session
+   * @param {string} message - What happened
+   * @param {...any} details - Values to log with it
+   */
+  function info(message, ...details) {
+    write('INFO', message, details);
+  }
+  
+  /**
+   * Log a problem the client recovered from
+   * @param {string} message - What happened
+   * @param {...any} details - Values to log with it
+   */
+  function warn(message, ...details) {
+    write('WARN', message, details);
+  }
+  
+  /**
+   * Log a failure
+   * @param {string} message - What happened
+   * @param {...any} details - Values to log with it
+   */
+  function error(message, ...details) {
+    write('ERROR', message, details);
+  }
+  
+  /**
+   * Get the kept records, oldest first, optionally only those for one room
+   * @param {string} [roomId] - The room to filter by
+   * @returns {Array} The records
+   */
+  function getRecords(roomId) {
+    return roomId ? records.filter(record => record.roomId === roomId) : records.slice();
+  }
+  
+  /**
+   * Switch debug output on or off, remembering the choice for later visits
+   * @param {boolean} enabled - Whether debug records are printed
+   */
+  function setDebug(enabled) {
+    debugEnabled = enabled;
+    try {
+      localStorage.setItem('chessville_debug', enabled ? 'true' : 'false');
+    } catch (e) {
+      // The choice just isn't remembered
+    }
+  }
+  
+  // Public API
+  return {
+    setContext,
+    debug,
+    info,
+    warn,
+    error,
+    getRecords,
+    setDebug
+  };
+})();
+
+// Make the log available globally for browser
+if (typeof window !== 'undefined') {
+  window.ClientLog = ClientLog;
+}
@@ -0,0 +1,64 @@
+/**
+ * Config Diff Module
+ * Lists the individual values that differ between two game configs, so a
+ * change can be explained to players or reviewed before it is applied.
+ * Loads in the browser and in Node.
+ */
+
+const ConfigDiff = (function() {
+  /**
+   * Check if a value is a plain object we should descend into
+   * @param {*} value - The value to check
+   * @returns {boolean} True for non-null, non-array objects
+   */
+  function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+  
+  /**
+   * List the values that differ between two configs
+   * Arrays are compared as a whole; objects are compared key by key
+   * @param {Object} before - The old config
+   * @param {Object} after - The new config
+   * @returns {Array} Changes as { path, before, after }, where a missing value is undefined
+   */
+  function diff(before, after) {
+    const changes = [];
+    
+    function walk(oldValue, newValue, path) {
+      if (isObject(oldValue) && isObject(newValue)) {
+        const keys = new Set(Object.keys(oldValue).concat(Object.keys(newValue)));
+        keys.forEach(key => {
+          walk(oldValue[key], newValue[key], path.concat(key));
+        });
+        return;
+      }
+      
+      if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+        changes.push({
+          path: path.join('.'),
+          before: oldValue,
+          after: newValue
+        });
+      }
+    }
+    
+    walk(before || {}, after || {}, []);
+    return changes;
+  }
+  
+  // Public API
+  return {
+    diff
+  };
+})();
+
+// Make the config diff available globally for browser
+// And also export for Node.js environments
+if (typeof window !== 'undefined') {
+  window.ConfigDiff = ConfigDiff;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConfigDiff;
+}
@@ -0,0 +1,359 @@
+/**
+ * Config Schema Module
+ * Declares every game config setting with its type and allowed range, plus the
+ * rules that tie settings together, and checks a config against them.
+ * The server validates admin changes with it; it loads in the browser as well.
+ */
+
+const ConfigSchema = (function() {
+  // Error codes for a setting that fails validation
+  const ERROR_CODES = {
+    UNKNOWN_FIELD: 'UNKNOWN_FIELD',
+    MISSING_FIELD: 'MISSING_FIELD',
+    INVALID_TYPE: 'INVALID_TYPE',
+    OUT_OF_RANGE: 'OUT_OF_RANGE',
+    INVALID_VALUE: 'INVALID_VALUE',
+    CONSTRAINT: 'CONSTRAINT'
+  };
+  
+  // Keys that would reach an object's prototype when merged, so no setting may use them
+  const RESERVED_KEYS = ['__proto__', 'constructor', 'prototype'];
+  
+  const PIECE_COST = { type: 'integer', min: 0, max: 100 };
+  
+  // Crop names and emoji are shown to every player, and a config can come from an uploaded
+  // game record, so they are held to plain words and emoji. Patterns are strings so the
+  // schema survives being sent as JSON, and are matched with the u flag
+  const CROP = {
+    type: 'object',
+    properties: {
+      name: {
+        type: 'string',
+        label: 'Name',
+        minLength: 1,
+        maxLength: 20,
+        pattern: "^[\\p{L}\\p{N}][\\p{L}\\p{N} '-]*$",
+        patternHint: 'letters, digits, spaces, hyphens and apostrophes, starting with a letter or digit'
+      },
+      emoji: {
+        type: 'string',
+        label: 'Emoji',
+        minLength: 1,
+        maxLength: 8,
+        pattern: '^(?:\\p{Extended_Pictographic}|\\p{Regional_Indicator}|\\p{Emoji_Modifier}|\\u200D|\\uFE0F)+$',
+        patternHint: 'emoji'
+      },
+      cost: { type: 'integer', label: 'Seed cost', min: 0, max: 1000 },
+      turnsTillHarvest: { type: 'integer', label: 'Growth time (turns)', min: 1, max: 50 },
+      yield: { type: 'integer', label: 'Harvest yield', min: 0, max: 10000 }
+    }
+  };
+  
+  // The shape of the whole config - see js/modules/game-config.js for the defaults
+  const SCHEMA = {
+    type: 'object',
+    properties: {
+      startingWheat: { type: 'integer', label: 'Starting wheat', min: 0, max: 10000 },
+      farmConfig: {
+        type: 'object',
+        label: 'Farm',
+        properties: {
+          totalPlots: { type: 'integer', label: 'Total plots', min: 1, max: 12 },
+          startingUnlockedPlots: { type: 'integer', label: 'Starting unlocked plots', min: 0, max: 12 },
+          plotUnlockRequirements: {
+            type: 'array',
+            label: 'Captures needed to unlock each locked plot',
+            itemLabel: 'Locked plot',
+            items: { type: 'integer', min: 0, max: 100 }
+          }
+        }
+      },
+      crops: {
+        type: 'map',
+        label: 'Crops',
+        itemLabel: 'Crop',
+        keyPattern: '^[a-z][a-z0-9-]*$', // A string so the schema survives being sent as JSON
+        minKeys: 1,
+        values: CROP
+      },
+      pieceCosts: {
+        type: 'object',
+        label: 'Move costs',
+        properties: {
+          p: Object.assign({ label: 'Pawn' }, PIECE_COST),
+          n: Object.assign({ label: 'Knight' }, PIECE_COST),
+          b: Object.assign({ label: 'Bishop' }, PIECE_COST),
+          r: Object.assign({ label: 'Rook' }, PIECE_COST),
+          q: Object.assign({ label: 'Queen' }, PIECE_COST),
+          k: Object.assign({ label: 'King' }, PIECE_COST)
+        }
+      },
+      victoryConditions: {
+        type: 'object',
+        label: 'Victory conditions',
+        properties: {
+          checkmate: { type: 'boolean', label: 'Checkmate wins' },
+          economicThreshold: { type: 'integer', label: 'Economic victory threshold', min: 1, max: 100000 },
+          opponentBankruptcy: { type: 'boolean', label: 'Bankrupt opponent loses' }
+        }
+      },
+      turnStructure: {
+        type: 'object',
+        label: 'Turn structure',
+        properties: {
+          phases: {
+            type: 'array',
+            label: 'Phases',
+            itemLabel: 'Phase',
+            minItems: 1,
+            items: { type: 'string', enum: ['farming', 'chess'] }
+          },
+          maxFarmActionsPerTurn: { type: 'integer', label: 'Farm actions per turn', min: 0, max: 10 }
+        }
+      }
+    }
+  };
+  
+  // Rules that involve more than one setting
+  const CONSTRAINTS = [
+    {
+      field: 'farmConfig.startingUnlockedPlots',
+      check: config => config.farmConfig.startingUnlockedPlots <= config.farmConfig.totalPlots,
+      message: config => `Must not be more than the total plots (${config.farmConfig.totalPlots})`
+    },
+    {
+      field: 'farmConfig.plotUnlockRequirements',
+      check: config => config.farmConfig.plotUnlockRequirements.length >=
+        config.farmConfig.totalPlots - config.farmConfig.startingUnlockedPlots,
+      message: config => `Needs a requirement for each of the ${config.farmConfig.totalPlots - config.farmConfig.startingUnlockedPlots} locked plots`
+    },
+    {
+      field: 'victoryConditions.economicThreshold',
+      check: config => config.victoryConditions.economicThreshold > config.startingWheat,
+      message: config => `Must be more than the starting wheat (${config.startingWheat})`
+    }
+  ];
+  
+  /**
+   * Describe the type of a value the way the schema names types
+   * @param {*} value - The value
+   * @returns {string} The type name
+   */
+  function typeOf(value) {
+    if (value === null) {
+      return 'null';
+    }
+    if (Array.isArray(value)) {
+      return 'array';
+    }
+    if (Number.isInteger(value)) {
+      return 'integer';
+    }
+    return typeof value;
+  }
+  
+  /**
+   * Check whether a key is declared by an object schema itself, not inherited from Object.prototype
+   * @param {Object} schema - An object schema
+   * @param {string} key - The key
+   * @returns {boolean} True if the schema declares the key
+   */
+  function declares(schema, key) {
+    return Object.prototype.hasOwnProperty.call(schema.properties, key);
+  }
+  
+  /**
+   * Check one key of a map, collecting any error
+   * @param {Object} schema - The map schema
+   * @param {string} key - The key
+   * @param {string} field - The dotted path of the map
+   * @param {Array} errors - Errors found so far
+   * @returns {boolean} True if the key is allowed
+   */
+  function checkMapKey(schema, key, field, errors) {
+    if (RESERVED_KEYS.includes(key)) {
+      errors.push({ field: join(field, key), code: ERROR_CODES.INVALID_VALUE, message: 'This name is reserved' });
+      return false;
+    }
+    if (schema.keyPattern && !new RegExp(schema.keyPattern).test(key)) {
+      errors.push({ field: join(field, key), code: ERROR_CODES.INVALID_VALUE, message: 'Names must be lowercase letters, digits and dashes' });
+      return false;
+    }
+    return true;
+  }
+  
+  /**
+   * Check one value against its schema, collecting any errors
+   * @param {*} value - The value to check
+   * @param {Object} schema - The schema for the value
+   * @param {string} field - The dotted path of the value
+   * @param {Array} errors - Errors found so far
+   */
+  function checkValue(value, schema, field, errors) {
+    const actual = typeOf(value);
+    const addError = (code, message) => errors.push({ field: field, code: code, message: message });
+    
+    if (value === undefined) {
+      addError(ERROR_CODES.MISSING_FIELD, 'Is required');
+      return;
+    }
+    
+    switch (schema.type) {
+      case 'integer':
+        if (actual !== 'integer') {
+          addError(ERROR_CODES.INVALID_TYPE, `Must be a whole number, got ${actual === 'number' ? value : actual}`);
+        } else if ((schema.min !== undefined && value < schema.min) || (schema.max !== undefined && value > schema.max)) {
+          addError(ERROR_CODES.OUT_OF_RANGE, `Must be between ${schema.min} and ${schema.max}, got ${value}`);
+        }
+        break;
+      
+      case 'boolean':
+        if (actual !== 'boolean') {
+          addError(ERROR_CODES.INVALID_TYPE, `Must be true or false, got ${actual}`);
+        }
+        break;
+      
+      case 'string':
+        if (actual !== 'string') {
+          addError(ERROR_CODES.INVALID_TYPE, `Must be text, got ${actual}`);
+        } else if (schema.enum && !schema.enum.includes(value)) {
+          addError(ERROR_CODES.INVALID_VALUE, `Must be one of ${schema.enum.join(', ')}, got ${value}`);
+        } else if ((schema.minLength && value.length < schema.minLength) || (schema.maxLength && value.length > schema.maxLength)) {
+          addError(ERROR_CODES.OUT_OF_RANGE, `Must be ${schema.minLength || 0} to ${schema.maxLength} characters long`);
+        } else if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+          addError(ERROR_CODES.INVALID_VALUE, `Must only contain ${schema.patternHint}`);
+        }
+        break;
+      
+      case 'array':
+        if (actual !== 'array') {
+          addError(ERROR_CODES.INVALID_TYPE, `Must be a list, got ${actual}`);
+          return;
+        }
+        if (schema.minItems && value.length < schema.minItems) {
+          addError(ERROR_CODES.OUT_OF_RANGE, `Must have at least ${schema.minItems} item(s)`);
+        }
+        value.forEach((item, index) => checkValue(item, schema.items, `${field}.${index}`, errors));
+        break;
+      
+      case 'object':
+        if (actual !== 'object') {
+          addError(ERROR_CODES.INVALID_TYPE, `Must be a group of settings, got ${actual}`);
+          return;
+        }
+        Object.keys(value).forEach(key => {
+          if (!declares(schema, key)) {
+            errors.push({ field: join(field, key), code: ERROR_CODES.UNKNOWN_FIELD, message: 'Unknown setting' });
+          }
+        });
+        Object.keys(schema.properties).forEach(key => {
+          checkValue(value[key], schema.properties[key], join(field, key), errors);
+        });
+        break;
+      
+      case 'map':
+        if (actual !== 'object') {
+          addError(ERROR_CODES.INVALID_TYPE, `Must be a group of settings, got ${actual}`);
+          return;
+        }
+        if (schema.minKeys && Object.keys(value).length < schema.minKeys) {
+          addError(ERROR_CODES.OUT_OF_RANGE, `Must have at least ${schema.minKeys} entry`);
+        }
+        Object.keys(value).forEach(key => {
+          if (checkMapKey(schema, key, field, errors)) {
+            checkValue(value[key], schema.values, join(field, key), errors);
+          }
+        });
+        break;
+    }
+  }
+  
+  /**
+   * Join a parent path and a key into a dotted field name
+   */
+  function join(field, key) {
+    return field ? `${field}.${key}` : key;
+  }
+  
+  /**
+   * Check a complete config against the schema and the cross-field rules
+   * @param {Object} config - The config to check
+   * @returns {Object} Result with valid flag and a list of { field, code, message } errors
+   */
+  function validate(config) {
+    const errors = [];
+    checkValue(config, SCHEMA, '', errors);
+    
+    // Cross-field rules only make sense once every field is well formed
+    if (errors.length === 0) {
+      CONSTRAINTS.forEach(constraint => {
+        if (!constraint.check(config)) {
+          errors.push({ field: constraint.field, code: ERROR_CODES.CONSTRAINT, message: constraint.message(config) });
+        }
+      });
+    }
+    
+    return {
+      valid: errors.length === 0,
+      errors: errors
+    };
+  }
+  
+  /**
+   * Check that every key in a partial update names a setting, walking only the update's own keys
+   * Run before an update is merged into a config, so a key like __proto__ is refused instead of
+   * being merged into Object.prototype. Values are left to validate() once the update is merged
+   * @param {Object} updates - The settings to change, in the shape of the config
+   * @param {Object} [schema] - The schema the updates are for, the whole config by default
+   * @param {string} [field] - The dotted path of the updates
+   * @returns {Object} Result with valid flag and a list of { field, code, message } errors
+   */
+  function validateKeys(updates, schema = SCHEMA, field = '') {
+    const errors = [];
+    
+    Object.keys(updates).forEach(key => {
+      const value = updates[key];
+      let valueSchema = null;
+      
+      if (schema.type === 'object') {
+        if (!declares(schema, key)) {
+          errors.push({ field: join(field, key), code: ERROR_CODES.UNKNOWN_FIELD, message: 'Unknown setting' });
+          return;
+        }
+        valueSchema = schema.properties[key];
+      } else if (schema.type === 'map') {
+        if (!checkMapKey(schema, key, field, errors)) {
+          return;
+        }
+        valueSchema = schema.values;
+      }
+      
+      if (valueSchema && typeOf(value) === 'object' && (valueSchema.type === 'object' || valueSchema.type === 'map')) {
+        errors.push(...validateKeys(value, valueSchema, join(field, key)).errors);
+      }
+    });
+    
+    return {
+      valid: errors.length === 0,
+      errors: errors
+    };
+  }
+  
+  // Public API
+  return {
+    ERROR_CODES,
+    SCHEMA,
+    validate,
+    validateKeys
+  };
+})();
+
+// Make the config schema available globally for browser
+// And also export for Node.js environments
+if (typeof window !== 'undefined') {
+  window.ConfigSchema = ConfigSchema;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConfigSchema;
+}
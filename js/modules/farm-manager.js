@@ -18,8 +18,6 @@ const FarmManager = (function() {
     }
   };
   
-  // Use GameConfig.crops as the single source of truth
-  const CROPS = GameConfig.crops;
   
   /**
    * Standardizes crop data to ensure consistent property names
@@ -45,22 +43,14 @@ const FarmManager = (function() {
    * @returns {Object} - Standardized crop data ready for planting
    */
   function prepareCropForPlanting(cropType) {
-    // Get crop data from the game config
-    const configCrop = GameConfig.crops[cropType];
-    if (!configCrop) {
+    // Get crop data from the shared rules so it matches what the server charges
+    const crop = GameRules.getCrop(GameConfig, cropType);
+    if (!crop) {
       console.error(`Unknown crop type: ${cropType}`);
       return null;
     }
     
-    // Create a standardized crop object with consistent property names
-    return standardizeCropData({
-      type: cropType,
-      name: configCrop.name,
-      cost: configCrop.cost,
-      growthTime: configCrop.turnsTillHarvest,
-      yield: configCrop.yield,
-      emoji: configCrop.emoji
-    });
+    return crop;
   }
   
   // Plot states enum
@@ -83,7 +73,7 @@ const FarmManager = (function() {
     }
     
     try {
-      console.log('Initializing Farm Manager');
+      ClientLog.debug('Initializing Farm Manager');
       
       // Add CSS for turns and ready indicators
       const style = document.createElement('style');
@@ -131,7 +121,7 @@ const FarmManager = (function() {
       // Initialize farm displays
       initializeFarmDisplay();
       
-      console.log('Farm Manager initialized');
+      ClientLog.debug('Farm Manager initialized');
       initialized = true;
       return true;
     } catch (error) {
@@ -153,27 +143,12 @@ const FarmManager = (function() {
       return;
     }
     
-    // Create the farm plots
-    farms[playerColor].plots = [];
-    
-    for (let i = 0; i < GameConfig.farmConfig.totalPlots; i++) {
-      // Determine if the plot is locked or empty
-      const plotState = i < GameConfig.farmConfig.startingUnlockedPlots ? 'empty' : 'locked';
-      
-      farms[playerColor].plots.push({
-        id: `${playerColor}-plot-${i}`,
-        index: i,
-        state: plotState,
-        crop: null,
-        plantedTurn: null,
-        turnsToHarvest: null,
-        unlockRequirement: i >= GameConfig.farmConfig.startingUnlockedPlots 
-          ? GameConfig.farmConfig.plotUnlockRequirements[i - GameConfig.farmConfig.startingUnlockedPlots] 
-          : 0
-      });
-    }
+    // Create the farm plots from the shared rules so they match the server's farm
+    const farm = GameRules.createFarm(GameConfig, playerColor);
+    farms[playerColor].plots = farm.plots;
+    farms[playerColor].unlockedPlots = farm.unlockedPlots;
     
-    console.log(`Farm state initialized for ${playerColor} player`);
+    ClientLog.debug(`Farm state initialized for ${playerColor} player`);
   }
   
   /**
@@ -207,7 +182,7 @@ const FarmManager = (function() {
     // Add event listeners to the plots
     addPlotEventListeners();
     
-    console.log('Farm display initialized');
+    ClientLog.debug('Farm display initialized');
   }
   
   /**
@@ -244,11 +219,10 @@ const FarmManager = (function() {
       // Get the growth stage
       const growthClass = getGrowthClass(plot.turnsToHarvest, turnsTillHarvest);
       
-      plotElement.innerHTML = `
-        <div class="plant ${growthClass}">${cropEmoji}</div>
-        <div class="crop-name">${cropName}</div>
-        <div class="growth-info">${plot.turnsToHarvest} turns to harvest</div>
-      `;
+      // Crop names and emoji come from the config, so they are set as text, never as HTML
+      appendText(plotElement, `plant ${growthClass}`, cropEmoji);
+      appendText(plotElement, 'crop-name', cropName);
+      appendText(plotElement, 'growth-info', `${plot.turnsToHarvest} turns to harvest`);
     } else if (plot.state === 'ready') {
       // Ready to harvest - no longer showing harvest button since harvesting is automatic
       if (!plot.crop) {
@@ -261,11 +235,9 @@ const FarmManager = (function() {
       const cropName = plot.crop.name || plot.crop.type || 'Crop';
       const cropEmoji = plot.crop.emoji || '🌱';
       
-      plotElement.innerHTML = `
-        <div class="plant mature">${cropEmoji}</div>
-        <div class="crop-name">${cropName}</div>
-        <div class="ready-for-harvest">✓ Ready for auto-harvest</div>
-      `;
+      appendText(plotElement, 'plant mature', cropEmoji);
+      appendText(plotElement, 'crop-name', cropName);
+      appendText(plotElement, 'ready-for-harvest', '✓ Ready for auto-harvest');
     } else {
       // Empty plot
       plotElement.innerHTML = `
@@ -276,6 +248,19 @@ const FarmManager = (function() {
     return plotElement;
   }
   
+  /**
+   * Add a div holding some text to a plot element
+   * @param {HTMLElement} plotElement - The plot element
+   * @param {string} className - The div's class
+   * @param {string} text - The text, set as text so it is never parsed as HTML
+   */
+  function appendText(plotElement, className, text) {
+    const element = document.createElement('div');
+    element.className = className;
+    element.textContent = text;
+    plotElement.appendChild(element);
+  }
+  
   /**
    * Add event listeners to the farm plots
    */
@@ -286,7 +271,7 @@ const FarmManager = (function() {
       button.addEventListener('click', handlePlantButtonClick);
     });
     
-    console.log('Added event listeners to farm plot buttons');
+    ClientLog.debug('Added event listeners to farm plot buttons');
   }
   
   /**
@@ -324,93 +309,43 @@ const FarmManager = (function() {
   
   /**
    * Plant a crop in a plot
+   * The rules engine predicts the planting, and the server's farms replace the prediction
    * @param {string} playerColor - Color of the player
    * @param {number} plotIndex - Index of the plot
    * @param {Object} cropData - Data for the crop to plant
    * @returns {boolean} - Whether the planting was successful
    */
   function plantCrop(playerColor, plotIndex, cropData) {
-    console.log(`Attempting to plant crop in plot ${plotIndex} for ${playerColor}`);
-    console.log('Crop data:', cropData);
-    
-    // Get the plot
-    const plot = farms[playerColor].plots[plotIndex];
-    
-    // Check if this plot was just auto-harvested this turn and can be immediately planted on
-    const wasJustHarvested = plot && plot.canPlantAfterHarvest === true;
-    
-    // First check if it's the player's turn and correct phase
-    // If the plot was just auto-harvested, bypass the farm action taken check
-    if (!(GameState.isPlayerTurn() && 
-          GameState.getCurrentGamePhase() === 'farming' && 
-          (wasJustHarvested || !GameState.hasFarmActionBeenTaken()))) {
-      const reason = !GameState.isPlayerTurn() ? "It's not your turn" : 
-                     GameState.getCurrentGamePhase() !== 'farming' ? "Not in farming phase" :
-                     "Farm action already taken";
-      console.error(`Cannot plant crop: ${reason}`);
-      showMessage(`Cannot plant crop: ${reason}`);
-      return false;
-    }
+    ClientLog.debug(`Attempting to plant crop in plot ${plotIndex} for ${playerColor}`);
+    ClientLog.debug('Crop data:', cropData);
     
-    // Then check if it's the player's farm
+    // Check if it's the player's farm
     if (!isPlayersFarm(playerColor)) {
       console.error(`Cannot plant crop: Not ${playerColor}'s farm`);
       return false;
     }
     
-    // Then check if the plot is available
-    if (!isPlotAvailable(playerColor, plotIndex)) {
-      console.error(`Cannot plant crop: Plot ${plotIndex} is not available`);
-      return false;
-    }
-    
-    // Finally check if the crop data is valid
+    // Check if the crop data is valid
     if (!cropData || !cropData.type) {
       console.error('Cannot plant crop: Invalid crop data');
       return false;
     }
     
-    // Standardize the crop data to ensure consistent property names
-    const standardizedCrop = standardizeCropData(cropData);
-    
-    // Check if player has enough resources
-    const seedCost = standardizedCrop.cost;
-    if (!GameState.updateWheat(playerColor, -seedCost)) {
-      console.error(`Not enough wheat to plant crop (required: ${seedCost})`);
-      showMessage(`Not enough wheat to plant crop (required: ${seedCost})`);
+    // The rules engine checks the turn, phase, plot, farm actions and wheat
+    const result = GameState.predictAction({ type: 'plant', plotIndex: plotIndex, cropType: cropData.type });
+    if (!result.ok) {
+      console.error(`Cannot plant crop: ${result.error.message}`);
+      showMessage(`Cannot plant crop: ${result.error.message}`);
       return false;
     }
     
-    // Update farm state with standardized crop data
-    farms[playerColor].plots[plotIndex] = {
-      id: `${playerColor}-plot-${plotIndex}`,
-      index: plotIndex,
-      state: 'planted',
-      crop: standardizedCrop,
-      plantedTurn: GameState.getCurrentTurn(),
-      turnsToHarvest: standardizedCrop.growthTime,
-      player: playerColor, // Add player color for auto-harvest
-      canPlantAfterHarvest: false // Reset this flag
-    };
-    
-    console.log(`Planted ${standardizedCrop.name} in plot ${plotIndex+1} with growth time ${standardizedCrop.growthTime}`);
-    console.log(`Plot ${playerColor}-plot-${plotIndex} turnsToHarvest set to: ${standardizedCrop.growthTime}`);
-    
-    // Register the farm action - this marks that the player has taken an action this turn
-    // Only register if this wasn't planting after auto-harvest
-    if (!wasJustHarvested) {
-      GameState.registerFarmAction();
-    } else {
-      console.log('Planting on just-harvested plot - not counting as a new farm action');
-    }
-    
-    // Update UI
-    displayFarms();
+    const crop = result.state.farms[playerColor].plots[plotIndex].crop;
+    ClientLog.debug(`Planted ${crop.name} in plot ${plotIndex+1} with growth time ${crop.growthTime}`);
     
     // Notify the server
-    SocketManager.sendPlantCrop(plotIndex, standardizedCrop.type);
+    SocketManager.sendPlantCrop(plotIndex, crop.type);
     
-    showMessage(`Planted ${standardizedCrop.name} in plot ${plotIndex+1}`);
+    showMessage(`Planted ${crop.name} in plot ${plotIndex+1}`);
     
     // Auto-skip to chess phase after planting
     setTimeout(() => {
@@ -445,365 +380,16 @@ const FarmManager = (function() {
   }
   
   /**
-   * Check if a player has unlockable plots based on the number of captures
-   * @param {string} playerColor - The player color
-   */
-  function checkUnlockPlot(playerColor) {
-    if (!farms[playerColor]) {
-      console.error(`Invalid player color: ${playerColor}`);
-      return;
-    }
-    
-    const captures = GameState.getCapturedPieces(playerColor);
-    const farmPlots = farms[playerColor].plots;
-    
-    // Check if there are any locked plots
-    for (let i = 0; i < farmPlots.length; i++) {
-      const plot = farmPlots[i];
-      
-      if (plot.state === 'locked' && plot.unlockRequirement <= captures) {
-        // Directly unlock the plot instead of marking it as unlockable
-        plot.state = 'empty';
-        farms[playerColor].unlockedPlots++;
-        
-        console.log(`Plot ${plot.id} automatically unlocked with ${captures} captures`);
-        
-        // Show a message to the player
-        if (playerColor === GameState.getPlayerColor()) {
-          showMessage('New farm plot unlocked!');
-          
-          // Send the update to the server to inform other players
-          SocketManager.sendAutoUnlock(plot.id);
-        }
-        
-        break; // Only unlock one plot at a time
-      }
-    }
-    
-    // Update the farm display
-    updateFarmDisplay();
-  }
-  
-  /**
-   * Process turns for all farm plots and manage crop growth
+   * Refresh the farms at the start of a turn
+   * Crop growth, auto-harvest and plot unlocks happen on the server, which pushes
+   * the resulting farm state to both players before the turn starts
    */
   function processTurn() {
-    console.log('FarmManager.processTurn(): STARTING PROCESSING OF ALL FARM PLOTS');
-    
-    try {
-      // Log farm state before processing
-      const currentTurn = GameState.getCurrentTurn();
-      const currentPhase = GameState.getCurrentGamePhase();
-      console.log(`Current game turn: ${currentTurn}, Phase: ${currentPhase}`);
-      
-      // If this is the beginning of a farming phase, check for ready crops immediately
-      const isBeginningOfFarmPhase = GameState.isPlayerTurn() && currentPhase === 'farming';
-      if (isBeginningOfFarmPhase) {
-        console.log('Beginning of farm phase detected - checking for ready crops to auto-harvest');
-      }
-      
-      let harvestedCrops = 0;
-      
-      // Process white player plots ONLY if it's white's turn and farming phase
-      console.log('Processing WHITE player plots:');
-      farms.white.plots.forEach(plot => {
-        // First check if the plot is ready and auto-harvest if needed
-        if (isBeginningOfFarmPhase && plot.state === PLOT_STATE.READY && 
-            'white' === GameState.getPlayerColor()) {
-          if (autoHarvestCrop(plot)) {
-            plot.wasJustHarvested = true;
-            harvestedCrops++;
-          }
-        } 
-        // Only process white's plots for growth if it's white's turn
-        else if (plot.state === PLOT_STATE.PLANTED && currentTurn === 'white') {
-          processSinglePlot(plot);
-        }
-        
-        // After processing, check again if the plot became ready
-        if (isBeginningOfFarmPhase && plot.state === PLOT_STATE.READY && 
-            'white' === GameState.getPlayerColor()) {
-          if (autoHarvestCrop(plot)) {
-            plot.wasJustHarvested = true;
-            harvestedCrops++;
-          }
-        }
-      });
-      
-      // Process black player plots ONLY if it's black's turn and farming phase
-      console.log('Processing BLACK player plots:');
-      farms.black.plots.forEach(plot => {
-        // First check if the plot is ready and auto-harvest if needed
-        if (isBeginningOfFarmPhase && plot.state === PLOT_STATE.READY && 
-            'black' === GameState.getPlayerColor()) {
-          if (autoHarvestCrop(plot)) {
-            plot.wasJustHarvested = true;
-            harvestedCrops++;
-          }
-        } 
-        // Only process black's plots for growth if it's black's turn
-        else if (plot.state === PLOT_STATE.PLANTED && currentTurn === 'black') {
-          processSinglePlot(plot);
-        }
-        
-        // After processing, check again if the plot became ready
-        if (isBeginningOfFarmPhase && plot.state === PLOT_STATE.READY && 
-            'black' === GameState.getPlayerColor()) {
-          if (autoHarvestCrop(plot)) {
-            plot.wasJustHarvested = true;
-            harvestedCrops++;
-          }
-        }
-      });
-      
-      // Update the display after all processing
-      updateFarmDisplay();
-      
-      // Show a notification if crops were auto-harvested at the beginning of farm phase
-      if (isBeginningOfFarmPhase) {
-        // Check if any plots were in ready state and are now empty
-        const anyHarvested = [...farms.white.plots, ...farms.black.plots].some(
-          plot => plot.state === PLOT_STATE.EMPTY && plot.wasJustHarvested
-        );
-        
-        if (anyHarvested) {
-          showMessage('Some crops were automatically harvested! 🌾', 3000);
-          
-          // Reset the wasJustHarvested flag but keep canPlantAfterHarvest flag
-          [...farms.white.plots, ...farms.black.plots].forEach(plot => {
-            plot.wasJustHarvested = false;
-            // Keep canPlantAfterHarvest flag to allow planting on just-harvested plots
-          });
-        }
-      }
-      
-      // Clear the canPlantAfterHarvest flag at the beginning of the next phase
-      // so it only applies for the current farming phase
-      if (currentPhase === 'chess') {
-        [...farms.white.plots, ...farms.black.plots].forEach(plot => {
-          if (plot.canPlantAfterHarvest) {
-            console.log(`Clearing canPlantAfterHarvest flag for plot ${plot.id}`);
-            plot.canPlantAfterHarvest = false;
-          }
-        });
-      }
-      
-      console.log('FarmManager.processTurn(): COMPLETED PROCESSING OF ALL FARM PLOTS');
-    } catch (error) {
-      console.error('CRITICAL ERROR in FarmManager.processTurn():', error);
-    }
-  }
-  
-  /**
-   * Process a single plot for growth and state changes
-   * @param {Object} plot - The plot to process
-   */
-  function processSinglePlot(plot) {
-    // Only process plots that are planted and have crops
-    if (!plot || plot.state !== PLOT_STATE.PLANTED || !plot.crop) {
-      return;
-    }
-
-    // Get standardized crop data
-    let cropData;
+    updateFarmDisplay();
     
-    // If plot.crop is a string (crop type), get and standardize the data from CROPS
-    if (typeof plot.crop === 'string') {
-      const configCrop = CROPS[plot.crop];
-      if (configCrop) {
-        cropData = standardizeCropData({
-          type: plot.crop,
-          ...configCrop
-        });
-      }
-      console.log(`Processing plot with crop type: ${plot.crop}`);
-    } 
-    // If plot.crop is an object, standardize it
-    else if (typeof plot.crop === 'object') {
-      cropData = standardizeCropData(plot.crop);
-      console.log(`Processing plot with crop object:`, cropData);
-    }
-
-    // If we couldn't get valid crop data, log an error and return
-    if (!cropData) {
-      console.error(`Invalid crop data for plot ${plot.id}`, plot.crop);
-      return;
-    }
-
-    // Only initialize turnsToHarvest if it's not already set
-    // This prevents re-initializing on subsequent turns
-    if (plot.turnsToHarvest === undefined || plot.turnsToHarvest === null) {
-      // Use the crop's growth time from standardized data
-      plot.turnsToHarvest = cropData.growthTime;
-      console.log(`Initialized turnsToHarvest for ${plot.id} to ${plot.turnsToHarvest}`);
-    } else {
-      // Decrement turns to harvest only if it's already initialized
-      // This ensures we don't count down from the wrong starting point
-      console.log(`${plot.id} turnsToHarvest BEFORE decrement: ${plot.turnsToHarvest}`);
-      plot.turnsToHarvest--;
-      console.log(`${plot.id} turns until harvest AFTER decrement: ${plot.turnsToHarvest}`);
-    }
-
-    // Check if crop is ready for harvest
-    if (plot.turnsToHarvest <= 0) {
-      plot.state = PLOT_STATE.READY;
-      console.log(`${plot.id} is ready for harvest!`);
-    }
-
-    // Update the plot display
-    updatePlotDisplay(plot);
-  }
-  
-  /**
-   * Auto-harvest crops that are ready
-   * @param {Object} plot - The plot object
-   */
-  function autoHarvestCrop(plot) {
-    if (!plot) {
-      console.error('autoHarvestCrop called with undefined plot');
-      return false;
-    }
-    
-    // Determine player color from plot ID if not explicitly set
-    let playerColor = plot.player;
-    if (!playerColor && plot.id) {
-      // Extract player color from plot ID (format: "color-plot-index")
-      const idParts = plot.id.split('-');
-      if (idParts.length >= 1) {
-        playerColor = idParts[0];
-        console.log(`Determined player color from plot ID: ${playerColor}`);
-      }
-    }
-    
-    console.log(`AUTO-HARVEST: Attempting to auto-harvest plot ${plot.id} for player ${playerColor}`);
-    
-    try {
-      // Verify the plot is in the READY state
-      if (plot.state !== PLOT_STATE.READY) {
-        console.log(`Plot ${plot.id} is not ready for harvest, state: ${plot.state}`);
-        return false;
-      }
-      
-      // Verify the plot has a valid crop
-      if (!plot.crop) {
-        console.error(`Plot ${plot.id} has no crop to harvest`);
-        // Reset to empty state to avoid further attempts
-        plot.state = PLOT_STATE.EMPTY;
-        updatePlotDisplay(plot);
-        return false;
-      }
-      
-      // Get the standardized crop data
-      let cropData = null;
-      
-      if (typeof plot.crop === 'string') {
-        // If plot.crop is a string (crop type), get the data from CROPS and standardize it
-        const configCrop = CROPS[plot.crop];
-        if (configCrop) {
-          cropData = standardizeCropData({
-            type: plot.crop,
-            ...configCrop
-          });
-        }
-      } else if (plot.crop && typeof plot.crop === 'object') {
-        // If plot.crop is already an object, just standardize it
-        cropData = standardizeCropData(plot.crop);
-      }
-      
-      if (!cropData) {
-        console.error(`Invalid crop data for ${JSON.stringify(plot.crop)} in plot ${plot.id}`);
-        // Reset to empty state to avoid further attempts
-        plot.state = PLOT_STATE.EMPTY;
-        updatePlotDisplay(plot);
-        return false;
-      }
-      
-      // Log all available properties for debugging
-      console.log(`Standardized crop data for harvesting:`, cropData);
-      
-      // Use the standardized yield value
-      const yieldAmount = cropData.yield;
-      
-      console.log(`AUTO-HARVEST: harvesting ${cropData.name} from plot ${plot.id} for ${yieldAmount} wheat`);
-      
-      // Update the player's wheat
-      let success = false;
-      
-      try {
-        // Standard method to update wheat via GameState
-        if (typeof GameState !== 'undefined' && 
-            typeof GameState.updateWheat === 'function' && playerColor) {
-          success = GameState.updateWheat(playerColor, yieldAmount);
-          console.log(`Standard wheat update for ${playerColor}: ${success ? 'SUCCESS' : 'FAILED'}`);
-        }
-      } catch (wheatError) {
-        console.error('Error updating wheat via GameState:', wheatError);
-      }
-      
-      // Emergency fallback: direct resources update if standard method failed
-      if (!success) {
-        try {
-          console.log('Attempting emergency direct resources update...');
-          if (typeof GameState !== 'undefined' && 
-              typeof GameState.getResources === 'function') {
-            const resources = GameState.getResources(playerColor);
-            if (resources && typeof resources.wheat === 'number') {
-              resources.wheat += yieldAmount;
-              console.log(`Emergency update: ${playerColor} wheat set to ${resources.wheat}`);
-              success = true;
-              
-              // Trigger UI update if possible
-              if (typeof UIManager !== 'undefined' && 
-                  typeof UIManager.updateResourceDisplay === 'function') {
-                UIManager.updateResourceDisplay();
-              }
-            }
-          }
-        } catch (emergencyError) {
-          console.error('Error during emergency wheat update:', emergencyError);
-        }
-      }
-      
-      // Always clear the plot after harvesting, regardless of wheat update success
-      // This prevents endless auto-harvest attempts on the same plot
-      plot.state = PLOT_STATE.EMPTY;
-      plot.crop = null;
-      plot.turnsToHarvest = null;
-      updatePlotDisplay(plot);
-      
-      // Important: Auto-harvesting should NOT register as a farm action taken by the player
-      // This allows the player to still plant in this plot during the same turn
-      // We do NOT call GameState.registerFarmAction() here
-      
-      // Mark this plot as available for immediate planting
-      plot.canPlantAfterHarvest = true;
-      
-      // Add more detailed debugging for just-harvested plots
-      console.log(`Set canPlantAfterHarvest=true for plot ${plot.id}`);
-      console.log(`Plot details after harvest:`, {
-        id: plot.id,
-        state: plot.state,
-        player: plot.player,
-        canPlantAfterHarvest: plot.canPlantAfterHarvest
-      });
-      
-      console.log(`AUTO-HARVEST for plot ${plot.id}: ${success ? 'SUCCESSFUL' : 'PARTIALLY FAILED'} - plot cleared and available for planting`);
-      return success;
-    } catch (error) {
-      console.error(`Error in autoHarvestCrop for plot ${plot.id}:`, error);
-      
-      // Attempt to clear the plot despite the error
-      try {
-        plot.state = PLOT_STATE.EMPTY;
-        plot.crop = null;
-        plot.turnsToHarvest = null;
-        updatePlotDisplay(plot);
-        console.log(`Plot ${plot.id} cleared after error during auto-harvest`);
-      } catch (clearError) {
-        console.error(`Failed to clear plot ${plot.id} after error:`, clearError);
-      }
-      
-      return false;
+    // Let the player know their crops were harvested for them
+    if (GameState.isPlayerTurn() && hasJustHarvestedPlots(GameState.getPlayerColor())) {
+      showMessage('Some crops were automatically harvested! 🌾', 3000);
     }
   }
   
@@ -819,7 +405,7 @@ const FarmManager = (function() {
     
     const plotElement = document.getElementById(plot.id);
     if (!plotElement) {
-      console.log(`Plot element not found: ${plot.id}`);
+      ClientLog.debug(`Plot element not found: ${plot.id}`);
       return;
     }
     
@@ -876,21 +462,21 @@ const FarmManager = (function() {
         // Planted plot - show crop and turns to harvest
         let cropData;
         
-        // Get crop data
+        // Get crop data - a planted crop keeps the terms it was planted with,
+        // so the current config only fills in anything missing from the plot
         if (typeof plot.crop === 'string') {
-          cropData = CROPS[plot.crop];
+          cropData = GameConfig.crops[plot.crop];
         } else if (plot.crop && typeof plot.crop === 'object') {
           cropData = plot.crop;
           
-          // Try to get additional data from CROPS if type is available
-          if (plot.crop.type && CROPS[plot.crop.type]) {
-            cropData = Object.assign({}, CROPS[plot.crop.type], cropData);
+          if (plot.crop.type && GameConfig.crops[plot.crop.type]) {
+            cropData = Object.assign({}, GameConfig.crops[plot.crop.type], cropData);
           }
         }
         
         if (cropData) {
           // Get growth stage
-          const totalTurns = cropData.turnsTillHarvest || cropData.growthTime || 2;
+          const totalTurns = cropData.growthTime || cropData.turnsTillHarvest || 2;
           const growthClass = getGrowthClass(plot.turnsToHarvest, totalTurns);
           
           // Create crop icon
@@ -979,158 +565,21 @@ const FarmManager = (function() {
     addPlotEventListeners();
   }
   
-  /**
-   * Process a farm update from the server
-   * @param {string} action - The action type ('plant', 'harvest', 'unlock')
-   * @param {Object} data - The action data
-   */
-  function processFarmUpdate(action, data) {
-    console.log(`Processing farm update: ${action}`, data);
-    
-    switch (action) {
-      case 'plant':
-        processFarmUpdatePlant(data);
-        break;
-      case 'harvest':
-        processFarmUpdateHarvest(data);
-        break;
-      case 'auto-unlock':
-        processFarmUpdateAutoUnlock(data);
-        break;
-      default:
-        console.warn(`Unknown farm action: ${action}`);
-    }
-    
-    // Update the farm display
-    updateFarmDisplay();
-  }
-  
-  /**
-   * Process farm update for planting a crop
-   * @param {Object} data - The update data
-   */
-  function processFarmUpdatePlant(data) {
-    const { plotId, cropType } = data;
-    
-    // Get the plot
-    const plot = getPlotById(plotId);
-    if (!plot) {
-      console.error(`Plot not found: ${plotId}`);
-      return;
-    }
-    
-    // Get the crop data from GameConfig and standardize it
-    const configCrop = GameConfig.crops[cropType];
-    if (!configCrop) {
-      console.error(`Crop type not found: ${cropType}`);
-      return;
-    }
-    
-    // Prepare standardized crop data
-    const standardizedCrop = prepareCropForPlanting(cropType);
-    
-    // Determine the player color from plot ID
-    const playerColor = plotId.startsWith('white-') ? 'white' : 'black';
-    const plotIndex = parseInt(plotId.split('-').pop());
-    
-    // Plant the crop with standardized data
-    plot.state = 'planted';
-    plot.crop = standardizedCrop;
-    plot.plantedTurn = GameState.getCurrentTurn();
-    plot.turnsToHarvest = standardizedCrop.growthTime;
-    
-    console.log(`Opponent planted ${standardizedCrop.name} in plot ${plotId}`);
-    
-    // Update farm display to reflect changes
-    updateFarmDisplay();
-  }
-  
-  /**
-   * Process farm update for harvesting a crop
-   * @param {Object} data - The update data
-   */
-  function processFarmUpdateHarvest(data) {
-    const { plotId } = data;
-    
-    // Get the plot
-    const plot = getPlotById(plotId);
-    if (!plot) {
-      console.error(`Plot not found: ${plotId}`);
-      return;
-    }
-    
-    // Clear the plot
-    plot.state = 'empty';
-    plot.crop = null;
-    plot.turnsToHarvest = 0;
-    
-    console.log(`Opponent harvested crop from plot ${plotId}`);
-    
-    // Update farm display to reflect changes
-    updateFarmDisplay();
-  }
-  
-  /**
-   * Process farm update for automatically unlocking a plot
-   * @param {Object} data - The update data
-   */
-  function processFarmUpdateAutoUnlock(data) {
-    const { plotId } = data;
-    
-    // Get the plot
-    const plot = getPlotById(plotId);
-    if (!plot) {
-      console.error(`Plot not found: ${plotId}`);
-      return;
-    }
-    
-    // Get the player color from the plot ID
-    const playerColor = plotId.startsWith('white') ? 'white' : 'black';
-    
-    // Set the plot to empty (unlocked)
-    if (plot.state === 'locked') {
-      plot.state = 'empty';
-      farms[playerColor].unlockedPlots++;
-      
-      console.log(`Plot ${plotId} was automatically unlocked`);
-      
-      // Update the farm display
-      updateFarmDisplay();
-    }
-  }
-  
   /**
    * Process a farm action received from the server
+   * The opponent's planting, harvests and unlocks arrive as farm actions, followed by the
+   * server's farms, which are what the display shows
    * @param {Object} action - The action object containing type and data
    */
   function processFarmAction(action) {
-    console.log('Processing farm action from server:', action);
+    ClientLog.debug('Processing farm action from server:', action);
     
     if (!action || !action.action || !action.data) {
       console.error('Invalid farm action received:', action);
       return;
     }
     
-    // Handle different action types
-    switch (action.action) {
-      case 'plant':
-        processFarmUpdatePlant(action.data);
-        break;
-      case 'harvest':
-        processFarmUpdateHarvest(action.data);
-        break;
-      case 'unlock':
-        processFarmUpdateUnlock(action.data);
-        break;
-      default:
-        console.warn(`Unknown farm action type: ${action.action}`);
-    }
-    
-    // Update the farm display
-    updateFarmDisplay();
-    
-    // Update resources
-    UIManager.updateResourceDisplay();
+    ClientLog.debug(`Opponent farm action ${action.action} on plot ${action.data.plotId}`);
   }
   
   /**
@@ -1142,20 +591,6 @@ const FarmManager = (function() {
     return playerColor === GameState.getPlayerColor();
   }
   
-  /**
-   * Check if a plot is available for planting
-   * @param {string} playerColor - The player color
-   * @param {number} plotIndex - The plot index
-   * @returns {boolean} True if the plot is available
-   */
-  function isPlotAvailable(playerColor, plotIndex) {
-    if (!farms[playerColor] || !farms[playerColor].plots[plotIndex]) {
-      return false;
-    }
-    
-    return farms[playerColor].plots[plotIndex].state === 'empty';
-  }
-  
   /**
    * Display the updated farms in the UI
    * This is an alias for updateFarmDisplay for backward compatibility
@@ -1165,45 +600,46 @@ const FarmManager = (function() {
   }
   
   /**
-   * Update farms data from server
-   * @param {Object} serverFarms - The farms data from the server
+   * Get both farms, in the rules engine's shape
+   * @returns {Object} The farms keyed by player color, each with plots and unlockedPlots
    */
-  function updateFarmsFromServer(serverFarms) {
-    console.log('Updating farms from server:', serverFarms);
+  function getFarms() {
+    return farms;
+  }
+  
+  /**
+   * Replace both farms, with the server's or with the rules engine's prediction of them
+   * @param {Object} serverFarms - The farms keyed by player color, each with plots and unlockedPlots
+   */
+  function setFarms(serverFarms) {
+    ClientLog.debug('Updating farms:', serverFarms);
     
-    // Update white farm data
-    if (serverFarms.white) {
-      // Update wheat
-      if (typeof serverFarms.white.wheat === 'number') {
-        farms.white.wheat = serverFarms.white.wheat;
+    ['white', 'black'].forEach(color => {
+      const serverFarm = serverFarms[color];
+      if (!serverFarm || !Array.isArray(serverFarm.plots)) {
+        return;
       }
       
-      // Update plots
-      if (Array.isArray(serverFarms.white.plots)) {
-        farms.white.plots = serverFarms.white.plots.map(plot => ({
-          ...plot,
-          // Ensure the plot has an id if not provided
-          id: plot.id || `white-plot-${plot.index || 0}`
-        }));
-      }
-    }
-    
-    // Update black farm data
-    if (serverFarms.black) {
-      // Update wheat
-      if (typeof serverFarms.black.wheat === 'number') {
-        farms.black.wheat = serverFarms.black.wheat;
+      // Tell the player when a capture has unlocked one of their plots
+      const newlyUnlocked = serverFarm.plots.some((plot, index) => 
+        plot.state !== PLOT_STATE.LOCKED && 
+        farms[color].plots[index] && farms[color].plots[index].state === PLOT_STATE.LOCKED
+      );
+      
+      if (newlyUnlocked && isPlayersFarm(color)) {
+        showMessage('New farm plot unlocked!');
       }
       
-      // Update plots
-      if (Array.isArray(serverFarms.black.plots)) {
-        farms.black.plots = serverFarms.black.plots.map(plot => ({
-          ...plot,
-          // Ensure the plot has an id if not provided
-          id: plot.id || `black-plot-${plot.index || 0}`
-        }));
+      farms[color].plots = serverFarm.plots.map(plot => ({
+        ...plot,
+        // Ensure the plot has an id if not provided
+        id: plot.id || `${color}-plot-${plot.index || 0}`
+      }));
+      
+      if (typeof serverFarm.unlockedPlots === 'number') {
+        farms[color].unlockedPlots = serverFarm.unlockedPlots;
       }
-    }
+    });
     
     // Update the farm display to reflect changes
     updateFarmDisplay();
@@ -1290,7 +726,7 @@ const FarmManager = (function() {
       plot.state === PLOT_STATE.EMPTY
     ).length;
     
-    console.log(`Player ${playerColor} has ${emptyUnlockedPlotsCount} empty unlocked plots`);
+    ClientLog.debug(`Player ${playerColor} has ${emptyUnlockedPlotsCount} empty unlocked plots`);
     
     // If there are no empty plots, all plots are full
     return emptyUnlockedPlotsCount === 0;
@@ -1308,9 +744,9 @@ const FarmManager = (function() {
     }
     
     // Log all plots to help debug
-    console.log(`Checking for just harvested plots for ${playerColor}:`);
+    ClientLog.debug(`Checking for just harvested plots for ${playerColor}:`);
     farms[playerColor].plots.forEach((plot, index) => {
-      console.log(`Plot ${playerColor}-plot-${index}:`, {
+      ClientLog.debug(`Plot ${playerColor}-plot-${index}:`, {
         id: plot.id,
         state: plot.state,
         canPlantAfterHarvest: plot.canPlantAfterHarvest || false
@@ -1322,7 +758,7 @@ const FarmManager = (function() {
       plot.canPlantAfterHarvest === true
     ).length;
     
-    console.log(`Player ${playerColor} has ${justHarvestedPlotsCount} just harvested plots available for planting`);
+    ClientLog.debug(`Player ${playerColor} has ${justHarvestedPlotsCount} just harvested plots available for planting`);
     
     // If there are any just harvested plots, return true
     return justHarvestedPlotsCount > 0;
@@ -1339,17 +775,17 @@ const FarmManager = (function() {
         return;
       }
 
-      console.log('🔄 Restoring farm state:', farmState);
+      ClientLog.debug('Restoring farm state:', farmState);
 
       // Check if we have wheat counts to restore
       if (typeof farmState.whiteWheat === 'number' && typeof GameState !== 'undefined') {
-        GameState.updateWheat('white', farmState.whiteWheat);
-        console.log('🔄 Restored white wheat count:', farmState.whiteWheat);
+        GameState.setWheatCounts({ white: farmState.whiteWheat });
+        ClientLog.debug('Restored white wheat count:', farmState.whiteWheat);
       }
 
       if (typeof farmState.blackWheat === 'number' && typeof GameState !== 'undefined') {
-        GameState.updateWheat('black', farmState.blackWheat);
-        console.log('🔄 Restored black wheat count:', farmState.blackWheat);
+        GameState.setWheatCounts({ black: farmState.blackWheat });
+        ClientLog.debug('Restored black wheat count:', farmState.blackWheat);
       }
 
       // Check if we have plot data to restore
@@ -1364,7 +800,7 @@ const FarmManager = (function() {
           crop: plot.crop || null,
           canPlantAfterHarvest: plot.canPlantAfterHarvest || false
         }));
-        console.log('🔄 Restored white plots:', farms.white.plots);
+        ClientLog.debug('Restored white plots:', farms.white.plots);
       }
 
       if (Array.isArray(farmState.blackPlots)) {
@@ -1378,12 +814,12 @@ const FarmManager = (function() {
           crop: plot.crop || null,
           canPlantAfterHarvest: plot.canPlantAfterHarvest || false
         }));
-        console.log('🔄 Restored black plots:', farms.black.plots);
+        ClientLog.debug('Restored black plots:', farms.black.plots);
       }
 
       // Update the farm display to reflect the restored state
       updateFarmDisplay();
-      console.log('🔄 Farm display updated with restored state');
+      ClientLog.debug('Farm display updated with restored state');
     } catch (error) {
       console.error('Error restoring farm state:', error);
     }
@@ -1398,16 +834,14 @@ const FarmManager = (function() {
     updateFarmDisplay: updateFarmDisplay,
     updatePlotDisplay: updatePlotDisplay,
     processTurn: processTurn,
-    processFarmUpdate: processFarmUpdate,
     processFarmAction: processFarmAction,
-    autoHarvestCrop: autoHarvestCrop,
     getState: getState,
-    checkUnlockPlot: checkUnlockPlot,
     
     // Debugging functions (consider removing in production)
     getPlotById: getPlotById,
     displayFarms: displayFarms,
-    updateFarmsFromServer: updateFarmsFromServer,
+    getFarms: getFarms,
+    setFarms: setFarms,
     standardizeCropData: standardizeCropData,
     prepareCropForPlanting: prepareCropForPlanting,
     areAllUnlockedPlotsFull: areAllUnlockedPlotsFull,
@@ -0,0 +1,309 @@
+/**
+ * Game Record Module
+ * The Chessville game record: a versioned JSON file holding everything needed to
+ * recreate a game - the ruleset and config, the players, the initial state, and
+ * every farming and chess action with the events it produced. Unlike PGN it keeps
+ * the whole game state, so a record can be resumed in a new room or replayed for
+ * analysis. Importing a record replays it through the rules engine and checks
+ * that every action still produces the events recorded with it.
+ * Loads in the browser and in Node, like the action log it is built from.
+ */
+
+const GameRecord = (function() {
+  const Rules = typeof GameRules !== 'undefined' ? GameRules : require('./game-rules');
+  const Log = typeof ActionLog !== 'undefined' ? ActionLog : require('./action-log');
+  const Schema = typeof ConfigSchema !== 'undefined' ? ConfigSchema : require('./config-schema');
+  
+  // Identifies a file as a game record
+  const FORMAT = 'chessville-game-record';
+  
+  // Bump whenever the record's shape changes; records from newer versions are refused
+  const VERSION = 1;
+  
+  // Longest game a record may hold - replaying takes a millisecond or two per action, so this
+  // keeps an import to a few seconds while allowing games well past 300 turns
+  const MAX_ACTIONS = 2000;
+  
+  const PLAYER_COLORS = ['white', 'black'];
+  
+  // Longest ruleset id or name a record may hold
+  const MAX_LABEL_LENGTH = 40;
+  
+  // Error codes for a record that can't be imported
+  const ERROR_CODES = {
+    INVALID_RECORD: 'INVALID_RECORD',
+    UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+    INVALID_CONFIG: 'INVALID_CONFIG',
+    REPLAY_FAILED: 'REPLAY_FAILED',
+    RESULT_MISMATCH: 'RESULT_MISMATCH'
+  };
+  
+  /**
+   * Check whether a value is a plain object
+   * @param {*} value - The value
+   * @returns {boolean} True for an object that isn't null or an array
+   */
+  function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+  }
+  
+  /**
+   * Check whether a value can name a ruleset
+   * @param {*} value - The value
+   * @returns {boolean} True for a string of up to MAX_LABEL_LENGTH characters
+   */
+  function isLabel(value) {
+    return typeof value === 'string' && value.length <= MAX_LABEL_LENGTH;
+  }
+  
+  /**
+   * Describe how a game stands
+   * @param {Object} state - A rules state
+   * @returns {Object} Whether the game is over, the winner, the reason and the victory type
+   */
+  function getResult(state) {
+    return {
+      isGameOver: state.isGameOver,
+      winner: state.winner,
+      reason: state.reason,
+      victoryType: state.reason ? Rules.VICTORY_TYPES[state.reason] || state.reason : null
+    };
+  }
+  
+  /**
+   * Build a game record from a room's action log
+   * @param {Array} log - The room's action log
+   * @param {Object} [options] - Details the log doesn't hold
+   * @param {string} [options.roomId] - The room the game was played in
+   * @param {Array} [options.bots] - The colors played by the computer opponent
+   * @returns {Object} The game record
+   */
+  function fromActionLog(log, options = {}) {
+    const replayed = Log.replay(log);
+    if (!replayed.ok) {
+      throw new Error(`The action log can't be replayed: ${replayed.error}`);
+    }
+    
+    const created = log.find(entry => entry.type === Log.ENTRY_TYPES.ROOM_CREATED);
+    const bots = options.bots || [];
+    
+    // A seat's first player is the one the game is recorded under
+    const players = { white: null, black: null };
+    log.filter(entry => entry.type === Log.ENTRY_TYPES.JOIN).forEach(entry => {
+      if (!players[entry.color]) {
+        players[entry.color] = { username: entry.username, isBot: bots.includes(entry.color) };
+      }
+    });
+    
+    return {
+      format: FORMAT,
+      version: VERSION,
+      exportedAt: Date.now(),
+      roomId: options.roomId || null,
+      createdAt: created.timestamp,
+      ruleset: created.ruleset,
+      config: created.config,
+      players: players,
+      initialState: Rules.createInitialState(created.config),
+      actions: log.filter(entry => entry.type === Log.ENTRY_TYPES.ACTION).map(entry => ({
+        timestamp: entry.timestamp,
+        action: entry.action,
+        events: entry.events
+      })),
+      result: getResult(replayed.state)
+    };
+  }
+  
+  /**
+   * Check the parts of a record that can be checked without replaying it
+   * @param {Object} record - The record
+   * @param {Function} addError - Called with the field, code and message of each problem
+   */
+  function checkShape(record, addError) {
+    if (!Number.isInteger(record.version) || record.version < 1) {
+      addError('version', ERROR_CODES.INVALID_RECORD, 'Must be a whole number');
+    } else if (record.version > VERSION) {
+      addError('version', ERROR_CODES.UNSUPPORTED_VERSION, `Version ${record.version} records need a newer server, this one reads up to version ${VERSION}`);
+    }
+    
+    if (record.ruleset !== null && (!isObject(record.ruleset) ||
+        !isLabel(record.ruleset.id) || !isLabel(record.ruleset.name))) {
+      addError('ruleset', ERROR_CODES.INVALID_RECORD, `Must be null or have an id and a name of at most ${MAX_LABEL_LENGTH} characters`);
+    }
+    
+    if (!isObject(record.players)) {
+      addError('players', ERROR_CODES.INVALID_RECORD, 'Must be an object');
+    } else {
+      PLAYER_COLORS.forEach(color => {
+        const player = record.players[color];
+        if (player !== null && player !== undefined &&
+            (!isObject(player) || typeof player.username !== 'string' || player.username.length > 30)) {
+          addError(`players.${color}`, ERROR_CODES.INVALID_RECORD, 'Must be null or have a username of at most 30 characters');
+        }
+      });
+    }
+    
+    if (!isObject(record.config)) {
+      addError('config', ERROR_CODES.INVALID_CONFIG, 'Must be an object');
+    } else {
+      Schema.validate(record.config).errors.forEach(error => {
+        addError(`config.${error.field}`, ERROR_CODES.INVALID_CONFIG, error.message);
+      });
+    }
+    
+    // The initial state is compared with the config's after these checks, which needs its board and ledger
+    const initialState = record.initialState;
+    if (!isObject(initialState)) {
+      addError('initialState', ERROR_CODES.INVALID_RECORD, 'Must be an object');
+    } else {
+      if (typeof initialState.fen !== 'string') {
+        addError('initialState.fen', ERROR_CODES.INVALID_RECORD, 'Must be the board as a FEN string');
+      }
+      if (!isObject(initialState.ledger) || !Array.isArray(initialState.ledger.entries) ||
+          !initialState.ledger.entries.every(isObject)) {
+        addError('initialState.ledger', ERROR_CODES.INVALID_RECORD, 'Must have a list of ledger entries');
+      }
+    }
+    
+    if (!Array.isArray(record.actions)) {
+      addError('actions', ERROR_CODES.INVALID_RECORD, 'Must be a list');
+    } else if (record.actions.length > MAX_ACTIONS) {
+      addError('actions', ERROR_CODES.INVALID_RECORD, `Must have at most ${MAX_ACTIONS} actions`);
+    } else {
+      record.actions.forEach((entry, index) => {
+        if (!isObject(entry) || !isObject(entry.action) || !Array.isArray(entry.events)) {
+          addError(`actions.${index}`, ERROR_CODES.INVALID_RECORD, 'Must have an action and its events');
+        }
+      });
+    }
+  }
+  
+  /**
+   * Describe a position for stepping through a game
+   * @param {Object} state - A rules state
+   * @param {number} index - How many actions led to it
+   * @returns {Object} Board, turn, phase, wheat and farms
+   */
+  function toPosition(state, index) {
+    return {
+      index: index,
+      fen: state.fen,
+      turn: state.turn,
+      turnNumber: state.turnNumber,
+      phase: state.phase,
+      wheatCounts: Rules.getWheatCounts(state),
+      farms: state.farms,
+      isGameOver: state.isGameOver
+    };
+  }
+  
+  /**
+   * Check a record and rebuild the game it holds
+   * Every action is replayed through the rules engine and must produce the events recorded with it
+   * @param {Object} record - The record, e.g. parsed from an uploaded file
+   * @param {Object} [options] - What to return besides the result
+   * @param {Object} [options.positions] - Also list positions, { from, limit }: position 0 is before the
+   *   first action and position n is after the nth. Lists limit positions starting at from, or all of them
+   * @returns {Object} Result with valid flag and errors ({ field, code, message }); a valid record
+   *   also gets the config, the final state and, if asked for, the positions
+   */
+  function validate(record, options = {}) {
+    const errors = [];
+    const addError = (field, code, message) => errors.push({ field: field, code: code, message: message });
+    const invalid = () => ({ valid: false, errors: errors });
+    
+    if (!isObject(record) || record.format !== FORMAT) {
+      addError('format', ERROR_CODES.INVALID_RECORD, 'Not a Chessville game record');
+      return invalid();
+    }
+    
+    checkShape(record, addError);
+    if (errors.length > 0) {
+      return invalid();
+    }
+    
+    const config = record.config;
+    let state = Rules.createInitialState(config);
+    if (Log.comparableState(record.initialState) !== Log.comparableState(state)) {
+      addError('initialState', ERROR_CODES.RESULT_MISMATCH, 'Does not match the initial state of the recorded config');
+      return invalid();
+    }
+    
+    const positions = options.positions ? [] : null;
+    const firstPosition = options.positions ? options.positions.from || 0 : 0;
+    const endPosition = options.positions && options.positions.limit !== undefined ?
+      firstPosition + options.positions.limit : Infinity;
+    const addPosition = index => {
+      if (positions && index >= firstPosition && index < endPosition) {
+        positions.push(toPosition(state, index));
+      }
+    };
+    
+    addPosition(0);
+    for (let index = 0; index < record.actions.length; index++) {
+      const entry = record.actions[index];
+      const result = Rules.applyAction(state, entry.action, config);
+      if (!result.ok) {
+        addError(`actions.${index}`, ERROR_CODES.REPLAY_FAILED, result.error.message);
+        return invalid();
+      }
+      if (JSON.stringify(result.events) !== JSON.stringify(entry.events)) {
+        addError(`actions.${index}.events`, ERROR_CODES.RESULT_MISMATCH, 'Replaying the action gives different events');
+        return invalid();
+      }
+      
+      state = result.state;
+      addPosition(index + 1);
+    }
+    
+    if (isObject(record.result) && JSON.stringify(record.result) !== JSON.stringify(getResult(state))) {
+      addError('result', ERROR_CODES.RESULT_MISMATCH, 'Does not match the result of replaying the actions');
+      return invalid();
+    }
+    
+    return { valid: true, errors: [], config: config, state: state, positions: positions };
+  }
+  
+  /**
+   * Turn a valid record back into an action log, to carry on the game in a new room
+   * @param {Object} record - A record that passed validate()
+   * @param {Object} ruleset - The ruleset to log the game under. The record's own is only a claim,
+   *   so the server checks it against its presets first
+   * @returns {Array} The action log
+   */
+  function toActionLog(record, ruleset) {
+    const log = Log.createLog();
+    Log.recordRoomCreated(log, record.config, ruleset);
+    
+    PLAYER_COLORS.forEach(color => {
+      if (record.players[color]) {
+        Log.recordJoin(log, color, record.players[color].username, false);
+      }
+    });
+    record.actions.forEach(entry => {
+      Log.recordAction(log, entry.action, entry.events);
+    });
+    
+    return log;
+  }
+  
+  // Public API
+  return {
+    FORMAT,
+    VERSION,
+    ERROR_CODES,
+    fromActionLog,
+    validate,
+    toActionLog
+  };
+})();
+
+// Make the game record available globally for browser
+// And also export for Node.js environments
+if (typeof window !== 'undefined') {
+  window.GameRecord = GameRecord;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GameRecord;
+}
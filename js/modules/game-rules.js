@@ -0,0 +1,570 @@
+/**
+ * Game Rules Module
+ * Pure rules engine shared by the browser modules and the server.
+ * Takes a game state and an action and returns the next state plus the events
+ * the action produced. The server uses it to validate actions, the client uses
+ * it to predict their outcome before the server answers.
+ */
+const GameRules = (function() {
+  // chess.js is a global in the browser and a package in Node
+  const ChessEngine = typeof Chess !== 'undefined' ? Chess : require('chess.js').Chess;
+  const Ledger = typeof WheatLedger !== 'undefined' ? WheatLedger : require('./wheat-ledger');
+  
+  const PLAYER_COLORS = ['white', 'black'];
+  
+  // Error codes returned when an action is rejected
+  const ERROR_CODES = {
+    GAME_OVER: 'GAME_OVER',
+    NOT_YOUR_TURN: 'NOT_YOUR_TURN',
+    WRONG_PHASE: 'WRONG_PHASE',
+    ILLEGAL_MOVE: 'ILLEGAL_MOVE',
+    INSUFFICIENT_WHEAT: 'INSUFFICIENT_WHEAT',
+    INVALID_FARM_ACTION: 'INVALID_FARM_ACTION',
+    UNKNOWN_CROP: 'UNKNOWN_CROP',
+    UNKNOWN_ACTION: 'UNKNOWN_ACTION'
+  };
+  
+  // Victory types shown in reports and game records, keyed by game-over reason
+  const VICTORY_TYPES = {
+    checkmate: 'checkmate',
+    economic: 'economic',
+    'resource-starvation': 'bankruptcy'
+  };
+  
+  /**
+   * Get the opponent of a player
+   * @param {string} color - The player color ('white' or 'black')
+   * @returns {string} The opponent's color
+   */
+  function getOpponent(color) {
+    return color === 'white' ? 'black' : 'white';
+  }
+  
+  /**
+   * Deep copy a state so actions never mutate their input
+   * @param {Object} state - The state to copy
+   * @returns {Object} The copy
+   */
+  function cloneState(state) {
+    return JSON.parse(JSON.stringify(state));
+  }
+  
+  /**
+   * Get the standardized data for a crop type
+   * @param {Object} config - The game configuration
+   * @param {string} cropType - The crop type (wheat, corn, ...)
+   * @returns {Object|null} The crop data, or null for an unknown crop
+   */
+  function getCrop(config, cropType) {
+    // Only the config's own crops - a name like "constructor" would otherwise find Object's
+    if (!Object.prototype.hasOwnProperty.call(config.crops, cropType)) {
+      return null;
+    }
+    
+    const configCrop = config.crops[cropType];
+    return {
+      type: cropType,
+      name: configCrop.name,
+      cost: configCrop.cost,
+      growthTime: configCrop.turnsTillHarvest,
+      yield: configCrop.yield,
+      emoji: configCrop.emoji
+    };
+  }
+  
+  /**
+   * Get the wheat cost of moving a piece
+   * @param {Object} config - The game configuration
+   * @param {string} pieceType - The chess.js piece type (p, n, b, r, q, k)
+   * @returns {number} The move cost
+   */
+  function getMoveCost(config, pieceType) {
+    return config.pieceCosts[pieceType] || 0;
+  }
+  
+  /**
+   * Create the plots of a new farm
+   * @param {Object} config - The game configuration
+   * @param {string} color - The player color owning the farm
+   * @returns {Object} The farm with its plots and unlocked plot count
+   */
+  function createFarm(config, color) {
+    const farmConfig = config.farmConfig;
+    const plots = [];
+    
+    for (let i = 0; i < farmConfig.totalPlots; i++) {
+      const isUnlocked = i < farmConfig.startingUnlockedPlots;
+      
+      plots.push({
+        id: `${color}-plot-${i}`,
+        index: i,
+        state: isUnlocked ? 'empty' : 'locked',
+        crop: null,
+        plantedTurn: null,
+        turnsToHarvest: null,
+        unlockRequirement: isUnlocked ? 0 : farmConfig.plotUnlockRequirements[i - farmConfig.startingUnlockedPlots],
+        canPlantAfterHarvest: false,
+        player: color
+      });
+    }
+    
+    return {
+      plots: plots,
+      unlockedPlots: Math.min(farmConfig.startingUnlockedPlots, farmConfig.totalPlots)
+    };
+  }
+  
+  /**
+   * Create the state of a new game
+   * @param {Object} config - The game configuration
+   * @returns {Object} The initial game state
+   */
+  function createInitialState(config) {
+    const state = {
+      fen: new ChessEngine().fen(),
+      turn: 'white',
+      phase: 'farming',
+      turnNumber: 1,
+      farmActionsTaken: 0,
+      moveMade: false,
+      ledger: Ledger.createLedger(config.startingWheat),
+      captures: {},
+      farms: {},
+      isGameOver: false,
+      winner: null,
+      reason: null
+    };
+    
+    PLAYER_COLORS.forEach(color => {
+      state.captures[color] = 0;
+      state.farms[color] = createFarm(config, color);
+    });
+    
+    return state;
+  }
+  
+  /**
+   * Get both players' wheat balances
+   * @param {Object} state - The game state
+   * @returns {Object} Balances keyed by player color
+   */
+  function getWheatCounts(state) {
+    return Ledger.getBalances(state.ledger);
+  }
+  
+  /**
+   * Get the legal moves the player to move can afford
+   * @param {Object} state - The game state
+   * @param {Object} config - The game configuration
+   * @returns {Array} Verbose chess.js moves
+   */
+  function getAffordableMoves(state, config) {
+    const chess = new ChessEngine(state.fen);
+    const color = chess.turn() === 'w' ? 'white' : 'black';
+    const wheat = Ledger.getBalance(state.ledger, color);
+    
+    return chess.moves({ verbose: true }).filter(move => wheat >= getMoveCost(config, move.piece));
+  }
+  
+  /**
+   * Work out whether the game has ended, using the enabled victory conditions
+   * Bankruptcy is only judged before the player to move has moved, since the
+   * opponent still has a harvest to come before their own turn
+   * @param {Object} state - The game state
+   * @param {Object} config - The game configuration
+   * @returns {Object|null} The winner (null for a draw) and reason, or null if the game goes on
+   */
+  function getOutcome(state, config) {
+    const victoryConditions = config.victoryConditions || {};
+    const chess = new ChessEngine(state.fen);
+    const sideToMove = chess.turn() === 'w' ? 'white' : 'black';
+    
+    if (chess.in_checkmate()) {
+      return victoryConditions.checkmate === false ?
+        { winner: null, reason: 'draw' } :
+        { winner: getOpponent(sideToMove), reason: 'checkmate' };
+    }
+    
+    if (chess.in_stalemate() || chess.in_draw()) {
+      return { winner: null, reason: 'draw' };
+    }
+    
+    if (victoryConditions.economicThreshold) {
+      const richPlayer = PLAYER_COLORS.find(color =>
+        Ledger.getBalance(state.ledger, color) >= victoryConditions.economicThreshold
+      );
+      
+      if (richPlayer) {
+        return { winner: richPlayer, reason: 'economic' };
+      }
+    }
+    
+    if (victoryConditions.opponentBankruptcy && !state.moveMade &&
+        getAffordableMoves(state, config).length === 0) {
+      return { winner: getOpponent(state.turn), reason: 'resource-starvation' };
+    }
+    
+    return null;
+  }
+  
+  /**
+   * End the game if the state has reached one of its outcomes
+   * @param {Object} state - The game state (mutated)
+   * @param {Object} config - The game configuration
+   * @param {Array} events - The events list to append to
+   */
+  function checkGameOver(state, config, events) {
+    const outcome = getOutcome(state, config);
+    
+    if (outcome) {
+      endGame(state, outcome.winner, outcome.reason, events);
+    }
+  }
+  
+  /**
+   * Mark the game as over
+   * @param {Object} state - The game state (mutated)
+   * @param {string|null} winner - The winning color, or null for a draw
+   * @param {string} reason - How the game ended (checkmate, economic, resignation, ...)
+   * @param {Array} events - The events list to append to
+   * @param {string} [message] - Free-text explanation, added to the event
+   */
+  function endGame(state, winner, reason, events, message) {
+    state.isGameOver = true;
+    state.winner = winner;
+    state.reason = reason;
+    
+    const event = { type: 'game-over', winner: winner, reason: reason };
+    if (message) {
+      event.message = message;
+    }
+    events.push(event);
+  }
+  
+  /**
+   * Build the result of a rejected action
+   * @param {Object} state - The unchanged game state
+   * @param {string} code - One of ERROR_CODES
+   * @param {string} message - Human readable reason
+   * @returns {Object} The rejected result
+   */
+  function reject(state, code, message) {
+    return {
+      ok: false,
+      state: state,
+      events: [],
+      error: { code: code, message: message }
+    };
+  }
+  
+  /**
+   * Charge a player and record the matching event
+   * @returns {Object} The ledger result
+   */
+  function chargeWheat(state, color, amount, reason, details, events) {
+    const result = Ledger.debit(state.ledger, color, amount, reason, details);
+    
+    if (result.success) {
+      events.push({ type: 'wheat-changed', color: color, amount: -amount, balance: result.balance, reason: reason });
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Unlock every locked plot the player has enough captures for
+   * @param {Object} state - The game state (mutated)
+   * @param {string} color - The player color
+   * @param {Array} events - The events list to append to
+   */
+  function unlockPlots(state, color, events) {
+    const farm = state.farms[color];
+    
+    farm.plots.forEach(plot => {
+      if (plot.state === 'locked' && plot.unlockRequirement <= state.captures[color]) {
+        plot.state = 'empty';
+        farm.unlockedPlots++;
+        events.push({ type: 'plot-unlocked', color: color, plotIndex: plot.index });
+      }
+    });
+  }
+  
+  /**
+   * Grow a player's crops at the start of their turn and harvest the ripe ones
+   * @param {Object} state - The game state (mutated)
+   * @param {string} color - The player whose turn starts
+   * @param {Array} events - The events list to append to
+   */
+  function growCrops(state, color, events) {
+    state.farms[color].plots.forEach(plot => {
+      if (plot.state !== 'planted' || !plot.crop) {
+        return;
+      }
+      
+      plot.turnsToHarvest--;
+      
+      if (plot.turnsToHarvest > 0) {
+        events.push({ type: 'crop-grew', color: color, plotIndex: plot.index, turnsToHarvest: plot.turnsToHarvest });
+        return;
+      }
+      
+      const crop = plot.crop;
+      const result = Ledger.credit(state.ledger, color, crop.yield, 'harvest', { plotIndex: plot.index, cropType: crop.type });
+      
+      plot.state = 'empty';
+      plot.crop = null;
+      plot.plantedTurn = null;
+      plot.turnsToHarvest = null;
+      plot.canPlantAfterHarvest = true;
+      
+      events.push({ type: 'crop-harvested', color: color, plotIndex: plot.index, crop: crop });
+      events.push({ type: 'wheat-changed', color: color, amount: crop.yield, balance: result.balance, reason: 'harvest' });
+    });
+  }
+  
+  /**
+   * Plant a crop on one of the player's plots during the farming phase
+   */
+  function applyPlant(state, action, config, events) {
+    if (state.phase !== 'farming') {
+      return reject(state, ERROR_CODES.WRONG_PHASE, 'Crops can only be planted during the farming phase');
+    }
+    
+    const plot = state.farms[action.color].plots[action.plotIndex];
+    if (!plot || plot.state !== 'empty') {
+      return reject(state, ERROR_CODES.INVALID_FARM_ACTION, `Plot ${action.plotIndex} is not available for planting`);
+    }
+    
+    const maxFarmActions = config.turnStructure ? config.turnStructure.maxFarmActionsPerTurn : 1;
+    if (!plot.canPlantAfterHarvest && state.farmActionsTaken >= maxFarmActions) {
+      return reject(state, ERROR_CODES.INVALID_FARM_ACTION, 'Farm action already taken this turn');
+    }
+    
+    const crop = getCrop(config, action.cropType);
+    if (!crop) {
+      return reject(state, ERROR_CODES.UNKNOWN_CROP, `Unknown crop type: ${action.cropType}`);
+    }
+    
+    const charge = chargeWheat(state, action.color, crop.cost, 'plant', { plotIndex: plot.index, cropType: crop.type }, events);
+    if (!charge.success) {
+      return reject(state, ERROR_CODES.INSUFFICIENT_WHEAT, charge.error);
+    }
+    
+    // Replanting a plot harvested this turn doesn't use up the farm action
+    if (!plot.canPlantAfterHarvest) {
+      state.farmActionsTaken++;
+    }
+    
+    plot.state = 'planted';
+    plot.crop = crop;
+    plot.plantedTurn = state.turnNumber;
+    plot.turnsToHarvest = crop.growthTime;
+    plot.canPlantAfterHarvest = false;
+    
+    events.push({ type: 'crop-planted', color: action.color, plotIndex: plot.index, crop: crop });
+    return null;
+  }
+  
+  /**
+   * Leave the farming phase without planting
+   */
+  function applySkipFarming(state, action, config, events) {
+    if (state.phase !== 'farming') {
+      return reject(state, ERROR_CODES.WRONG_PHASE, 'The farming phase is already over');
+    }
+    
+    state.phase = 'chess';
+    events.push({ type: 'phase-changed', color: action.color, phase: 'chess' });
+    return null;
+  }
+  
+  /**
+   * Make a chess move during the chess phase, charging its wheat cost
+   */
+  function applyMove(state, action, config, events) {
+    if (state.phase !== 'chess') {
+      return reject(state, ERROR_CODES.WRONG_PHASE, 'Pieces can only be moved during the chess phase');
+    }
+    
+    if (state.moveMade) {
+      return reject(state, ERROR_CODES.WRONG_PHASE, 'A move has already been made this turn');
+    }
+    
+    const move = action.move || {};
+    if (typeof move.from !== 'string' || typeof move.to !== 'string') {
+      return reject(state, ERROR_CODES.ILLEGAL_MOVE, 'Move must include from and to squares');
+    }
+    
+    const chess = new ChessEngine(state.fen);
+    const result = chess.move({
+      from: move.from,
+      to: move.to,
+      promotion: move.promotion || 'q'
+    });
+    
+    if (!result) {
+      return reject(state, ERROR_CODES.ILLEGAL_MOVE, `Illegal move from ${move.from} to ${move.to}`);
+    }
+    
+    const cost = getMoveCost(config, result.piece);
+    const charge = chargeWheat(state, action.color, cost, 'move', { piece: result.piece, from: result.from, to: result.to }, events);
+    if (!charge.success) {
+      return reject(state, ERROR_CODES.INSUFFICIENT_WHEAT, charge.error);
+    }
+    
+    state.fen = chess.fen();
+    state.moveMade = true;
+    
+    events.push({
+      type: 'piece-moved',
+      color: action.color,
+      move: result,
+      cost: cost,
+      check: chess.in_check(),
+      checkmate: chess.in_checkmate()
+    });
+    
+    if (result.captured) {
+      state.captures[action.color]++;
+      events.push({ type: 'piece-captured', color: action.color, piece: result.captured, captures: state.captures[action.color] });
+      unlockPlots(state, action.color, events);
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Hand the turn to the opponent and start their turn by growing their crops
+   */
+  function applyEndTurn(state, action, config, events) {
+    if (!state.moveMade) {
+      return reject(state, ERROR_CODES.WRONG_PHASE, 'A chess move must be made before ending the turn');
+    }
+    
+    // Replanting harvested plots is only allowed during the turn of the harvest
+    state.farms[action.color].plots.forEach(plot => {
+      plot.canPlantAfterHarvest = false;
+    });
+    
+    const nextColor = getOpponent(action.color);
+    state.turn = nextColor;
+    state.phase = 'farming';
+    state.turnNumber++;
+    state.farmActionsTaken = 0;
+    state.moveMade = false;
+    
+    events.push({ type: 'turn-changed', color: nextColor, turnNumber: state.turnNumber });
+    growCrops(state, nextColor, events);
+    return null;
+  }
+  
+  /**
+   * Concede the game to the opponent
+   */
+  function applyResign(state, action, config, events) {
+    endGame(state, getOpponent(action.color), 'resignation', events);
+    return null;
+  }
+  
+  /**
+   * End the game from outside it, e.g. an admin stopping an abandoned or abusive game
+   * The action has no color; it names the winner (null for no winner) and a message
+   */
+  function applyEndGame(state, action, config, events) {
+    const winner = action.winner || null;
+    if (winner !== null && !PLAYER_COLORS.includes(winner)) {
+      return reject(state, ERROR_CODES.UNKNOWN_ACTION, `Invalid winner: ${winner}`);
+    }
+    
+    endGame(state, winner, 'ended-by-admin', events, action.message);
+    return null;
+  }
+  
+  // Action type to handler
+  const ACTION_HANDLERS = {
+    'plant': applyPlant,
+    'skip-farming': applySkipFarming,
+    'move': applyMove,
+    'end-turn': applyEndTurn,
+    'resign': applyResign,
+    'end-game': applyEndGame
+  };
+  
+  // Actions a player may take when it isn't their turn
+  const OFF_TURN_ACTIONS = ['resign'];
+  
+  // Actions taken by the server rather than a player, so they have no color or turn
+  const SERVER_ACTIONS = ['end-game'];
+  
+  /**
+   * Apply an action to a game state
+   * @param {Object} state - The current game state (not modified)
+   * @param {Object} action - The action, with a type and the acting color
+   * @param {Object} config - The game configuration
+   * @returns {Object} Result with ok flag, the next state, the events and an error when rejected
+   */
+  function applyAction(state, action, config) {
+    if (!action || !ACTION_HANDLERS[action.type]) {
+      return reject(state, ERROR_CODES.UNKNOWN_ACTION, `Unknown action: ${action && action.type}`);
+    }
+    
+    if (state.isGameOver) {
+      return reject(state, ERROR_CODES.GAME_OVER, 'The game is over');
+    }
+    
+    if (!SERVER_ACTIONS.includes(action.type)) {
+      if (!PLAYER_COLORS.includes(action.color)) {
+        return reject(state, ERROR_CODES.UNKNOWN_ACTION, `Invalid player color: ${action.color}`);
+      }
+    
+      if (action.color !== state.turn && !OFF_TURN_ACTIONS.includes(action.type)) {
+        return reject(state, ERROR_CODES.NOT_YOUR_TURN, "It's not your turn");
+      }
+    }
+    
+    const nextState = cloneState(state);
+    const events = [];
+    const rejection = ACTION_HANDLERS[action.type](nextState, action, config, events);
+    
+    if (rejection) {
+      // Handlers reject against the working copy, report the untouched state instead
+      rejection.state = state;
+      return rejection;
+    }
+    
+    if (!nextState.isGameOver) {
+      checkGameOver(nextState, config, events);
+    }
+    
+    return {
+      ok: true,
+      state: nextState,
+      events: events
+    };
+  }
+  
+  // Public API
+  return {
+    ERROR_CODES,
+    VICTORY_TYPES,
+    getOpponent,
+    getCrop,
+    getMoveCost,
+    createFarm,
+    createInitialState,
+    getWheatCounts,
+    getAffordableMoves,
+    getOutcome,
+    applyAction
+  };
+})();
+
+// Make the rules available globally for browser
+// And also export for Node.js environments
+if (typeof window !== 'undefined') {
+  window.GameRules = GameRules;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GameRules;
+}
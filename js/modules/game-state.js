@@ -8,14 +8,16 @@ const GameState = (function() {
   let gameActive = false;
   let roomId = null;
   let playerColor = null;
+  let spectating = false; // Watching a room read-only rather than playing
   let opponentConnected = false;
   let currentTurn = 'white';
+  let turnNumber = 1; // The server's turn count, which stamps when crops were planted
   let currentGamePhase = 'farming'; // 'farming' or 'chess'
   let gamePhaseCompleted = {
     farming: false,
     chess: false
   };
-  let farmActionTaken = false;
+  let farmActionsTaken = 0; // Counted the way the rules engine counts them
   
   // Player resources
   let resources = {
@@ -32,6 +34,9 @@ const GameState = (function() {
   // Game winner 
   let winner = null;
   
+  // Secret token from the server that lets this player reclaim their seat
+  let reconnectToken = null;
+  
   /**
    * Initialize the game state
    * @returns {boolean} True if initialization was successful
@@ -43,7 +48,7 @@ const GameState = (function() {
     }
     
     try {
-      console.log('Game State initialized');
+      ClientLog.debug('Game State initialized');
       initialized = true;
       return true;
     } catch (error) {
@@ -59,12 +64,13 @@ const GameState = (function() {
     gameActive = false;
     opponentConnected = false;
     currentTurn = 'white';
+    turnNumber = 1;
     currentGamePhase = 'farming';
     gamePhaseCompleted = {
       farming: false,
       chess: false
     };
-    farmActionTaken = false;
+    farmActionsTaken = 0;
     resources = {
       white: {
         wheat: GameConfig.startingWheat,
@@ -86,8 +92,30 @@ const GameState = (function() {
   function setupGame(roomIdParam, colorParam) {
     roomId = roomIdParam;
     playerColor = colorParam;
+    spectating = false;
     resetGame();
-    console.log(`Game setup complete. Room: ${roomId}, Player color: ${playerColor}`);
+    ClientLog.debug(`Game setup complete. Room: ${roomId}, Player color: ${playerColor}`);
+  }
+  
+  /**
+   * Set up watching a game as a spectator
+   * The board is shown from white's side and it is never the spectator's turn
+   * @param {string} roomIdParam - The room ID for the game
+   */
+  function setupSpectator(roomIdParam) {
+    roomId = roomIdParam;
+    playerColor = 'white';
+    spectating = true;
+    resetGame();
+    ClientLog.debug(`Spectator setup complete. Room: ${roomId}`);
+  }
+  
+  /**
+   * Check if we are watching rather than playing
+   * @returns {boolean} True if spectating
+   */
+  function isSpectating() {
+    return spectating;
   }
   
   /**
@@ -101,7 +129,7 @@ const GameState = (function() {
     
     gameActive = true;
     opponentConnected = true;
-    console.log('Game started');
+    ClientLog.debug('Game started');
     return true;
   }
   
@@ -110,8 +138,8 @@ const GameState = (function() {
    * @returns {boolean} True if it's the player's turn
    */
   function isPlayerTurn() {
-    const result = gameActive && currentTurn === playerColor;
-    console.log(`isPlayerTurn check: gameActive=${gameActive}, currentTurn=${currentTurn}, playerColor=${playerColor}, result=${result}`);
+    const result = !spectating && gameActive && currentTurn === playerColor;
+    ClientLog.debug(`isPlayerTurn check: gameActive=${gameActive}, currentTurn=${currentTurn}, playerColor=${playerColor}, result=${result}`);
     return result;
   }
   
@@ -140,12 +168,12 @@ const GameState = (function() {
     // Reset the completed status for the new phase
     gamePhaseCompleted[phase] = false;
     
-    // If switching to farming phase, reset the farm action flag
+    // If switching to farming phase, reset the farm action count
     if (phase === 'farming') {
-      farmActionTaken = false;
+      farmActionsTaken = 0;
     }
     
-    console.log(`Game phase changed to: ${phase}`);
+    ClientLog.debug(`Game phase changed to: ${phase}`);
     
     // Update the UI to reflect the new phase
     UIManager.updateGamePhaseIndicator();
@@ -155,7 +183,7 @@ const GameState = (function() {
       // Use setTimeout to ensure this runs after the phase change is complete
       setTimeout(() => {
         if (typeof ChessManager !== 'undefined' && ChessManager.refreshBoard) {
-          console.log('Refreshing chess board on phase change to chess');
+          ClientLog.debug('Refreshing chess board on phase change to chess');
           ChessManager.refreshBoard();
         }
       }, 100);
@@ -167,7 +195,7 @@ const GameState = (function() {
    */
   function completeCurrentGamePhase() {
     gamePhaseCompleted[currentGamePhase] = true;
-    console.log(`${currentGamePhase} phase completed`);
+    ClientLog.debug(`${currentGamePhase} phase completed`);
     
     // If both phases are completed, end the turn
     if (gamePhaseCompleted.farming && gamePhaseCompleted.chess) {
@@ -190,7 +218,7 @@ const GameState = (function() {
         hasJustHarvestedPlots = FarmManager.hasJustHarvestedPlots(playerColor);
         
         if (hasJustHarvestedPlots) {
-          console.log('Not skipping farming phase - player has plots that were just harvested');
+          ClientLog.debug('Not skipping farming phase - player has plots that were just harvested');
           if (typeof UIManager !== 'undefined' && typeof UIManager.showMessage === 'function') {
             UIManager.showMessage('You have plots that were just harvested! You can plant on them this turn.', 3000);
           }
@@ -208,7 +236,7 @@ const GameState = (function() {
       // Notify the server about the phase change
       SocketManager.sendPhaseChange('chess');
       
-      console.log('Farming phase skipped, now in chess phase');
+      ClientLog.debug('Farming phase skipped, now in chess phase');
       
       // Update UI
       UIManager.updateGamePhaseIndicator('chess');
@@ -250,7 +278,7 @@ const GameState = (function() {
     // Reset to farming phase for next turn
     setCurrentGamePhase('farming');
     
-    console.log(`Turn ended. Current turn: ${currentTurn}`);
+    ClientLog.debug(`Turn ended. Current turn: ${currentTurn}`);
     
     // Notify the server about the turn change
     SocketManager.sendEndTurn();
@@ -276,19 +304,19 @@ const GameState = (function() {
     
     // Process farm plots only if it's the player's turn
     if (isPlayersTurn && typeof FarmManager !== 'undefined' && FarmManager.processTurn) {
-      console.log('Processing farm plots during turn change - it is the player\'s turn');
+      ClientLog.debug('Processing farm plots during turn change - it is the player\'s turn');
       FarmManager.processTurn();
     } else {
-      console.log('Not processing farm plots during turn change - it is the opponent\'s turn');
+      ClientLog.debug('Not processing farm plots during turn change - it is the opponent\'s turn');
     }
     
     // Reset to farming phase
     setCurrentGamePhase('farming');
     
-    // Reset farm action flag for new turn
-    farmActionTaken = false;
+    // Reset farm action count for new turn
+    farmActionsTaken = 0;
     
-    console.log(`Turn changed. Current turn: ${currentTurn}`);
+    ClientLog.debug(`Turn changed. Current turn: ${currentTurn}`);
     
     // Update the UI
     UIManager.updateTurnIndicator();
@@ -300,68 +328,91 @@ const GameState = (function() {
   }
   
   /**
-   * Handle farm action taken by the player
-   */
-  function registerFarmAction() {
-    if (!isPlayerTurn() || currentGamePhase !== 'farming') {
-      console.warn('Cannot perform farm action - not in farming phase or not your turn');
-      return false;
-    }
-    
-    if (farmActionTaken) {
-      console.warn('Farm action already taken this turn');
-      return false;
-    }
-    
-    farmActionTaken = true;
-    return true;
-  }
-  
-  /**
-   * Reset the farm action taken flag
+   * Reset the farm action count
    */
   function resetFarmActionTaken() {
-    farmActionTaken = false;
-    console.log('Farm action flag reset for new turn');
+    farmActionsTaken = 0;
+    ClientLog.debug('Farm action count reset for new turn');
     return true;
   }
   
   /**
-   * Check if a farm action has been taken this turn
-   * @returns {boolean} True if a farm action has been taken
+   * Check if the player has used up this turn's farm actions
+   * @returns {boolean} True if no farm action is left this turn
    */
   function hasFarmActionBeenTaken() {
-    return farmActionTaken;
+    const maxFarmActions = GameConfig.turnStructure ? GameConfig.turnStructure.maxFarmActionsPerTurn : 1;
+    return farmActionsTaken >= maxFarmActions;
   }
   
   /**
-   * Update player wheat resources
-   * @param {string} color - The player color ('white' or 'black')
-   * @param {number} amount - The amount to add (positive) or subtract (negative)
-   * @returns {boolean} True if the update was successful
+   * Set both players' wheat, e.g. to the server's balances
+   * @param {Object} wheatCounts - Balances keyed by player color; missing colors are left alone
    */
-  function updateWheat(color, amount) {
-    if (!resources[color]) {
-      console.error(`Invalid player color: ${color}`);
-      return false;
+  function setWheatCounts(wheatCounts) {
+    for (const color in wheatCounts) {
+      if (resources[color]) {
+        resources[color].wheat = wheatCounts[color];
+        ClientLog.debug(`Updated ${color} wheat count to ${resources[color].wheat}`);
+      }
     }
     
-    // Check if player has enough wheat for deduction
-    if (amount < 0 && resources[color].wheat + amount < 0) {
-      console.warn(`${color} player does not have enough wheat`);
-      return false;
+    if (typeof UIManager !== 'undefined') {
+      UIManager.updateResourceDisplay();
+    }
+  }
+  
+  /**
+   * Build the rules engine's view of the game from what this client knows
+   * The ledger's history stays on the server, only the balances are needed here
+   * @returns {Object} A rules state
+   */
+  function getRulesState() {
+    return {
+      fen: ChessManager.getCurrentFEN(),
+      turn: currentTurn,
+      phase: currentGamePhase,
+      turnNumber: turnNumber,
+      farmActionsTaken: farmActionsTaken,
+      moveMade: gamePhaseCompleted.chess,
+      ledger: {
+        balances: { white: resources.white.wheat, black: resources.black.wheat },
+        entries: []
+      },
+      captures: { white: resources.white.capturedPieces, black: resources.black.capturedPieces },
+      farms: FarmManager.getFarms(),
+      isGameOver: !gameActive,
+      winner: winner,
+      reason: null
+    };
+  }
+  
+  /**
+   * Predict one of this player's actions with the shared rules engine and show its outcome
+   * straight away. The server applies the same rules, and its updates replace the prediction
+   * @param {Object} action - A rules engine action without its color, e.g. { type: 'plant', plotIndex, cropType }
+   * @returns {Object} The rules engine's result: ok with the predicted state and events, or the error
+   */
+  function predictAction(action) {
+    const result = GameRules.applyAction(getRulesState(), Object.assign({ color: playerColor }, action), GameConfig);
+    if (!result.ok) {
+      ClientLog.debug(`Rules engine rejected ${action.type}: ${result.error.message}`);
+      return result;
     }
     
-    resources[color].wheat += amount;
-    console.log(`${color} player wheat updated: ${resources[color].wheat} (${amount > 0 ? '+' : ''}${amount})`);
+    const state = result.state;
+    farmActionsTaken = state.farmActionsTaken;
+    resources.white.capturedPieces = state.captures.white;
+    resources.black.capturedPieces = state.captures.black;
+    setWheatCounts(GameRules.getWheatCounts(state));
+    FarmManager.setFarms(state.farms);
     
-    // Update UI
-    UIManager.updateResourceDisplay();
-    
-    // Check for economic victory
-    checkEconomicVictory();
+    // The server detects the same result on its own
+    if (state.isGameOver) {
+      declareWinner(state.winner, state.reason);
+    }
     
-    return true;
+    return result;
   }
   
   /**
@@ -385,26 +436,6 @@ const GameState = (function() {
     return resources;
   }
   
-  /**
-   * Record a piece capture
-   * @param {string} color - The player color who made the capture ('white' or 'black')
-   */
-  function recordCapture(color) {
-    if (!resources[color]) {
-      console.error(`Invalid player color: ${color}`);
-      return;
-    }
-    
-    resources[color].capturedPieces++;
-    console.log(`${color} player captured a piece. Total captures: ${resources[color].capturedPieces}`);
-    
-    // Update the UI
-    UIManager.updateResourceDisplay();
-    
-    // Check if capturing unlocks a new farm plot
-    FarmManager.checkUnlockPlot(color);
-  }
-  
   /**
    * Get the number of pieces captured by a player
    * @param {string} color - The player color ('white' or 'black')
@@ -419,20 +450,6 @@ const GameState = (function() {
     return resources[color].capturedPieces;
   }
   
-  /**
-   * Check for economic victory (200 wheat)
-   */
-  function checkEconomicVictory() {
-    if (!gameActive) return;
-    
-    // Check if any player has reached the economic victory threshold
-    if (resources.white.wheat >= GameConfig.victoryConditions.economicThreshold) {
-      declareWinner('white', 'economic');
-    } else if (resources.black.wheat >= GameConfig.victoryConditions.economicThreshold) {
-      declareWinner('black', 'economic');
-    }
-  }
-  
   /**
    * Declare a winner and end the game
    * @param {string} winnerColor - The color of the winning player
@@ -444,13 +461,24 @@ const GameState = (function() {
     gameActive = false;
     winner = winnerColor;
     
-    console.log(`Game over! ${winnerColor} wins by ${victoryType}`);
+    ClientLog.debug(`Game over! ${winnerColor} wins by ${victoryType}`);
     
-    // Update UI to show game over
+    // Update UI to show game over - the server detects the same result on its own
     UIManager.showGameOver(winnerColor, victoryType);
+  }
+  
+  /**
+   * Resign the game
+   * Resignation is the only game over the server accepts from a client
+   */
+  function resign() {
+    if (!gameActive) return;
+    
+    const opponentColor = playerColor === 'white' ? 'black' : 'white';
+    ClientLog.debug(`${playerColor} resigns`);
     
-    // Notify the server - pass both winner and reason parameters
-    SocketManager.sendGameOver(winnerColor, victoryType);
+    // Wait for the server's game-over before showing the result
+    SocketManager.sendGameOver(opponentColor, 'resignation');
   }
   
   /**
@@ -468,7 +496,7 @@ const GameState = (function() {
         if (storedData) {
           const gameState = JSON.parse(storedData);
           if (gameState && gameState.color) {
-            console.log('🔴 Recovered player color from localStorage:', gameState.color);
+            ClientLog.debug('Recovered player color from localStorage:', gameState.color);
             playerColor = gameState.color;
             return playerColor;
           }
@@ -496,16 +524,20 @@ const GameState = (function() {
   /**
    * Set the current turn
    * @param {string} turn - The new turn value ('white' or 'black')
+   * @param {number} [turnNumberParam] - The server's turn count, if it sent one
    */
-  function setCurrentTurn(turn) {
+  function setCurrentTurn(turn, turnNumberParam) {
     // Validate the turn
     if (turn !== 'white' && turn !== 'black') {
       console.error(`Invalid turn value: ${turn}`);
       return;
     }
     
-    console.log(`Setting current turn to: ${turn}`);
+    ClientLog.debug(`Setting current turn to: ${turn}`);
     currentTurn = turn;
+    if (Number.isInteger(turnNumberParam)) {
+      turnNumber = turnNumberParam;
+    }
     
     // Update the UI if UIManager is available
     if (typeof UIManager !== 'undefined' && typeof UIManager.updateTurnIndicator === 'function') {
@@ -513,6 +545,17 @@ const GameState = (function() {
     }
   }
   
+  /**
+   * Store the reconnect token the server issued for this player's seat
+   * @param {string} token - The reconnect token
+   */
+  function setReconnectToken(token) {
+    reconnectToken = token || null;
+    
+    // Save straight away so the seat can be reclaimed even before the first move
+    saveGameState();
+  }
+  
   /**
    * Save game state to localStorage for potential reconnection
    */
@@ -520,7 +563,12 @@ const GameState = (function() {
     try {
       // Only save if we have the minimum required data
       if (!roomId || !playerColor) {
-        console.log('Not saving game state - missing roomId or playerColor');
+        ClientLog.debug('Not saving game state - missing roomId or playerColor');
+        return;
+      }
+      
+      // Spectators have no seat to reclaim
+      if (spectating) {
         return;
       }
       
@@ -529,7 +577,7 @@ const GameState = (function() {
       
       // Don't save if we have an empty or invalid FEN and the game is active
       if (gameActive && (!fen || fen === '')) {
-        console.log('Not saving game state - empty FEN in active game');
+        ClientLog.debug('Not saving game state - empty FEN in active game');
         return;
       }
       
@@ -553,12 +601,13 @@ const GameState = (function() {
         fen: fen,
         wheatCount: resources[playerColor].wheat,
         currentTurn: currentTurn,
-        farmState: farmState
+        farmState: farmState,
+        reconnectToken: reconnectToken
       };
       
       // Save to localStorage
       localStorage.setItem('chessFarm_gameState', JSON.stringify(gameState));
-      console.log('Game state saved to localStorage:', gameState);
+      ClientLog.debug('Game state saved to localStorage:', gameState);
       
     } catch (error) {
       console.error('Error saving game state:', error);
@@ -571,7 +620,7 @@ const GameState = (function() {
   function clearGameState() {
     try {
       localStorage.removeItem('chessFarm_gameState');
-      console.log('Game state cleared from localStorage');
+      ClientLog.debug('Game state cleared from localStorage');
     } catch (error) {
       console.error('Error clearing game state:', error);
     }
@@ -590,21 +639,30 @@ const GameState = (function() {
    * @param {Object} serverGameState - The game state from the server
    */
   function updateFromServer(serverGameState) {
-    console.log('Updating game state from server data:', serverGameState);
+    ClientLog.debug('Updating game state from server data:', serverGameState);
     
     // Update wheat counts if provided
     if (serverGameState.wheatCounts) {
-      for (const color in serverGameState.wheatCounts) {
+      setWheatCounts(serverGameState.wheatCounts);
+    }
+    
+    // Captures unlock plots, so predictions need the server's counts
+    if (serverGameState.captures) {
+      for (const color in serverGameState.captures) {
         if (resources[color]) {
-          resources[color].wheat = serverGameState.wheatCounts[color];
-          console.log(`Updated ${color} wheat count to ${resources[color].wheat}`);
+          resources[color].capturedPieces = serverGameState.captures[color];
         }
       }
     }
     
+    // The server's farms replace ours
+    if (serverGameState.farms && typeof FarmManager !== 'undefined' && typeof FarmManager.setFarms === 'function') {
+      FarmManager.setFarms(serverGameState.farms);
+    }
+    
     // Update farm state if provided and FarmManager exists
     if (serverGameState.farmState && typeof FarmManager !== 'undefined' && typeof FarmManager.restoreFarmState === 'function') {
-      console.log('Restoring farm state from server data');
+      ClientLog.debug('Restoring farm state from server data');
       FarmManager.restoreFarmState(serverGameState.farmState);
     }
     
@@ -629,7 +687,7 @@ const GameState = (function() {
    */
   function setOpponentConnected(isConnected) {
     opponentConnected = isConnected;
-    console.log(`Opponent connection status set to: ${isConnected}`);
+    ClientLog.debug(`Opponent connection status set to: ${isConnected}`);
     
     // Update UI if available
     if (typeof UIManager !== 'undefined' && UIManager.updateGameStatus) {
@@ -665,7 +723,7 @@ const GameState = (function() {
       // Check if we have a saved game state in localStorage
       const storedData = localStorage.getItem('chessFarm_gameState');
       if (!storedData) {
-        console.log('No saved game state found in localStorage');
+        ClientLog.debug('No saved game state found in localStorage');
         return null;
       }
       
@@ -693,7 +751,7 @@ const GameState = (function() {
         return null;
       }
       
-      console.log('Valid saved game state found for reconnection:', {
+      ClientLog.debug('Valid saved game state found for reconnection:', {
         roomId: gameState.roomId,
         color: gameState.color,
         timeSinceUpdate: now - gameState.timestamp
@@ -711,6 +769,8 @@ const GameState = (function() {
     initialize,
     resetGame,
     setupGame,
+    setupSpectator,
+    isSpectating,
     startGame,
     isPlayerTurn,
     getCurrentGamePhase,
@@ -719,20 +779,21 @@ const GameState = (function() {
     skipCurrentGamePhase,
     endTurn,
     processTurnChange,
-    registerFarmAction,
     hasFarmActionBeenTaken,
     resetFarmActionTaken,
-    updateWheat,
+    setWheatCounts,
     getWheat,
     getResources,
-    recordCapture,
     getCapturedPieces,
-    checkEconomicVictory,
+    getRulesState,
+    predictAction,
     declareWinner,
+    resign,
     getPlayerColor,
     getCurrentTurn,
     setCurrentTurn,
     getRoomId,
+    setReconnectToken,
     saveGameState,
     clearGameState,
     setOpponentConnected,
@@ -0,0 +1,251 @@
+/**
+ * PGN Export Module
+ * Turns a room's action log into a PGN game. Standard chess tools can read the moves;
+ * each move's comment carries what happened on the farm that turn (wheat spent, the
+ * balance after the move, crops planted and harvested, plots unlocked), and custom
+ * tags name the ruleset version and how the game was won.
+ * Loads in the browser and in Node, like the action log it reads.
+ */
+
+const PgnExport = (function() {
+  const Rules = typeof GameRules !== 'undefined' ? GameRules : require('./game-rules');
+  const Log = typeof ActionLog !== 'undefined' ? ActionLog : require('./action-log');
+  
+  // Export format lines are kept to 80 characters
+  const MAX_LINE_LENGTH = 80;
+  
+  // Game-over reasons that are an ordinary end of a game rather than one stopped from outside
+  const NORMAL_ENDINGS = ['checkmate', 'economic', 'resource-starvation', 'resignation', 'draw'];
+  
+  /**
+   * Escape a tag value for a PGN tag pair
+   * @param {*} value - The value
+   * @returns {string} The quoted value
+   */
+  function quote(value) {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  }
+  
+  /**
+   * Format a timestamp as a PGN date (YYYY.MM.DD)
+   * @param {number} timestamp - Milliseconds since the epoch
+   * @returns {string} The date
+   */
+  function formatDate(timestamp) {
+    const date = new Date(timestamp);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getUTCFullYear()}.${pad(date.getUTCMonth() + 1)}.${pad(date.getUTCDate())}`;
+  }
+  
+  /**
+   * Get the PGN result for a finished or unfinished game
+   * @param {Object|null} gameOver - The game-over event, if the game has ended
+   * @returns {string} 1-0, 0-1, 1/2-1/2 or *
+   */
+  function getResult(gameOver) {
+    if (!gameOver) {
+      return '*';
+    }
+    if (gameOver.winner) {
+      return gameOver.winner === 'white' ? '1-0' : '0-1';
+    }
+    return gameOver.reason === 'draw' ? '1/2-1/2' : '*';
+  }
+  
+  /**
+   * Describe one player's farm activity for a move comment
+   * @param {Object} turn - The wheat spent, balance, plants, harvests and unlocks for the turn
+   * @returns {string} The comment text, without braces
+   */
+  function describeTurn(turn) {
+    const parts = [];
+    
+    if (turn.harvested.length > 0) {
+      parts.push('Harvested ' + turn.harvested.map(h => `${h.crop} on plot ${h.plotIndex} (+${h.yield})`).join(', '));
+    }
+    if (turn.planted.length > 0) {
+      parts.push('Planted ' + turn.planted.map(p => `${p.crop} on plot ${p.plotIndex} (-${p.cost})`).join(', '));
+    }
+    if (turn.unlocked.length > 0) {
+      parts.push(`Unlocked plot${turn.unlocked.length > 1 ? 's' : ''} ${turn.unlocked.join(', ')}`);
+    }
+    parts.push(`Spent ${turn.spent} wheat, balance ${turn.balance}`);
+    
+    return parts.join('. ') + '.';
+  }
+  
+  /**
+   * Start an empty record of a player's turn
+   * @param {number} balance - The player's wheat when the turn starts
+   * @returns {Object} The turn record
+   */
+  function createTurn(balance) {
+    return { spent: 0, balance: balance, planted: [], harvested: [], unlocked: [] };
+  }
+  
+  /**
+   * Walk the log and collect the game's moves, each with its turn's farm activity
+   * Harvests happen as a turn starts, so they belong to the turn of the player who harvests
+   * @param {Array} log - The room's action log
+   * @returns {Object} The room-created entry, players, moves and the game-over event
+   */
+  function collectGame(log) {
+    const created = log.find(entry => entry.type === Log.ENTRY_TYPES.ROOM_CREATED);
+    if (!created) {
+      throw new Error('The log has no room-created entry');
+    }
+    
+    const players = {};
+    const moves = [];
+    const balances = Rules.getWheatCounts(Rules.createInitialState(created.config));
+    const turns = { white: createTurn(balances.white), black: createTurn(balances.black) };
+    let gameOver = null;
+    
+    log.forEach(entry => {
+      if (entry.type === Log.ENTRY_TYPES.JOIN && !players[entry.color]) {
+        players[entry.color] = entry.username;
+      }
+      if (entry.type !== Log.ENTRY_TYPES.ACTION) {
+        return;
+      }
+      
+      entry.events.forEach(event => {
+        const turn = turns[event.color];
+        switch (event.type) {
+          case 'wheat-changed':
+            turn.balance = event.balance;
+            if (event.amount < 0) {
+              turn.spent -= event.amount;
+            }
+            break;
+          case 'crop-planted':
+            turn.planted.push({ crop: event.crop.type, plotIndex: event.plotIndex, cost: event.crop.cost });
+            break;
+          case 'crop-harvested':
+            turn.harvested.push({ crop: event.crop.type, plotIndex: event.plotIndex, yield: event.crop.yield });
+            break;
+          case 'plot-unlocked':
+            turn.unlocked.push(event.plotIndex);
+            break;
+          case 'piece-moved':
+            moves.push({ color: event.color, san: event.move.san, turn: turn });
+            break;
+          case 'turn-changed':
+            // The new turn's harvests follow this event, so start its record now
+            turns[event.color] = createTurn(turns[event.color].balance);
+            break;
+          case 'game-over':
+            gameOver = event;
+            break;
+        }
+      });
+    });
+    
+    // Farming done in a turn that has no move yet, because the game is in progress or ended mid-turn
+    const unfinishedTurns = ['white', 'black']
+      .filter(color => !moves.some(move => move.turn === turns[color]))
+      .filter(color => turns[color].planted.length > 0 || turns[color].harvested.length > 0)
+      .map(color => ({ color: color, turn: turns[color] }));
+    
+    return { created: created, players: players, moves: moves, unfinishedTurns: unfinishedTurns, gameOver: gameOver };
+  }
+  
+  /**
+   * Wrap movetext tokens into lines of at most MAX_LINE_LENGTH characters
+   * @param {Array} tokens - Move numbers, moves and comment words
+   * @returns {string} The wrapped movetext
+   */
+  function wrap(tokens) {
+    const lines = [];
+    let line = '';
+    
+    tokens.forEach(token => {
+      if (line && line.length + 1 + token.length > MAX_LINE_LENGTH) {
+        lines.push(line);
+        line = token;
+      } else {
+        line = line ? `${line} ${token}` : token;
+      }
+    });
+    if (line) {
+      lines.push(line);
+    }
+    
+    return lines.join('\n');
+  }
+  
+  /**
+   * Build a PGN game from a room's action log
+   * @param {Array} log - The room's action log
+   * @param {Object} [options] - Extra details for the tags
+   * @param {string} [options.site] - Where the game was played, e.g. the server's address
+   * @param {string} [options.roomId] - The room the game was played in
+   * @returns {string} The PGN text
+   */
+  function fromActionLog(log, options = {}) {
+    const game = collectGame(log);
+    const ruleset = game.created.ruleset || {};
+    const result = getResult(game.gameOver);
+    
+    const tags = [
+      ['Event', 'Chessville game'],
+      ['Site', options.site || '?'],
+      ['Date', formatDate(game.created.timestamp)],
+      ['Round', '-'],
+      ['White', game.players.white || '?'],
+      ['Black', game.players.black || '?'],
+      ['Result', result]
+    ];
+    if (options.roomId) {
+      tags.push(['Room', options.roomId]);
+    }
+    tags.push(['Ruleset', ruleset.id || '?']);
+    tags.push(['RulesetVersion', Number.isInteger(ruleset.version) ? ruleset.version : '?']);
+    tags.push(['ConfigVersion', Number.isInteger(ruleset.configVersion) ? ruleset.configVersion : '?']);
+    if (game.gameOver) {
+      tags.push(['VictoryType', Rules.VICTORY_TYPES[game.gameOver.reason] || game.gameOver.reason]);
+      tags.push(['Termination', NORMAL_ENDINGS.includes(game.gameOver.reason) ? 'normal' : 'adjudication']);
+    } else {
+      tags.push(['Termination', 'unterminated']);
+    }
+    
+    const tokens = [];
+    const addComment = text => {
+      `{${text.replace(/[{}]/g, '')}}`.split(' ').forEach(word => tokens.push(word));
+    };
+    
+    // White always moves first. Every move has a comment, so black's moves are numbered too
+    game.moves.forEach((move, index) => {
+      const moveNumber = Math.floor(index / 2) + 1;
+      tokens.push(move.color === 'white' ? `${moveNumber}.` : `${moveNumber}...`);
+      tokens.push(move.san);
+      addComment(describeTurn(move.turn));
+    });
+    
+    game.unfinishedTurns.forEach(({ color, turn }) => {
+      addComment(`${color === 'white' ? 'White' : 'Black'}, before moving: ${describeTurn(turn)}`);
+    });
+    if (game.gameOver && game.gameOver.message) {
+      addComment(game.gameOver.message);
+    }
+    tokens.push(result);
+    
+    const header = tags.map(([name, value]) => `[${name} ${quote(value)}]`).join('\n');
+    return `${header}\n\n${wrap(tokens)}\n`;
+  }
+  
+  // Public API
+  return {
+    fromActionLog
+  };
+})();
+
+// Make the PGN export available globally for browser
+// And also export for Node.js environments
+if (typeof window !== 'undefined') {
+  window.PgnExport = PgnExport;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PgnExport;
+}
@@ -19,7 +19,7 @@ const SocketManager = (function() {
     }
     
     try {
-      console.log('Initializing Socket Manager');
+      ClientLog.debug('Initializing Socket Manager');
       
       // Initialize socket connection
       if (typeof io === 'undefined') {
@@ -33,7 +33,7 @@ const SocketManager = (function() {
       // Set up event listeners
       setupSocketListeners();
       
-      console.log('Socket Manager initialized');
+      ClientLog.debug('Socket Manager initialized');
       initialized = true;
       return true;
     } catch (error) {
@@ -52,33 +52,26 @@ const SocketManager = (function() {
       return;
     }
     
-    console.log('🔴 Attempting to reconnect with data:', reconnectData);
+    ClientLog.debug('Attempting to reconnect with data:', reconnectData);
     
     // Try to get saved game state from localStorage
     try {
       const savedState = localStorage.getItem('chessFarm_gameState');
       if (savedState) {
         const gameState = JSON.parse(savedState);
-        console.log('🔴 Found saved game state in localStorage:', gameState);
+        ClientLog.debug('Found saved game state in localStorage:', gameState);
         
         // Check if the saved state matches the reconnection attempt
         if (gameState.roomId === reconnectData.roomId) {
           // Pre-initialize game state with the player color to avoid null issues
           if (gameState.color) {
             GameState.setupGame(gameState.roomId, gameState.color);
-            console.log('🔴 Pre-initialized game state with color:', gameState.color);
+            ClientLog.debug('Pre-initialized game state with color:', gameState.color);
           }
           
-          // Add saved FEN position to reconnection data if available
-          if (gameState.fen) {
-            reconnectData.savedFEN = gameState.fen;
-            console.log('🔴 Adding saved FEN to reconnection data:', gameState.fen);
-          }
-          
-          // Add saved farm state to reconnection data if available
-          if (gameState.farmState) {
-            reconnectData.savedFarmState = gameState.farmState;
-            console.log('🔴 Adding saved farm state to reconnection data');
+          // The server only gives the seat back to the holder of its token
+          if (gameState.reconnectToken) {
+            reconnectData.reconnectToken = gameState.reconnectToken;
           }
         }
       }
@@ -92,11 +85,10 @@ const SocketManager = (function() {
       roomId: reconnectData.roomId,
       isReconnecting: true,
       previousColor: reconnectData.previousColor,
-      savedFEN: reconnectData.savedFEN,
-      savedFarmState: reconnectData.savedFarmState
+      reconnectToken: reconnectData.reconnectToken
     });
     
-    console.log('🔴 Reconnection request sent to server');
+    ClientLog.debug('Reconnection request sent to server');
   }
   
   /**
@@ -110,21 +102,26 @@ const SocketManager = (function() {
     
     // Connection events
     socket.on('connect', () => {
-      console.log('Connected to server with ID:', socket.id);
+      ClientLog.setContext({ socketId: socket.id });
+      ClientLog.debug('Connected to server with ID:', socket.id);
     });
     
     socket.on('disconnect', () => {
-      console.log('Disconnected from server');
+      ClientLog.debug('Disconnected from server');
     });
     
     // Game events
     socket.on('playerAssigned', (data) => {
-      console.log('Player assigned to room:', data);
+      ClientLog.setContext({ roomId: data.roomId, color: data.color });
+      ClientLog.debug('Player assigned to room:', data);
       roomId = data.roomId;
       
       // Initialize the game with the provided data
+      applyServerConfig(data.config);
       GameState.setupGame(data.roomId, data.color);
+      GameState.setReconnectToken(data.reconnectToken);
       UIManager.setupGameUI(data.roomId, data.color);
+      UIManager.updateRulesetName(data.ruleset);
       
       // Keep showing the waiting screen
       UIManager.showScreen('waiting-screen');
@@ -145,42 +142,44 @@ const SocketManager = (function() {
     });
     
     socket.on('reconnectSuccess', (data) => {
-      console.log('🔴 Reconnection successful:', data);
+      ClientLog.setContext({ roomId: data.roomId, color: data.color });
+      ClientLog.debug('Reconnection successful:', data);
       roomId = data.roomId;
       
       // CRITICAL: Update game state with the reconnected player's color and game state
       // This ensures the color is properly set before other components try to use it
+      applyServerConfig(data.config);
       GameState.setupGame(data.roomId, data.color);
       
       // Log color assignment for debugging
-      console.log('🔴 Player color set to:', data.color);
+      ClientLog.debug('Player color set to:', data.color);
       
       // Start the game immediately since we're reconnecting
       GameState.startGame();
       
-      // Update resources if provided
-      if (data.wheatCount !== undefined) {
-        GameState.updateWheat(data.color, data.wheatCount);
-      }
+      // The server hands out a fresh token each time the seat is reclaimed
+      GameState.setReconnectToken(data.reconnectToken);
       
-      // Update farm state if provided
-      if (data.farmState) {
-        if (typeof FarmManager !== 'undefined' && typeof FarmManager.restoreFarmState === 'function') {
-          console.log('🔴 Restoring farm state during reconnection');
-          FarmManager.restoreFarmState(data.farmState);
-        } else {
-          console.error('🔴 FarmManager.restoreFarmState is not available!');
-        }
+      // Restore balances, captures and farms from the server's state
+      if (data.gameState && data.gameState.wheatCounts) {
+        GameState.updateFromServer({ wheatCounts: data.gameState.wheatCounts, captures: data.gameState.captures });
+      }
+      if (data.farms) {
+        FarmManager.setFarms(data.farms);
       }
       
-      // Set current turn
+      // Set current turn and phase
       if (data.currentTurn) {
-        GameState.setCurrentTurn(data.currentTurn);
+        GameState.setCurrentTurn(data.currentTurn, data.turnNumber);
+      }
+      if (data.phase) {
+        GameState.setCurrentGamePhase(data.phase);
       }
       
       // Setup UI with room ID and player color
-      console.log('🔴 Setting up game UI after successful reconnection');
+      ClientLog.debug('Setting up game UI after successful reconnection');
       UIManager.setupGameUI(data.roomId, data.color);
+      UIManager.updateRulesetName(data.ruleset);
       
       // Update UI
       UIManager.showScreen('game-screen');
@@ -195,13 +194,13 @@ const SocketManager = (function() {
       
       // First try to use server-provided game state
       if (data.gameState && data.gameState.chessEngineState) {
-        console.log('🔴 Using server-provided FEN position for reconnection');
+        ClientLog.debug('Using server-provided FEN position for reconnection');
         fenPosition = data.gameState.chessEngineState;
         fenSource = "server";
       } 
       // If no server FEN, check data.savedFEN (passed from our reconnect function)
       else if (data.savedFEN) {
-        console.log('🔴 Using client-saved FEN position for reconnection:', data.savedFEN);
+        ClientLog.debug('Using client-saved FEN position for reconnection:', data.savedFEN);
         fenPosition = data.savedFEN;
         fenSource = "client";
       }
@@ -212,7 +211,7 @@ const SocketManager = (function() {
           if (savedState) {
             const gameState = JSON.parse(savedState);
             if (gameState.fen && gameState.roomId === data.roomId) {
-              console.log('🔴 Using localStorage FEN position for reconnection:', gameState.fen);
+              ClientLog.debug('Using localStorage FEN position for reconnection:', gameState.fen);
               fenPosition = gameState.fen;
               fenSource = "localStorage";
             }
@@ -222,7 +221,7 @@ const SocketManager = (function() {
         }
       }
       
-      console.log(`🔴 FEN position for reconnection (source: ${fenSource}):`, fenPosition);
+      ClientLog.debug(`FEN position for reconnection (source: ${fenSource}):`, fenPosition);
       
       // CRITICAL: Wait until UI is completely updated before initializing chess board
       // This ensures all prerequisites are in place before the board is set up
@@ -230,13 +229,13 @@ const SocketManager = (function() {
         // Initialize chess board with the appropriate FEN position
         if (typeof ChessManager !== 'undefined' && typeof ChessManager.setupBoard === 'function') {
           if (fenPosition) {
-            console.log('🔴 Setting up chess board with saved position:', fenPosition);
+            ClientLog.debug('Setting up chess board with saved position:', fenPosition);
             ChessManager.setupBoard(fenPosition);
             
             // Save game state to localStorage for persistence
             GameState.saveGameState();
           } else {
-            console.log('🔴 No saved position found, setting up new chess board');
+            ClientLog.debug('No saved position found, setting up new chess board');
             ChessManager.setupBoard();
           }
           
@@ -244,7 +243,7 @@ const SocketManager = (function() {
           setTimeout(() => {
             if (typeof ChessManager.refreshBoard === 'function') {
               ChessManager.refreshBoard();
-              console.log('🔴 Chess board refreshed after reconnection');
+              ClientLog.debug('Chess board refreshed after reconnection');
             }
           }, 500); // Increased delay to ensure UI is ready
         } else {
@@ -254,13 +253,45 @@ const SocketManager = (function() {
     });
     
     socket.on('roomFull', (data) => {
-      console.log('Room is full:', data);
-      UIManager.updateGameStatus('Room is full. Please try another room.');
-      showMessage('Room is full. Please try another room.');
+      ClientLog.debug('Room is full:', data);
+      const message = data.canWatch
+        ? 'Room is full. Use Watch to spectate the game.'
+        : 'Room is full. Please try another room.';
+      UIManager.updateGameStatus(message);
+      showMessage(message);
+    });
+    
+    socket.on('spectateStarted', (data) => {
+      ClientLog.setContext({ roomId: data.roomId, color: null });
+      ClientLog.debug('Watching game:', data);
+      roomId = data.roomId;
+      
+      // Spectators take everything from the server's snapshot
+      applyServerConfig(data.config);
+      GameState.setupSpectator(data.roomId);
+      GameState.startGame();
+      GameState.updateFromServer({ wheatCounts: data.wheatCounts, farms: data.farms });
+      GameState.setCurrentTurn(data.currentTurn);
+      GameState.setCurrentGamePhase(data.phase);
+      
+      UIManager.setupGameUI(data.roomId, GameState.getPlayerColor());
+      UIManager.updateSpectatorCount(data.spectatorCount);
+      UIManager.updateRulesetName(data.ruleset);
+      UIManager.showScreen('game-screen');
+      ChessManager.setupBoard(data.fen);
+      UIManager.updateTurnIndicator();
+      
+      if (data.isGameOver) {
+        UIManager.showGameOver(data.winner, data.winner ? data.reason : 'draw');
+      }
+    });
+    
+    socket.on('spectatorCount', (data) => {
+      UIManager.updateSpectatorCount(data.count);
     });
     
     socket.on('room-joined', (data) => {
-      console.log('Joined room:', data);
+      ClientLog.debug('Joined room:', data);
       roomId = data.roomId;
       
       // Initialize the game with the provided data
@@ -277,7 +308,7 @@ const SocketManager = (function() {
     });
     
     socket.on('opponent-joined', (data) => {
-      console.log('Opponent joined:', data);
+      ClientLog.debug('Opponent joined:', data);
       GameState.setOpponentConnected(true);
       UIManager.updateGameStatus('Opponent joined');
       
@@ -292,7 +323,7 @@ const SocketManager = (function() {
         ChessManager.setupBoard();
         
         // Setup game UI elements with the current room ID and player color
-        console.log('🔴 Setting up game UI after opponent joined');
+        ClientLog.debug('Setting up game UI after opponent joined');
         UIManager.setupGameUI(roomId, GameState.getPlayerColor());
         
         // Update UI based on whether it's the player's turn
@@ -308,21 +339,27 @@ const SocketManager = (function() {
     });
     
     socket.on('opponent-disconnected', () => {
-      console.log('Opponent disconnected');
+      ClientLog.debug('Opponent disconnected');
       GameState.setOpponentConnected(false);
-      UIManager.updateGameStatus('Opponent disconnected');
-      showMessage('Opponent disconnected');
+      const message = GameState.isSpectating() ? 'A player disconnected' : 'Opponent disconnected';
+      UIManager.updateGameStatus(message);
+      showMessage(message);
     });
     
     socket.on('gameStart', (data) => {
-      console.log('Game started:', data);
+      ClientLog.debug('Game started:', data);
       
       // Start the game in GameState
       GameState.startGame();
       
       // Set initial turn
       if (data.startingTurn) {
-        GameState.setCurrentTurn(data.startingTurn);
+        GameState.setCurrentTurn(data.startingTurn, data.turnNumber);
+      }
+      
+      // A game resumed from a record may start in the chess phase
+      if (data.phase) {
+        GameState.setCurrentGamePhase(data.phase);
       }
       
       // Check for saved game state in localStorage
@@ -331,17 +368,17 @@ const SocketManager = (function() {
         const savedState = localStorage.getItem('chessFarm_gameState');
         if (savedState) {
           const gameState = JSON.parse(savedState);
-          console.log('🔴 Found saved game state during gameStart:', gameState);
+          ClientLog.debug('Found saved game state during gameStart:', gameState);
           
           // If we have a saved FEN, it might be a reconnection attempt
           if (gameState.fen && gameState.roomId === data.roomId) {
-            console.log('🔴 Using saved FEN position for board setup:', gameState.fen);
+            ClientLog.debug('Using saved FEN position for board setup:', gameState.fen);
             savedFEN = gameState.fen;
             
             // If we have saved farm state, restore it
             if (gameState.farmState && typeof FarmManager !== 'undefined' && 
                 typeof FarmManager.restoreFarmState === 'function') {
-              console.log('🔴 Restoring farm state from localStorage');
+              ClientLog.debug('Restoring farm state from localStorage');
               FarmManager.restoreFarmState(gameState.farmState);
             }
           }
@@ -352,18 +389,20 @@ const SocketManager = (function() {
       
       // Save the game state for potential reconnection
       if (typeof GameState.saveGameState === 'function') {
-        console.log('🔴 Saving game state after game start');
+        ClientLog.debug('Saving game state after game start');
         GameState.saveGameState();
       }
       
       // Show the game screen
       UIManager.showScreen('game-screen');
       
-      // Setup the chess board with saved FEN if available
+      // Setup the chess board from the server's position - the only one a game resumed
+      // from a record has - or the saved FEN if the server sent none
+      const startFEN = data.fen || savedFEN;
       if (typeof ChessManager !== 'undefined' && typeof ChessManager.setupBoard === 'function') {
-        if (savedFEN) {
-          console.log('🔴 Setting up chess board with saved FEN');
-          ChessManager.setupBoard(savedFEN);
+        if (startFEN) {
+          ClientLog.debug('Setting up chess board with FEN:', startFEN);
+          ChessManager.setupBoard(startFEN);
         } else {
           ChessManager.setupBoard();
         }
@@ -375,7 +414,7 @@ const SocketManager = (function() {
       // Setup game UI elements with the correct parameters
       const currentRoomId = roomId;
       const playerColor = GameState.getPlayerColor();
-      console.log('🔴 Setting up game UI with:', { roomId: currentRoomId, playerColor });
+      ClientLog.debug('Setting up game UI with:', { roomId: currentRoomId, playerColor });
       
       // Pass the required parameters
       UIManager.setupGameUI(currentRoomId, playerColor);
@@ -389,7 +428,7 @@ const SocketManager = (function() {
     });
     
     socket.on('game-started', (data) => {
-      console.log('Game started (legacy event):', data);
+      ClientLog.debug('Game started (legacy event):', data);
       GameState.startGame();
       ChessManager.setupBoard();
       
@@ -409,13 +448,13 @@ const SocketManager = (function() {
     });
     
     socket.on('farm-action', (action) => {
-      console.log('Received farm action:', action);
+      ClientLog.debug('Received farm action:', action);
       FarmManager.processFarmAction(action);
       UIManager.updateResourceDisplay();
     });
     
     socket.on('phase-change', (data) => {
-      console.log('Phase changed:', data);
+      ClientLog.debug('Phase changed:', data);
       GameState.setCurrentGamePhase(data.phase);
       UIManager.updateGamePhaseIndicator(data.phase);
       
@@ -429,14 +468,14 @@ const SocketManager = (function() {
     });
     
     socket.on('turn-change', (data) => {
-      console.log('Turn changed:', data);
-      console.log('Current player color:', GameState.getPlayerColor());
+      ClientLog.debug('Turn changed:', data);
+      ClientLog.debug('Current player color:', GameState.getPlayerColor());
       
       // This is now a fallback handler, as gameStateUpdate will be the primary handler
       if (data.color === 'white' || data.color === 'black') {
-        console.log(`Turn-change event: Setting current turn to: ${data.color}`);
+        ClientLog.debug(`Turn-change event: Setting current turn to: ${data.color}`);
         // Only update if gameStateUpdate hasn't already handled it
-        GameState.setCurrentTurn(data.color);
+        GameState.setCurrentTurn(data.color, data.turnNumber);
         UIManager.updateTurnIndicator();
         
         // Show message only - let gameStateUpdate do the more complex handling
@@ -451,7 +490,7 @@ const SocketManager = (function() {
     });
     
     socket.on('gameStateUpdate', (data) => {
-      console.log('Received game state update:', data);
+      ClientLog.debug('Received game state update:', data);
       
       // Update game state first
       if (data.gameState) {
@@ -463,16 +502,16 @@ const SocketManager = (function() {
       
       // Update current turn
       if (data.currentTurn) {
-        console.log(`Server says current turn is: ${data.currentTurn}`);
+        ClientLog.debug(`Server says current turn is: ${data.currentTurn}`);
         GameState.setCurrentTurn(data.currentTurn);
         
         // Check if turn has changed
         const turnHasChanged = previousTurn !== data.currentTurn;
-        console.log(`Turn has changed: ${turnHasChanged} (from ${previousTurn} to ${data.currentTurn})`);
+        ClientLog.debug(`Turn has changed: ${turnHasChanged} (from ${previousTurn} to ${data.currentTurn})`);
         
         // ENHANCED TURN CHANGE DETECTION AND PROCESSING
         if (turnHasChanged) {
-          console.log('Turn has changed - PROCESSING FARM PLOTS - Third call point');
+          ClientLog.debug('Turn has changed - PROCESSING FARM PLOTS - Third call point');
           
           // Enhanced error checking and detailed logging
           if (typeof FarmManager === 'undefined') {
@@ -482,16 +521,16 @@ const SocketManager = (function() {
           } else {
             try {
               // Log farm state before processing
-              console.log('Farm state BEFORE processing turn in gameStateUpdate:', 
+              ClientLog.debug('Farm state BEFORE processing turn in gameStateUpdate:', 
                 typeof FarmManager.getState === 'function' ? 
                 JSON.stringify(FarmManager.getState()) : 'getState not available');
               
               // Process farm turn
               FarmManager.processTurn();
-              console.log('Successfully processed farm turn in gameStateUpdate');
+              ClientLog.debug('Successfully processed farm turn in gameStateUpdate');
               
               // Log farm state after processing
-              console.log('Farm state AFTER processing turn in gameStateUpdate:', 
+              ClientLog.debug('Farm state AFTER processing turn in gameStateUpdate:', 
                 typeof FarmManager.getState === 'function' ? 
                 JSON.stringify(FarmManager.getState()) : 'getState not available');
             } catch (error) {
@@ -502,7 +541,7 @@ const SocketManager = (function() {
         
         // Reset game phase to farming at the beginning of a turn
         if (turnHasChanged && GameState.isPlayerTurn()) {
-          console.log('It is now this player\'s turn (from gameStateUpdate)');
+          ClientLog.debug('It is now this player\'s turn (from gameStateUpdate)');
           GameState.setCurrentGamePhase('farming');
           
           // Reset farm action flag explicitly
@@ -526,17 +565,50 @@ const SocketManager = (function() {
     });
     
     socket.on('game-over', (data) => {
-      console.log('Game over:', data);
-      UIManager.showGameOver(data.winner, data.reason);
+      ClientLog.debug('Game over:', data);
+      GameState.updateFromServer({ isGameOver: true, winner: data.winner });
+      UIManager.showGameOver(data.winner, data.reason, data.message);
+    });
+    
+    // An admin removed us from our seat - the old seat can't be reclaimed
+    socket.on('kicked', (data) => {
+      ClientLog.debug('Removed from the game:', data);
+      GameState.clearGameState();
+      GameState.updateFromServer({ isGameOver: true });
+      const message = 'You were removed from the game by an admin' + (data.reason ? `: ${data.reason}` : '');
+      UIManager.updateGameStatus(message);
+      showMessage(message, 10000);
+    });
+    
+    // An admin closed the room
+    socket.on('room-closed', (data) => {
+      ClientLog.debug('Room closed:', data);
+      GameState.clearGameState();
+      GameState.updateFromServer({ isGameOver: true });
+      const message = 'This game was closed by an admin' + (data.reason ? `: ${data.reason}` : '');
+      UIManager.updateGameStatus(message);
+      showMessage(message, 10000);
     });
     
     socket.on('error', (error) => {
       console.error('Socket error:', error);
+      
+      // The server refused our last move - roll back to its position
+      if (error.move && error.fen) {
+        processMoveRejection(error);
+        return;
+      }
+      
       showMessage('Error: ' + error.message);
     });
     
     // Add handler for direct turn notification
     socket.on('your-turn', (data) => {
+      // Start the turn from the server's wheat balances
+      if (data.wheatCounts) {
+        GameState.updateFromServer({ wheatCounts: data.wheatCounts });
+      }
+      
       // Call our enhanced processYourTurn function
       processYourTurn(data);
       
@@ -555,8 +627,9 @@ const SocketManager = (function() {
    * Join a game room
    * @param {string} username - The player's username
    * @param {string} roomId - The room ID to join (optional)
+   * @param {string} ruleset - The ruleset preset for a new room (optional)
    */
-  function joinRoom(username, roomId = '') {
+  function joinRoom(username, roomId = '', ruleset = '') {
     if (!socket) {
       console.error('Socket not initialized, attempting to re-initialize');
       
@@ -576,11 +649,12 @@ const SocketManager = (function() {
       username = 'Player';
     }
     
-    console.log('Joining room with username:', username, 'roomId:', roomId);
+    ClientLog.debug('Joining room with username:', username, 'roomId:', roomId);
     
     socket.emit('joinGame', {
       username: username,
-      roomId: roomId
+      roomId: roomId,
+      ruleset: ruleset || undefined
     });
     
     // Show the waiting screen while waiting for server response
@@ -595,6 +669,44 @@ const SocketManager = (function() {
     UIManager.updateGameStatus('Joining game...');
   }
   
+  /**
+   * Watch a game room as a spectator
+   * @param {string} roomId - The room ID to watch
+   */
+  function watchRoom(roomId) {
+    if (!socket) {
+      console.error('Socket not initialized, cannot watch room');
+      showMessage('Cannot connect to the server. Please try refreshing the page.', 5000);
+      return;
+    }
+    
+    ClientLog.debug('Watching room:', roomId);
+    
+    socket.emit('watchGame', {
+      roomId: roomId
+    });
+    
+    UIManager.updateGameStatus('Joining as a spectator...');
+  }
+  
+  /**
+   * Ask for the computer to take the empty seat in the current room
+   * @param {string} difficulty - easy, medium or hard
+   */
+  function addBot(difficulty) {
+    if (!socket || !roomId) {
+      showMessage('Join a room before adding a computer opponent', 3000);
+      return;
+    }
+    
+    socket.emit('add-bot', {
+      roomId: roomId,
+      difficulty: difficulty
+    });
+    
+    UIManager.updateGameStatus('Starting a game against the computer...');
+  }
+  
   /**
    * Send a chess move to the server
    * @param {object} move - The move data
@@ -605,20 +717,17 @@ const SocketManager = (function() {
       return;
     }
     
-    console.log('Sending chess move:', move);
-    
-    // Include FEN to ensure board state synchronization
-    const currentFEN = ChessManager.getCurrentFEN();
+    ClientLog.debug('Sending chess move:', move);
     
+    // The server applies the move to its own engine, so only the move is sent
     socket.emit('chess-move', {
       roomId: roomId,
-      move: move,
-      fen: currentFEN
+      move: move
     });
     
     // Save game state after sending a move
     if (typeof GameState.saveGameState === 'function') {
-      console.log('🔴 Saving game state after player\'s move');
+      ClientLog.debug('Saving game state after player\'s move');
       GameState.saveGameState();
     }
     
@@ -636,7 +745,7 @@ const SocketManager = (function() {
       return;
     }
     
-    console.log('Sending farm action:', action, data);
+    ClientLog.debug('Sending farm action:', action, data);
     
     socket.emit('farm-action', {
       roomId: roomId,
@@ -656,7 +765,7 @@ const SocketManager = (function() {
       return;
     }
     
-    console.log('Sending farm update:', action, data);
+    ClientLog.debug('Sending farm update:', action, data);
     
     socket.emit('farm-action', {
       roomId: roomId,
@@ -676,17 +785,7 @@ const SocketManager = (function() {
       cropType: cropType
     });
     
-    console.log(`Sent plant crop action: plot ${plotIndex}, crop ${cropType}`);
-  }
-  
-  /**
-   * Send an auto-unlock plot action to the server
-   * @param {string} plotId - The ID of the plot to auto-unlock
-   */
-  function sendAutoUnlock(plotId) {
-    sendFarmUpdate('auto-unlock', {
-      plotId: plotId
-    });
+    ClientLog.debug(`Sent plant crop action: plot ${plotIndex}, crop ${cropType}`);
   }
   
   /**
@@ -699,7 +798,7 @@ const SocketManager = (function() {
       return;
     }
     
-    console.log('Sending phase change:', phase);
+    ClientLog.debug('Sending phase change:', phase);
     
     socket.emit('phase-change', {
       roomId: roomId,
@@ -716,7 +815,7 @@ const SocketManager = (function() {
       return;
     }
     
-    console.log('Sending end turn');
+    ClientLog.debug('Sending end turn');
     
     // Get the current chess state
     const chessEngineState = ChessManager ? ChessManager.getCurrentFEN() : null;
@@ -738,7 +837,7 @@ const SocketManager = (function() {
       return;
     }
     
-    console.log('Sending game over - Winner:', winner, 'Reason:', reason);
+    ClientLog.debug('Sending game over - Winner:', winner, 'Reason:', reason);
     
     socket.emit('game-over', {
       roomId: roomId,
@@ -752,15 +851,15 @@ const SocketManager = (function() {
    * @param {Object} data - The turn change data
    */
   function processYourTurn(data) {
-    console.log('Received direct turn notification:', data);
+    ClientLog.debug('Received direct turn notification:', data);
     
     if (data.color) {
-      console.log(`Setting current turn to ${data.color} based on your-turn event`);
+      ClientLog.debug(`Setting current turn to ${data.color} based on your-turn event`);
       GameState.setCurrentTurn(data.color);
       
       // Only process farm plots when it's actually the player's turn (not the opponent's)
       if (data.color === GameState.getPlayerColor()) {
-        console.log('It is YOUR turn - Processing farm plots');
+        ClientLog.debug('It is YOUR turn - Processing farm plots');
         
         // Enhanced error checking and logging
         if (typeof FarmManager === 'undefined') {
@@ -769,23 +868,23 @@ const SocketManager = (function() {
           console.error('FarmManager.processTurn is not a function, cannot process farm plots');
         } else {
           // Log farm state before processing
-          console.log('Farm state BEFORE processing turn:', 
+          ClientLog.debug('Farm state BEFORE processing turn:', 
             typeof FarmManager.getState === 'function' ? 
             JSON.stringify(FarmManager.getState()) : 'getState not available');
           
           // Process the turn and catch any errors
           try {
             FarmManager.processTurn();
-            console.log('Successfully processed farm turn');
+            ClientLog.debug('Successfully processed farm turn');
           } catch (error) {
             console.error('Error processing farm turn:', error);
           }
           
           // Log farm state after processing
-          console.log('Farm state AFTER processing turn:', 
+          ClientLog.debug('Farm state AFTER processing turn:', 
             typeof FarmManager.getState === 'function' ? 
             JSON.stringify(FarmManager.getState()) : 'getState not available');
-            
+          
           // After processing farm turn, check if we need to auto-skip farming phase
           // This works alongside the check in updateGamePhaseIndicator but ensures it happens right after processing
           if (typeof FarmManager.areAllUnlockedPlotsFull === 'function' && 
@@ -797,64 +896,77 @@ const SocketManager = (function() {
             const hasJustHarvestedPlots = typeof FarmManager.hasJustHarvestedPlots === 'function' && 
                                          FarmManager.hasJustHarvestedPlots(playerColor);
             
-            console.log(`Auto-skip check: allPlotsFull=${allPlotsFull}, hasJustHarvestedPlots=${hasJustHarvestedPlots}`);
+            ClientLog.debug(`Auto-skip check: allPlotsFull=${allPlotsFull}, hasJustHarvestedPlots=${hasJustHarvestedPlots}`);
             
             // Only auto-skip if all plots are full AND there are no just-harvested plots
             if (allPlotsFull && !hasJustHarvestedPlots) {
-              console.log('All plots are full after turn processing - auto-skipping farming phase');
+              ClientLog.debug('All plots are full after turn processing - auto-skipping farming phase');
               setTimeout(() => {
                 GameState.skipCurrentGamePhase();
                 UIManager.showMessage('Auto-skipped farming phase - all plots are full!', 3000);
               }, 500);
             } else if (hasJustHarvestedPlots) {
-              console.log('Not auto-skipping - detected plots that were just harvested and available for planting');
+              ClientLog.debug('Not auto-skipping - detected plots that were just harvested and available for planting');
               UIManager.showMessage('You have plots that were just harvested! You can plant on them this turn.', 3000);
             }
           }
         }
       } else {
-        console.log('It is the OPPONENT\'s turn - Not processing your farm plots');
+        ClientLog.debug('It is the OPPONENT\'s turn - Not processing your farm plots');
       }
       
       // Refresh the chess board when the turn changes
-      console.log('Refreshing chess board on turn change');
+      ClientLog.debug('Refreshing chess board on turn change');
       ChessManager.refreshBoard();
     }
   }
   
+  /**
+   * Apply the room's game config from the server to GameConfig and redraw what shows it
+   * Crops already in the ground keep the growth time and yield they were planted
+   * with - the server stores those on the plot
+   * @param {Object} config - The room's config
+   */
+  function applyServerConfig(config) {
+    if (!config || ConfigDiff.diff(GameConfig, config).length === 0) {
+      return;
+    }
+    
+    // Replace the contents in place so every module holding GameConfig sees the change
+    Object.keys(GameConfig).forEach(key => {
+      delete GameConfig[key];
+    });
+    Object.assign(GameConfig, JSON.parse(JSON.stringify(config)));
+    
+    ChessManager.showMoveCosts();
+    UIManager.refreshPlantSelector();
+    FarmManager.updateFarmDisplay();
+  }
+  
   /**
    * Process a chess move received from the server
    * @param {object} data - The move data
    */
   function processChessMove(data) {
-    console.log('Received chess move from opponent:', data);
+    ClientLog.debug('Received chess move from opponent:', data);
     
     try {
       ChessManager.processOpponentMove(data);
       
-      // After processing opponent's move, refresh the board and set the current turn
-      console.log('Refreshing board after receiving opponent move');
-      
-      // Update turn after opponent's move to the player's color
-      const playerColor = GameState.getPlayerColor();
-      console.log('Setting current turn to ' + playerColor + ' after opponent\'s move');
-      GameState.setCurrentTurn(playerColor);
+      // The turn stays with the opponent until the server sends turn-change after they end it
       
       // Log the farm state for debugging but do not process farm plots
       if (typeof FarmManager !== 'undefined' && typeof FarmManager.getState === 'function') {
-        console.log('Farm state after opponent move (not processing):', 
+        ClientLog.debug('Farm state after opponent move (not processing):', 
           JSON.stringify(FarmManager.getState()));
       }
       
-      // Now refresh the board with the corrected game state
-      ChessManager.refreshBoard();
-      
       // Update UI
       UIManager.updateTurnIndicator();
       
       // Save game state after processing opponent's move
       if (typeof GameState.saveGameState === 'function') {
-        console.log('🔴 Saving game state after opponent\'s move');
+        ClientLog.debug('Saving game state after opponent\'s move');
         GameState.saveGameState();
       }
     } catch (error) {
@@ -862,6 +974,37 @@ const SocketManager = (function() {
     }
   }
   
+  /**
+   * Roll back a move the server rejected as illegal
+   * @param {Object} data - The error data containing the rejected move and the server's FEN
+   */
+  function processMoveRejection(data) {
+    console.warn('Server rejected move:', data.move);
+    
+    const playerColor = GameState.getPlayerColor();
+    
+    // Restore the server's position on our board
+    if (data.fen) {
+      ChessManager.loadPosition(data.fen);
+    }
+    
+    // Take the server's balance, which never included our rejected move
+    if (typeof data.wheatCount === 'number') {
+      GameState.updateFromServer({
+        wheatCounts: { [playerColor]: data.wheatCount }
+      });
+    }
+    
+    // It's still our turn on the server, so let the player try again
+    GameState.setCurrentTurn(playerColor);
+    GameState.setCurrentGamePhase('chess');
+    UIManager.updateTurnIndicator();
+    
+    showMessage(data.code === 'INSUFFICIENT_WHEAT' ?
+      'Not enough wheat for that move - please try again' :
+      'Move rejected by the server - please try again');
+  }
+  
   /**
    * Check if the socket is connected
    * @returns {boolean} True if the socket is initialized and connected
@@ -898,11 +1041,12 @@ const SocketManager = (function() {
   return {
     initialize: initialize,
     joinRoom: joinRoom,
+    watchRoom: watchRoom,
+    addBot: addBot,
     sendChessMove: sendChessMove,
     sendFarmAction: sendFarmAction,
     sendFarmUpdate: sendFarmUpdate,
     sendPlantCrop: sendPlantCrop,
-    sendAutoUnlock: sendAutoUnlock,
     sendPhaseChange: sendPhaseChange,
     sendEndTurn: sendEndTurn,
     sendGameOver: sendGameOver,
@@ -19,15 +19,18 @@ const UIManager = (function() {
     }
     
     try {
-      console.log('Initializing UI Manager');
+      ClientLog.debug('Initializing UI Manager');
       
       // Set up event listeners
       setupUIEventListeners();
       
+      // Fill the ruleset picker on the login screen
+      loadRulesetOptions();
+      
       // Initialize the screens
       initializeScreens();
       
-      console.log('UI Manager initialized');
+      ClientLog.debug('UI Manager initialized');
       initialized = true;
       return true;
     } catch (error) {
@@ -40,7 +43,7 @@ const UIManager = (function() {
    * Set up all UI event listeners
    */
   function setupUIEventListeners() {
-    console.log('Setting up UI event listeners');
+    ClientLog.debug('Setting up UI event listeners');
     
     // Login form submit
     const loginForm = document.getElementById('login-form');
@@ -48,20 +51,59 @@ const UIManager = (function() {
       loginForm.addEventListener('submit', function(event) {
         event.preventDefault();
         const roomId = document.getElementById('room-id').value.trim();
-        console.log(`Attempting to join room: ${roomId}`);
+        const rulesetSelect = document.getElementById('ruleset-select');
+        const ruleset = rulesetSelect ? rulesetSelect.value : '';
+        ClientLog.debug(`Attempting to join room: ${roomId}`);
         showMessage(`Connecting to game...`);
-        SocketManager.joinRoom(roomId);
+        SocketManager.joinRoom(roomId, '', ruleset);
       });
     } else {
       console.warn('Login form not found');
     }
     
+    // Game record file - resume the game it holds in a new room
+    const importRecordInput = document.getElementById('import-record-input');
+    if (importRecordInput) {
+      importRecordInput.addEventListener('change', function() {
+        if (importRecordInput.files.length > 0) {
+          resumeFromRecord(importRecordInput.files[0]);
+          importRecordInput.value = '';
+        }
+      });
+    }
+    
+    // Watch button - spectate the room instead of taking a seat
+    const watchButton = document.getElementById('watch-button');
+    if (watchButton) {
+      watchButton.addEventListener('click', function() {
+        const roomId = document.getElementById('room-id').value.trim();
+        if (!roomId) {
+          showMessage('Enter a room ID to watch');
+          return;
+        }
+        
+        ClientLog.debug(`Attempting to watch room: ${roomId}`);
+        showMessage(`Connecting to game...`);
+        SocketManager.watchRoom(roomId);
+      });
+    }
+    
+    // Play vs Computer button - the computer takes the empty seat
+    const playBotButton = document.getElementById('play-bot-button');
+    if (playBotButton) {
+      playBotButton.addEventListener('click', function() {
+        const difficulty = document.getElementById('bot-difficulty').value;
+        ClientLog.debug(`Asking for a ${difficulty} computer opponent`);
+        SocketManager.addBot(difficulty);
+      });
+    }
+    
     // Skip farming button
     const skipFarmingButton = document.getElementById('skip-farming-button');
     if (skipFarmingButton) {
       skipFarmingButton.addEventListener('click', function() {
         if (GameState.isPlayerTurn() && GameState.getCurrentGamePhase() === 'farming') {
-          console.log('Skipping farming phase');
+          ClientLog.debug('Skipping farming phase');
           GameState.skipCurrentGamePhase();
           updateGamePhaseIndicator();
         } else {
@@ -73,12 +115,24 @@ const UIManager = (function() {
       console.warn('Skip farming button not found');
     }
     
+    // Resign button
+    const resignButton = document.getElementById('resign-button');
+    if (resignButton) {
+      resignButton.addEventListener('click', function() {
+        if (GameState.isActive() && confirm('Are you sure you want to resign?')) {
+          GameState.resign();
+        }
+      });
+    } else {
+      console.warn('Resign button not found');
+    }
+    
     // End turn button
     const endTurnButton = document.getElementById('end-turn-button');
     if (endTurnButton) {
       endTurnButton.addEventListener('click', function() {
         if (GameState.isPlayerTurn() && GameState.getCurrentGamePhase() === 'chess') {
-          console.log('Ending turn');
+          ClientLog.debug('Ending turn');
           GameState.completeCurrentGamePhase();
         } else {
           console.warn('Cannot end turn - not your turn or not in chess phase');
@@ -102,7 +156,7 @@ const UIManager = (function() {
    * Initialize the screens
    */
   function initializeScreens() {
-    console.log('Initializing screens');
+    ClientLog.debug('Initializing screens');
     
     // Show the login screen by default
     showScreen('login-screen');
@@ -123,13 +177,13 @@ const UIManager = (function() {
       return;
     }
     
-    console.log(`Showing screen: ${screenId}`, 'Current screen:', currentScreen);
+    ClientLog.debug(`Showing screen: ${screenId}`, 'Current screen:', currentScreen);
     
     // Debug log the current state of all screens to diagnose issues
     ['login-screen', 'waiting-screen', 'game-screen'].forEach(id => {
       const element = document.getElementById(id);
       if (element) {
-        console.log(`Screen ${id} is currently ${element.classList.contains('hidden') ? 'hidden' : 'visible'}`);
+        ClientLog.debug(`Screen ${id} is currently ${element.classList.contains('hidden') ? 'hidden' : 'visible'}`);
       } else {
         console.warn(`Debug: Screen element ${id} not found in DOM`);
       }
@@ -140,17 +194,17 @@ const UIManager = (function() {
       const currentScreenElement = document.getElementById(currentScreen);
       if (currentScreenElement) {
         currentScreenElement.classList.add('hidden');
-        console.log(`Hidden previous screen: ${currentScreen}`);
+        ClientLog.debug(`Hidden previous screen: ${currentScreen}`);
       }
     }
     
     // Show new screen
     screen.classList.remove('hidden');
     currentScreen = screenId;
-    console.log(`Screen changed to: ${screenId}`);
+    ClientLog.debug(`Screen changed to: ${screenId}`);
     
     // Debug check after change
-    console.log(`After change: is ${screenId} hidden?`, screen.classList.contains('hidden'));
+    ClientLog.debug(`After change: is ${screenId} hidden?`, screen.classList.contains('hidden'));
   }
   
   /**
@@ -180,7 +234,11 @@ const UIManager = (function() {
     let statusText = '';
     let statusClass = '';
     
-    if (!GameState.isOpponentConnected()) {
+    if (GameState.isSpectating()) {
+      const turn = GameState.getCurrentTurn();
+      statusText = `${turn.charAt(0).toUpperCase() + turn.slice(1)}'s Turn`;
+      statusClass = '';
+    } else if (!GameState.isOpponentConnected()) {
       statusText = 'Waiting for opponent...';
       statusClass = '';
     } else if (GameState.isPlayerTurn()) {
@@ -204,7 +262,7 @@ const UIManager = (function() {
    * Update the turn indicator based on the current game state
    */
   function updateTurnIndicator() {
-    console.log(`Updating turn indicator. Current turn: ${GameState.getCurrentTurn()}, Player color: ${GameState.getPlayerColor()}`);
+    ClientLog.debug(`Updating turn indicator. Current turn: ${GameState.getCurrentTurn()}, Player color: ${GameState.getPlayerColor()}`);
     
     // Update game status text
     updateGameStatus();
@@ -271,11 +329,11 @@ const UIManager = (function() {
         const hasJustHarvestedPlots = typeof FarmManager.hasJustHarvestedPlots === 'function' && 
                                      FarmManager.hasJustHarvestedPlots(playerColor);
         
-        console.log(`UI auto-skip check: allPlotsFull=${allPlotsFull}, hasJustHarvestedPlots=${hasJustHarvestedPlots}`);
+        ClientLog.debug(`UI auto-skip check: allPlotsFull=${allPlotsFull}, hasJustHarvestedPlots=${hasJustHarvestedPlots}`);
         
         // Only auto-skip if all plots are full AND there are no just-harvested plots
         if (allPlotsFull && !hasJustHarvestedPlots) {
-          console.log('All unlocked plots are full - auto-skipping farming phase');
+          ClientLog.debug('All unlocked plots are full - auto-skipping farming phase');
           
           // We need to wait a bit for the UI to update before skipping
           setTimeout(() => {
@@ -286,7 +344,7 @@ const UIManager = (function() {
             return;
           }, 500);
         } else if (hasJustHarvestedPlots) {
-          console.log('Not auto-skipping - detected plots that were just harvested and available for planting');
+          ClientLog.debug('Not auto-skipping - detected plots that were just harvested and available for planting');
           // Only show this message once to avoid spam
           if (!window.justHarvestedMessageShown) {
             showMessage('You have plots that were just harvested! You can plant on them this turn.', 3000);
@@ -346,12 +404,12 @@ const UIManager = (function() {
    * @param {string} playerColor - The player's color ('white' or 'black')
    */
   function setupGameUI(roomId, playerColor) {
-    console.log('Setting up game UI. Room:', roomId, 'Player color:', playerColor);
+    ClientLog.debug('Setting up game UI. Room:', roomId, 'Player color:', playerColor);
     
     // Defensive check: If playerColor is undefined, try to get it from GameState
     if (!playerColor && typeof GameState !== 'undefined') {
       playerColor = GameState.getPlayerColor();
-      console.log('🔴 Retrieved player color from GameState:', playerColor);
+      ClientLog.debug('Retrieved player color from GameState:', playerColor);
     }
     
     // Further defensive check: Still undefined, default to a value to prevent errors
@@ -367,15 +425,33 @@ const UIManager = (function() {
       roomIdDisplay.textContent = roomId || 'Unknown';
     }
     
+    // The game can be downloaded at any point, not just once it is over
+    const downloads = {
+      'download-pgn-link': 'pgn',
+      'game-over-pgn-link': 'pgn',
+      'download-record-link': 'record',
+      'game-over-record-link': 'record'
+    };
+    Object.keys(downloads).forEach(id => {
+      const link = document.getElementById(id);
+      if (link && roomId) {
+        link.href = `/api/rooms/${encodeURIComponent(roomId)}/${downloads[id]}`;
+      }
+    });
+    
+    const spectating = GameState.isSpectating();
+    
     if (playerColorDisplay) {
-      playerColorDisplay.textContent = playerColor.charAt(0).toUpperCase() + playerColor.slice(1);
+      playerColorDisplay.textContent = spectating
+        ? 'Spectator'
+        : playerColor.charAt(0).toUpperCase() + playerColor.slice(1);
     }
     
     // Remove any previous color classes before adding the new one
-    document.body.classList.remove('player-white', 'player-black');
+    document.body.classList.remove('player-white', 'player-black', 'spectator');
     
-    // Add the player's color as a class to the body
-    document.body.classList.add(`player-${playerColor}`);
+    // Add the player's color as a class to the body - spectators see both farms
+    document.body.classList.add(spectating ? 'spectator' : `player-${playerColor}`);
     
     // Initialize the board
     FarmManager.initializeFarmDisplay();
@@ -388,6 +464,96 @@ const UIManager = (function() {
     updateTurnIndicator();
   }
   
+  /**
+   * Load the ruleset presets from the server into the login screen's picker
+   * The picker keeps its built-in Classic option if the request fails
+   */
+  function loadRulesetOptions() {
+    const rulesetSelect = document.getElementById('ruleset-select');
+    if (!rulesetSelect || typeof fetch !== 'function') {
+      return;
+    }
+    
+    fetch('/api/rulesets')
+      .then(response => response.json())
+      .then(data => {
+        if (!data.success || !Array.isArray(data.rulesets)) {
+          return;
+        }
+        
+        rulesetSelect.innerHTML = '';
+        data.rulesets.forEach(ruleset => {
+          const option = document.createElement('option');
+          option.value = ruleset.id;
+          option.textContent = `${ruleset.name} - ${ruleset.description}`;
+          rulesetSelect.appendChild(option);
+        });
+      })
+      .catch(error => {
+        console.error('Failed to load rulesets:', error);
+      });
+  }
+  
+  /**
+   * Resume the game in a downloaded game record: the server checks it and opens a new
+   * room where it left off, and this player takes the first seat
+   * @param {File} file - The game record file
+   */
+  function resumeFromRecord(file) {
+    file.text()
+      .then(text => {
+        let record;
+        try {
+          record = JSON.parse(text);
+        } catch (error) {
+          throw new Error('That file is not a game record');
+        }
+        
+        return fetch('/api/records/import', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ record: record, mode: 'resume' })
+        });
+      })
+      .then(response => response.json())
+      .then(data => {
+        if (!data.success) {
+          showMessage(data.message || 'The game record could not be imported', 5000);
+          return;
+        }
+        
+        ClientLog.debug(`Resuming imported game in room ${data.roomId}`);
+        showMessage('Game restored - share the room ID with your opponent');
+        SocketManager.joinRoom(data.roomId);
+      })
+      .catch(error => {
+        console.error('Failed to import game record:', error);
+        showMessage(error.message, 5000);
+      });
+  }
+  
+  /**
+   * Show the name of the ruleset the room is played under
+   * @param {Object} ruleset - The room's ruleset, with name and version
+   */
+  function updateRulesetName(ruleset) {
+    const rulesetName = document.getElementById('ruleset-name');
+    if (rulesetName && ruleset) {
+      rulesetName.textContent = `${ruleset.name} v${ruleset.version}`;
+    }
+  }
+  
+  /**
+   * Show how many spectators are watching the room
+   * @param {number} count - The number of spectators
+   */
+  function updateSpectatorCount(count) {
+    const spectatorCount = document.getElementById('spectator-count');
+    if (spectatorCount) {
+      spectatorCount.textContent = count || 0;
+    }
+  }
+  
   /**
    * Show the plant selector overlay for a plot
    * @param {string} plotId - The ID of the plot to plant in
@@ -401,8 +567,9 @@ const UIManager = (function() {
       return;
     }
     
-    // Generate the plant selector content
-    overlay.innerHTML = generatePlantSelectorHTML();
+    // Build the plant selector content
+    overlay.innerHTML = '';
+    overlay.appendChild(createPlantSelector());
     
     // Show the overlay
     overlay.style.display = 'flex';
@@ -434,7 +601,7 @@ const UIManager = (function() {
             return;
           }
           
-          console.log('Prepared standardized crop data for planting:', cropDataForPlanting);
+          ClientLog.debug('Prepared standardized crop data for planting:', cropDataForPlanting);
           
           // Plant the crop
           FarmManager.plantCrop(playerColor, plotIndex, cropDataForPlanting);
@@ -454,17 +621,28 @@ const UIManager = (function() {
   }
   
   /**
-   * Generate the HTML for the plant selector
-   * @returns {string} The HTML for the plant selector
+   * Redraw the plant selector if it is open, e.g. after the crop config changed
+   */
+  function refreshPlantSelector() {
+    const overlay = document.getElementById('plant-selector-overlay');
+    if (overlay && overlay.style.display === 'flex' && selectedPlotId) {
+      showPlantSelector(selectedPlotId);
+    }
+  }
+  
+  /**
+   * Build the plant selector's content
+   * Crop names and emoji come from the room's config, which can come from an uploaded
+   * game record, so they are only ever set as text
+   * @returns {HTMLElement} The plant selector
    */
-  function generatePlantSelectorHTML() {
+  function createPlantSelector() {
     const playerColor = GameState.getPlayerColor();
     const currentWheat = GameState.getWheat(playerColor);
     
-    let html = `
-      <div class="plant-selector-container">
-        <h3>Select a Crop to Plant</h3>
-    `;
+    const container = document.createElement('div');
+    container.className = 'plant-selector-container';
+    appendText(container, 'h3', null, 'Select a Crop to Plant');
     
     // Add each crop option with standardized property names
     Object.entries(GameConfig.crops).forEach(([cropType, cropConfig]) => {
@@ -475,33 +653,52 @@ const UIManager = (function() {
       });
       
       const canAfford = currentWheat >= cropData.cost;
-      const disabledClass = canAfford ? '' : 'disabled';
+      const button = document.createElement('button');
+      button.className = canAfford ? 'plant-type-btn' : 'plant-type-btn disabled';
+      button.setAttribute('data-crop-type', cropType);
+      button.setAttribute('data-crop-cost', cropData.cost);
+      button.disabled = !canAfford;
       
-      html += `
-        <button class="plant-type-btn ${disabledClass}" data-crop-type="${cropType}" data-crop-cost="${cropData.cost}" ${!canAfford ? 'disabled' : ''}>
-          <div class="plant-emoji">${cropData.emoji}</div>
-          <div class="plant-details">
-            <div class="plant-name">${cropData.name}</div>
-            <div class="plant-info">Cost: ${cropData.cost} wheat | Harvest: ${cropData.yield} wheat | Growth: ${cropData.growthTime} turns</div>
-          </div>
-        </button>
-      `;
+      appendText(button, 'div', 'plant-emoji', cropData.emoji);
+      const details = document.createElement('div');
+      details.className = 'plant-details';
+      appendText(details, 'div', 'plant-name', cropData.name);
+      appendText(details, 'div', 'plant-info', `Cost: ${cropData.cost} wheat | Harvest: ${cropData.yield} wheat | Growth: ${cropData.growthTime} turns`);
+      button.appendChild(details);
+      
+      container.appendChild(button);
     });
     
-    html += `
-        <button class="cancel-btn">Cancel</button>
-      </div>
-    `;
+    appendText(container, 'button', 'cancel-btn', 'Cancel');
     
-    return html;
+    return container;
+  }
+  
+  /**
+   * Add an element holding some text to a parent element
+   * @param {HTMLElement} parent - The element to add to
+   * @param {string} tagName - The new element's tag
+   * @param {string|null} className - The new element's class, if any
+   * @param {string} text - The text, set as text so it is never parsed as HTML
+   * @returns {HTMLElement} The new element
+   */
+  function appendText(parent, tagName, className, text) {
+    const element = document.createElement(tagName);
+    if (className) {
+      element.className = className;
+    }
+    element.textContent = text;
+    parent.appendChild(element);
+    return element;
   }
   
   /**
    * Show the game over screen
    * @param {string} winner - The color of the winning player
    * @param {string} victoryType - The type of victory
+   * @param {string} [detail] - Explanation for games ended by an admin
    */
-  function showGameOver(winner, victoryType) {
+  function showGameOver(winner, victoryType, detail) {
     const gameOverBanner = document.getElementById('game-over-banner');
     const gameOverMessage = document.getElementById('game-over-message');
     
@@ -515,7 +712,24 @@ const UIManager = (function() {
     
     // Set message based on victory type
     let message = '';
-    if (playerWon) {
+    if (victoryType === 'ended-by-admin') {
+      // Ended from outside the game, so the result is the same for everyone
+      const result = winner ? `${winner.charAt(0).toUpperCase() + winner.slice(1)} wins.` : 'No winner.';
+      message = `The game was ended by an admin${detail ? `: ${detail}` : ''}. ${result}`;
+    } else if (!winner && victoryType === 'draw') {
+      message = 'The game is a draw!';
+    } else if (GameState.isSpectating()) {
+      // Spectators get a neutral result
+      const reasons = {
+        checkmate: ' by Checkmate',
+        economic: ' by Economic Victory',
+        'resource-starvation': ' - opponent ran out of resources',
+        resignation: ' - opponent resigned'
+      };
+      message = winner
+        ? `${winner.charAt(0).toUpperCase() + winner.slice(1)} Wins${reasons[victoryType] || ''}!`
+        : 'The game is a draw!';
+    } else if (playerWon) {
       gameOverBanner.classList.add('victory');
       
       if (victoryType === 'checkmate') {
@@ -524,6 +738,8 @@ const UIManager = (function() {
         message = 'You Win by Economic Victory!';
       } else if (victoryType === 'resource-starvation') {
         message = 'You Win! Opponent ran out of resources!';
+      } else if (victoryType === 'resignation') {
+        message = 'You Win! Opponent resigned!';
       } else if (victoryType === 'white' || victoryType === 'black') {
         // Handle cases where the victoryType is actually the winner color
         message = 'You Win!';
@@ -539,6 +755,8 @@ const UIManager = (function() {
         message = 'You Lose! Opponent reached 200 wheat!';
       } else if (victoryType === 'resource-starvation') {
         message = 'You Lose! You ran out of resources!';
+      } else if (victoryType === 'resignation') {
+        message = 'You resigned.';
       } else if (victoryType === 'white' || victoryType === 'black') {
         // Handle cases where the victoryType is actually the winner color
         if (victoryType !== playerColor) {
@@ -602,7 +820,10 @@ const UIManager = (function() {
     updateGamePhaseIndicator,
     updateResourceDisplay,
     setupGameUI,
+    updateSpectatorCount,
+    updateRulesetName,
     showPlantSelector,
+    refreshPlantSelector,
     showGameOver,
     showMessage
   };
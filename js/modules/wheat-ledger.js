@@ -0,0 +1,143 @@
+/**
+ * Wheat Ledger Module
+ * Keeps the authoritative wheat balance for each player in a room.
+ * Every charge and credit is recorded as an entry so balances can be audited.
+ * Loads in the browser and in Node so the rules engine can use it on both sides.
+ */
+
+const WheatLedger = (function() {
+  const PLAYER_COLORS = ['white', 'black'];
+  
+  /**
+   * Create a new ledger with both players at the starting balance
+   * @param {number} startingWheat - The wheat each player starts with
+   * @returns {Object} The new ledger
+   */
+  function createLedger(startingWheat) {
+    const ledger = {
+      balances: {},
+      entries: []
+    };
+    
+    PLAYER_COLORS.forEach(color => {
+      ledger.balances[color] = startingWheat;
+    });
+    
+    return ledger;
+  }
+  
+  /**
+   * Get a player's current balance
+   * @param {Object} ledger - The ledger
+   * @param {string} color - The player color ('white' or 'black')
+   * @returns {number} The player's balance
+   */
+  function getBalance(ledger, color) {
+    return ledger.balances[color] || 0;
+  }
+  
+  /**
+   * Get a copy of both players' balances
+   * @param {Object} ledger - The ledger
+   * @returns {Object} Balances keyed by player color
+   */
+  function getBalances(ledger) {
+    return { ...ledger.balances };
+  }
+  
+  /**
+   * Check whether a player can afford a charge
+   * @param {Object} ledger - The ledger
+   * @param {string} color - The player color
+   * @param {number} amount - The amount to charge
+   * @returns {boolean} True if the player's balance covers the amount
+   */
+  function canAfford(ledger, color, amount) {
+    return getBalance(ledger, color) >= amount;
+  }
+  
+  /**
+   * Record a balance change
+   * @param {Object} ledger - The ledger
+   * @param {string} color - The player color
+   * @param {number} amount - The signed amount
+   * @param {string} reason - Why the balance changed (move, plant, harvest)
+   * @param {Object} details - Extra information about the change
+   */
+  function recordEntry(ledger, color, amount, reason, details) {
+    ledger.balances[color] = getBalance(ledger, color) + amount;
+    
+    ledger.entries.push({
+      color: color,
+      amount: amount,
+      reason: reason,
+      details: details || null,
+      balance: ledger.balances[color],
+      timestamp: Date.now()
+    });
+  }
+  
+  /**
+   * Charge a player, refusing if they can't afford it
+   * @param {Object} ledger - The ledger
+   * @param {string} color - The player color
+   * @param {number} amount - The amount to charge
+   * @param {string} reason - Why the player is being charged
+   * @param {Object} [details] - Extra information about the charge
+   * @returns {Object} Result with success flag, balance and error message
+   */
+  function debit(ledger, color, amount, reason, details) {
+    if (!PLAYER_COLORS.includes(color)) {
+      return { success: false, balance: 0, error: `Invalid player color: ${color}` };
+    }
+    
+    if (!canAfford(ledger, color, amount)) {
+      return {
+        success: false,
+        balance: getBalance(ledger, color),
+        error: `Not enough wheat (required: ${amount}, available: ${getBalance(ledger, color)})`
+      };
+    }
+    
+    recordEntry(ledger, color, -amount, reason, details);
+    return { success: true, balance: getBalance(ledger, color) };
+  }
+  
+  /**
+   * Credit a player
+   * @param {Object} ledger - The ledger
+   * @param {string} color - The player color
+   * @param {number} amount - The amount to credit
+   * @param {string} reason - Why the player is being credited
+   * @param {Object} [details] - Extra information about the credit
+   * @returns {Object} Result with success flag and balance
+   */
+  function credit(ledger, color, amount, reason, details) {
+    if (!PLAYER_COLORS.includes(color)) {
+      return { success: false, balance: 0, error: `Invalid player color: ${color}` };
+    }
+    
+    recordEntry(ledger, color, amount, reason, details);
+    return { success: true, balance: getBalance(ledger, color) };
+  }
+  
+  // Public API
+  return {
+    createLedger,
+    getBalance,
+    getBalances,
+    canAfford,
+    debit,
+    credit
+  };
+})();
+
+// Make the ledger available globally for browser
+// And also export for Node.js environments
+if (typeof window !== 'undefined') {
+  window.WheatLedger = WheatLedger;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WheatLedger;
+}
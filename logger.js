@@ -0,0 +1,250 @@
+// Structured logging for Chessville
+// Every log line is one JSON record: time, level and message, plus the room, socket,
+// player color and event it belongs to, so all the lines for one room can be pulled out
+// when investigating a bug report. Records go to stdout or to a local file that is
+// rotated when it gets too big.
+
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createWriteQueue } = require('./writeQueue');
+
+const LOG_LEVELS = {
+  ERROR: 0,
+  WARN: 1,
+  INFO: 2,
+  DEBUG: 3
+};
+
+// Fields that are lifted out of a record's data to the top level, so they can be searched
+const CONTEXT_FIELDS = ['roomId', 'socketId', 'color', 'event', 'durationMs'];
+
+// Turn whatever was passed as log data into something JSON can hold
+function serializeData(data) {
+  if (data instanceof Error) {
+    return { error: data.message, stack: data.stack };
+  }
+  return data;
+}
+
+// Build a log record from the active context and the call's own fields
+function buildRecord(level, message, data, context) {
+  const record = Object.assign({
+    time: new Date().toISOString(),
+    level: level,
+    msg: message
+  }, context);
+  
+  let rest = serializeData(data);
+  if (rest && typeof rest === 'object' && !Array.isArray(rest)) {
+    rest = Object.assign({}, rest);
+    CONTEXT_FIELDS.forEach(field => {
+      if (rest[field] !== undefined) {
+        record[field] = rest[field];
+        delete rest[field];
+      }
+    });
+    if (Object.keys(rest).length === 0) {
+      rest = undefined;
+    }
+  }
+  
+  if (rest !== undefined && rest !== null) {
+    record.data = rest;
+  }
+  return record;
+}
+
+// Output that writes records to the console
+// Keeps the most recent records in memory so a room's lines can still be looked up
+function createStdoutOutput({ historySize = 5000 } = {}) {
+  const history = [];
+  
+  return {
+    write(record, line) {
+      if (record.level === 'ERROR') {
+        console.error(line);
+      } else if (record.level === 'WARN') {
+        console.warn(line);
+      } else {
+        console.log(line);
+      }
+      
+      history.push(record);
+      if (history.length > historySize) {
+        history.shift();
+      }
+    },
+    readRoomRecords(roomId) {
+      return Promise.resolve(history.filter(record => record.roomId === roomId));
+    }
+  };
+}
+
+// Parse the records in a log file's text, skipping lines cut short by a crash
+function parseRecords(text) {
+  const records = [];
+  text.split('\n').forEach(line => {
+    if (line.trim() === '') {
+      return;
+    }
+    try {
+      records.push(JSON.parse(line));
+    } catch (error) {
+      // Skip a line cut short by a crash
+    }
+  });
+  return records;
+}
+
+// Output that appends records to a file, rotating it once it passes maxBytes:
+// server.log becomes server.log.1, server.log.1 becomes server.log.2 and so on,
+// keeping at most maxFiles old files
+// Records are written in the background, in order. An index of the rooms in each file means
+// looking up a room only reads the files that have its records
+function createFileOutput({ file, maxBytes = 10 * 1024 * 1024, maxFiles = 5 }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  let size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+  const queue = createWriteQueue({
+    onError: error => console.error(`Failed to write log file ${file}: ${error.message}`)
+  });
+  
+  // Every file is numbered by generation, counting up from 0 for the file in use at startup,
+  // so server.log.2 is generation -2 then. The index maps each generation to the rooms in it
+  let generation = 0;
+  // The generation of the file on disk named server.log, which lags behind while a rotation is queued
+  let writtenGeneration = 0;
+  const roomsByGeneration = new Map();
+  
+  function indexRoom(fileGeneration, roomId) {
+    if (!roomsByGeneration.has(fileGeneration)) {
+      roomsByGeneration.set(fileGeneration, new Set());
+    }
+    roomsByGeneration.get(fileGeneration).add(roomId);
+  }
+  
+  function fileFor(fileGeneration) {
+    const age = writtenGeneration - fileGeneration;
+    return age === 0 ? file : `${file}.${age}`;
+  }
+  
+  async function rotate() {
+    await fs.promises.rm(`${file}.${maxFiles}`, { force: true });
+    for (let i = maxFiles - 1; i >= 1; i--) {
+      await fs.promises.rename(`${file}.${i}`, `${file}.${i + 1}`).catch(error => {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      });
+    }
+    await fs.promises.rename(file, `${file}.1`);
+    writtenGeneration++;
+  }
+  
+  // Index the files left by the last run - queued first, so it reads them before anything is rotated
+  queue.push(async () => {
+    for (let age = maxFiles; age >= 0; age--) {
+      let text;
+      try {
+        text = await fs.promises.readFile(age === 0 ? file : `${file}.${age}`, 'utf8');
+      } catch (error) {
+        continue;
+      }
+      parseRecords(text).forEach(record => {
+        if (record.roomId) {
+          indexRoom(-age, record.roomId);
+        }
+      });
+    }
+  });
+  
+  return {
+    write(record, line) {
+      const text = line + '\n';
+      queue.push(() => fs.promises.appendFile(file, text));
+      if (record.roomId) {
+        indexRoom(generation, record.roomId);
+      }
+      size += Buffer.byteLength(text);
+      
+      if (size >= maxBytes) {
+        queue.push(rotate);
+        size = 0;
+        generation++;
+        roomsByGeneration.delete(generation - maxFiles - 1);
+      }
+    },
+    readRoomRecords(roomId) {
+      // Queued behind the writes, so records logged just before are included
+      return queue.run(async () => {
+        const generations = Array.from(roomsByGeneration.keys())
+          .filter(fileGeneration => fileGeneration > writtenGeneration - maxFiles - 1)
+          .filter(fileGeneration => roomsByGeneration.get(fileGeneration).has(roomId))
+          .sort((a, b) => a - b);
+        
+        // Oldest file first, so the records come back in order
+        const records = [];
+        for (const fileGeneration of generations) {
+          const text = await fs.promises.readFile(fileFor(fileGeneration), 'utf8').catch(() => '');
+          parseRecords(text).forEach(record => {
+            if (record.roomId === roomId) {
+              records.push(record);
+            }
+          });
+        }
+        return records;
+      });
+    }
+  };
+}
+
+// Create a logger
+// options.level is the most detailed level written (ERROR, WARN, INFO or DEBUG),
+// options.output is 'stdout' or 'file', and the file options are passed to the file output
+function createLogger(options = {}) {
+  const level = LOG_LEVELS[String(options.level || 'INFO').toUpperCase()];
+  const maxLevel = level === undefined ? LOG_LEVELS.INFO : level;
+  const output = options.output === 'file' ?
+    createFileOutput({ file: options.file, maxBytes: options.maxBytes, maxFiles: options.maxFiles }) :
+    createStdoutOutput();
+  
+  // Context (room, socket, color, event) for everything logged while handling one event
+  const contextStorage = new AsyncLocalStorage();
+  
+  return {
+    // Write a record if its level is enabled
+    // data fields named in CONTEXT_FIELDS become top-level fields, the rest goes under data
+    log(recordLevel, message, data = null) {
+      if (!(LOG_LEVELS[recordLevel] <= maxLevel)) {
+        return;
+      }
+      
+      const record = buildRecord(recordLevel, message, data, contextStorage.getStore());
+      output.write(record, JSON.stringify(record));
+    },
+    
+    // Run fn with fields added to the context of every record it logs, including async work it starts
+    withContext(fields, fn) {
+      return contextStorage.run(Object.assign({}, contextStorage.getStore(), fields), fn);
+    },
+    
+    // Add fields to the current context, e.g. once a handler knows which room it is in
+    addContext(fields) {
+      const store = contextStorage.getStore();
+      if (store) {
+        Object.assign(store, fields);
+      }
+    },
+    
+    // Resolves to every record still available for a room, oldest first
+    // From the log files with file output, or from the recent history with stdout
+    getRoomRecords(roomId) {
+      return output.readRoomRecords(roomId);
+    }
+  };
+}
+
+module.exports = {
+  LOG_LEVELS,
+  createLogger
+};
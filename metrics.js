@@ -0,0 +1,150 @@
+// Metrics for Chessville
+// A small registry of counters, gauges and histograms, rendered in the Prometheus
+// text exposition format for GET /metrics. Every metric is created once at startup:
+//   counter(name, help)             - inc(labels, amount) for things that only go up
+//   gauge(name, help, collect)      - collect() is called on every scrape for the current value
+//   histogram(name, help, buckets)  - observe(labels, value) for durations in seconds
+
+// Latency buckets in seconds, from 1ms up to 2.5s
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5];
+
+// Escape a label value for the text format
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+// Render a set of labels as {a="1",b="2"}, or nothing when there are none
+function formatLabels(labels) {
+  const names = Object.keys(labels);
+  if (names.length === 0) {
+    return '';
+  }
+  return '{' + names.map(name => `${name}="${escapeLabel(labels[name])}"`).join(',') + '}';
+}
+
+// Key a label set so values with the same labels are added together
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+}
+
+// Create a metrics registry
+function createMetrics() {
+  const metrics = [];
+  
+  function counter(name, help) {
+    const values = new Map();
+    
+    const metric = {
+      inc(labels = {}, amount = 1) {
+        const key = labelKey(labels);
+        const entry = values.get(key) || { labels: labels, value: 0 };
+        entry.value += amount;
+        values.set(key, entry);
+      },
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+        values.forEach(entry => {
+          lines.push(`${name}${formatLabels(entry.labels)} ${entry.value}`);
+        });
+        return lines;
+      }
+    };
+    metrics.push(metric);
+    return metric;
+  }
+  
+  // collect() returns a number, or a list of { labels, value }
+  function gauge(name, help, collect) {
+    const metric = {
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+        const collected = collect();
+        const samples = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+        samples.forEach(sample => {
+          lines.push(`${name}${formatLabels(sample.labels || {})} ${sample.value}`);
+        });
+        return lines;
+      }
+    };
+    metrics.push(metric);
+    return metric;
+  }
+  
+  function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const values = new Map();
+    
+    const metric = {
+      observe(labels, value) {
+        const key = labelKey(labels);
+        let entry = values.get(key);
+        if (!entry) {
+          entry = { labels: labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+          values.set(key, entry);
+        }
+        
+        buckets.forEach((bound, i) => {
+          if (value <= bound) {
+            entry.counts[i]++;
+          }
+        });
+        entry.sum += value;
+        entry.count++;
+      },
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+        values.forEach(entry => {
+          buckets.forEach((bound, i) => {
+            lines.push(`${name}_bucket${formatLabels(Object.assign({}, entry.labels, { le: bound }))} ${entry.counts[i]}`);
+          });
+          lines.push(`${name}_bucket${formatLabels(Object.assign({}, entry.labels, { le: '+Inf' }))} ${entry.count}`);
+          lines.push(`${name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+          lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+        });
+        return lines;
+      }
+    };
+    metrics.push(metric);
+    return metric;
+  }
+  
+  // Every metric in the Prometheus text format
+  function render() {
+    return metrics.map(metric => metric.render().join('\n')).join('\n') + '\n';
+  }
+  
+  return {
+    counter,
+    gauge,
+    histogram,
+    render
+  };
+}
+
+// Count events over a sliding window, e.g. moves in the last minute
+function createRateWindow(windowMs = 60 * 1000) {
+  const times = [];
+  
+  function prune(now) {
+    while (times.length > 0 && times[0] <= now - windowMs) {
+      times.shift();
+    }
+  }
+  
+  return {
+    record() {
+      const now = Date.now();
+      times.push(now);
+      prune(now);
+    },
+    count() {
+      prune(Date.now());
+      return times.length;
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  createMetrics,
+  createRateWindow
+};
@@ -0,0 +1,65 @@
+// Rate limiting for Chessville
+// A token bucket per key (a socket ID or an IP address): each event takes a token,
+// tokens refill at a steady rate up to the bucket's capacity, and an event that finds
+// the bucket empty is refused. Short bursts are fine, sustained flooding is not.
+
+// Buckets are dropped once they have refilled, so idle keys don't pile up
+const PRUNE_EVERY = 1000;
+
+// Create a limiter where every key gets a bucket of the given capacity
+// that refills at refillPerSecond tokens a second
+function createRateLimiter({ capacity, refillPerSecond }) {
+  const buckets = new Map();
+  let takesSincePrune = 0;
+  
+  function refill(bucket, now) {
+    const elapsed = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(capacity, bucket.tokens + elapsed * refillPerSecond);
+    bucket.updatedAt = now;
+  }
+  
+  function prune(now) {
+    buckets.forEach((bucket, key) => {
+      refill(bucket, now);
+      if (bucket.tokens >= capacity) {
+        buckets.delete(key);
+      }
+    });
+  }
+  
+  return {
+    // Take a token for key, returning false if there was none left
+    take(key) {
+      const now = Date.now();
+      
+      takesSincePrune++;
+      if (takesSincePrune >= PRUNE_EVERY) {
+        takesSincePrune = 0;
+        prune(now);
+      }
+      
+      let bucket = buckets.get(key);
+      if (!bucket) {
+        bucket = { tokens: capacity, updatedAt: now };
+        buckets.set(key, bucket);
+      } else {
+        refill(bucket, now);
+      }
+      
+      if (bucket.tokens < 1) {
+        return false;
+      }
+      bucket.tokens -= 1;
+      return true;
+    },
+    
+    // Forget a key, e.g. when its socket disconnects
+    remove(key) {
+      buckets.delete(key);
+    }
+  };
+}
+
+module.exports = {
+  createRateLimiter
+};
@@ -0,0 +1,37 @@
+// Game record importer for Chessville
+// Checks uploaded game records on a worker thread. Replaying a long record through the rules
+// engine takes a couple of seconds, which would otherwise stall every room on the server.
+// Records are checked one at a time, in the order they were uploaded.
+//   validate(record, options) - resolves to the result of GameRecord.validate()
+//   queued()                  - how many records are waiting to be checked, including the current one
+//   close()                   - stops the worker
+
+const { isMainThread } = require('worker_threads');
+const WorkerThread = require('./workerThread');
+const GameRecord = require('./js/modules/game-record');
+
+// Worker side - check each record it is sent and send back the result
+if (!isMainThread) {
+  WorkerThread.serveTasks(({ record, options }) => GameRecord.validate(record, options));
+}
+
+// Create an importer, with onError(error) called if the worker crashes
+function createRecordImporter({ onError } = {}) {
+  const worker = WorkerThread.createWorkerClient(__filename, { name: 'Game record import', onError });
+  
+  return {
+    validate(record, options = {}) {
+      return worker.run({ record, options });
+    },
+    queued() {
+      return worker.queued();
+    },
+    close() {
+      return worker.close();
+    }
+  };
+}
+
+module.exports = {
+  createRecordImporter
+};
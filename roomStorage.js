@@ -0,0 +1,123 @@
+// Room storage for Chessville
+// Keeps game rooms somewhere that outlives the server process, so games in progress
+// survive a restart or deploy. Every adapter has the same interface:
+//   loadRooms()        - returns every saved room, keyed by room ID (only called at startup)
+//   saveRoom(room)     - stores a snapshot of the room, replacing any earlier one
+//   deleteRoom(roomId) - forgets the room
+
+const fs = require('fs');
+const path = require('path');
+const { createWriteQueue } = require('./writeQueue');
+
+// Rooms are stored as plain JSON, so a snapshot is a JSON round trip
+function snapshot(room) {
+  return JSON.parse(JSON.stringify(room));
+}
+
+// In-memory storage - nothing survives a restart, but useful for development
+function createMemoryStorage() {
+  const rooms = {};
+  
+  return {
+    loadRooms() {
+      return snapshot(rooms);
+    },
+    saveRoom(room) {
+      rooms[room.id] = snapshot(room);
+    },
+    deleteRoom(roomId) {
+      delete rooms[roomId];
+    }
+  };
+}
+
+// File-backed storage - one JSON file per room in the given directory
+// onLoadError(file, error) is called for files that can't be read, which are then skipped
+// Rooms are written in the background and onSaveError(roomId, error) is called if a write fails.
+// A room saved again before its last snapshot was written is only written once, with the newest snapshot
+function createFileStorage(directory, { onLoadError, onSaveError } = {}) {
+  fs.mkdirSync(directory, { recursive: true });
+  const queue = createWriteQueue();
+  // Snapshot waiting to be written for each room, or null for a room waiting to be deleted
+  const pending = new Map();
+  
+  function roomFile(roomId) {
+    return path.join(directory, `${encodeURIComponent(roomId)}.json`);
+  }
+  
+  async function writeRoom(roomId) {
+    const json = pending.get(roomId);
+    pending.delete(roomId);
+    
+    const file = roomFile(roomId);
+    if (json === null) {
+      await fs.promises.rm(file, { force: true });
+      return;
+    }
+    
+    // Write to a temporary file first so a crash mid-write never leaves a half-written room
+    const tempFile = `${file}.tmp`;
+    await fs.promises.writeFile(tempFile, json);
+    await fs.promises.rename(tempFile, file);
+  }
+  
+  function queueWrite(roomId, json) {
+    const queued = pending.has(roomId);
+    pending.set(roomId, json);
+    if (!queued) {
+      queue.run(() => writeRoom(roomId)).catch(error => {
+        if (onSaveError) {
+          onSaveError(roomId, error);
+        }
+      });
+    }
+  }
+  
+  return {
+    loadRooms() {
+      const rooms = {};
+      
+      fs.readdirSync(directory)
+        .filter(file => file.endsWith('.json'))
+        .forEach(file => {
+          try {
+            const room = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+            rooms[room.id] = room;
+          } catch (error) {
+            if (onLoadError) {
+              onLoadError(file, error);
+            }
+          }
+        });
+      
+      return rooms;
+    },
+    saveRoom(room) {
+      queueWrite(room.id, JSON.stringify(room));
+    },
+    deleteRoom(roomId) {
+      queueWrite(roomId, null);
+    }
+  };
+}
+
+// Create the storage adapter named by options.type ('file' or 'memory')
+function createRoomStorage(options = {}) {
+  const type = options.type || 'file';
+  
+  if (type === 'memory') {
+    return createMemoryStorage();
+  }
+  
+  if (type === 'file') {
+    return createFileStorage(options.directory, { onLoadError: options.onLoadError, onSaveError: options.onSaveError });
+  }
+  
+  throw new Error(`Unknown room storage type: ${type}`);
+}
+
+module.exports = {
+  createMemoryStorage,
+  createFileStorage,
+  createRoomStorage
+};
@@ -0,0 +1,43 @@
+// Named ruleset presets for Chessville
+// A room creator picks one of these on the login screen. Each preset lists only the
+// values it changes; they are layered on the live config when the room is created.
+// Bump a preset's version whenever its overrides change, so game records show
+// exactly which rules a game was played under.
+
+const rulesetPresets = [
+  {
+    id: 'classic',
+    name: 'Classic',
+    description: 'The standard rules',
+    version: 1,
+    overrides: {}
+  },
+  {
+    id: 'rich-farms',
+    name: 'Rich Farms',
+    description: 'More starting wheat and bigger harvests',
+    version: 1,
+    overrides: {
+      startingWheat: 40,
+      crops: {
+        wheat: { yield: 14 },
+        corn: { yield: 24 },
+        carrot: { yield: 40 },
+        potato: { yield: 52 }
+      }
+    }
+  },
+  {
+    id: 'cheap-pawns',
+    name: 'Cheap Pawns',
+    description: 'Pawns cost 1 wheat to move',
+    version: 1,
+    overrides: {
+      pieceCosts: {
+        p: 1
+      }
+    }
+  }
+];
+
+module.exports = rulesetPresets;
@@ -2,39 +2,25 @@ const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
 const path = require('path');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
-const { Chess } = require('chess.js');
 const bodyParser = require('body-parser');
 
-// Set up enhanced logging
-const logLevels = {
-  ERROR: 0,
-  WARN: 1,
-  INFO: 2,
-  DEBUG: 3
-};
-
-const currentLogLevel = process.env.LOG_LEVEL ? 
-  logLevels[process.env.LOG_LEVEL.toUpperCase()] : 
-  logLevels.INFO;
+// Structured JSON logging - every record carries the room, socket, color and event it belongs to
+// LOG_OUTPUT=file writes to LOG_FILE, rotated once it reaches LOG_MAX_BYTES, keeping LOG_MAX_FILES old files
+const Logger = require('./logger');
+const logger = Logger.createLogger({
+  level: process.env.LOG_LEVEL,
+  output: process.env.LOG_OUTPUT || 'stdout',
+  file: process.env.LOG_FILE || path.join(__dirname, 'data', 'logs', 'server.log'),
+  maxBytes: process.env.LOG_MAX_BYTES ? parseInt(process.env.LOG_MAX_BYTES, 10) : undefined,
+  maxFiles: process.env.LOG_MAX_FILES ? parseInt(process.env.LOG_MAX_FILES, 10) : undefined
+});
 
 // Logger function
+// data fields named roomId, socketId, color, event or durationMs become top-level record fields
 function log(level, message, data = null) {
-  const timestamp = new Date().toISOString();
-  
-  if (logLevels[level] <= currentLogLevel) {
-    const logMessage = data ? 
-      `[${timestamp}] [${level}] ${message} ${JSON.stringify(data)}` : 
-      `[${timestamp}] [${level}] ${message}`;
-    
-    if (level === 'ERROR') {
-      console.error(logMessage);
-    } else if (level === 'WARN') {
-      console.warn(logMessage);
-    } else {
-      console.log(logMessage);
-    }
-  }
+  logger.log(level, message, data);
 }
 
 // Log server startup
@@ -43,237 +29,1860 @@ log('INFO', 'Starting Chessville server...');
 // Import our game configuration system
 const gameConfig = require('./gameConfig');
 
+// Rules engine shared with the browser - every move and farm action goes through it
+const GameRules = require('./js/modules/game-rules');
+
+// Per-room log of accepted actions, replayable through the rules engine
+const ActionLog = require('./js/modules/action-log');
+
+// PGN download of a room's game, built from its action log
+const PgnExport = require('./js/modules/pgn-export');
+
+// Chessville game records - the whole game as JSON, for download and import
+const GameRecord = require('./js/modules/game-record');
+
+// Checks imported game records on a worker thread, since replaying one can take seconds
+const RecordImporter = require('./recordImporter');
+const recordImporter = RecordImporter.createRecordImporter({
+  onError: error => log('ERROR', 'Game record import worker failed', { error: error.message })
+});
+// Imports waiting to be checked beyond this are turned away, so uploads can't pile up in memory
+const MAX_QUEUED_IMPORTS = 4;
+// Most positions an analysis import returns at once; the rest are fetched with from
+const ANALYSIS_PAGE_SIZE = 100;
+
+// Lists what a config change would change, for dry runs
+const ConfigDiff = require('./js/modules/config-diff');
+
+// Types and ranges of every config setting, served to the admin panel
+const ConfigSchema = require('./js/modules/config-schema');
+
+// Computer opponent that can take an empty seat
+const BotPlayer = require('./js/modules/bot-player');
+
+// Plans the computer's turns on a worker thread, so its search never stalls other rooms
+const BotPlanner = require('./botPlanner');
+const botPlanner = BotPlanner.createBotPlanner({
+  onError: error => log('ERROR', 'Computer opponent worker failed', { error: error.message })
+});
+
+// Room storage so games in progress survive a restart
+const RoomStorage = require('./roomStorage');
+const ROOM_STORAGE_DIR = process.env.ROOM_STORAGE_DIR || path.join(__dirname, 'data', 'rooms');
+const roomStorage = RoomStorage.createRoomStorage({
+  type: process.env.ROOM_STORAGE || 'file',
+  directory: ROOM_STORAGE_DIR,
+  onLoadError: (file, error) => log('ERROR', `Skipping unreadable saved room ${file}:`, error.message),
+  onSaveError: (roomId, error) => log('ERROR', `Failed to save room ${roomId}`, { roomId: roomId, error: error.message })
+});
+
+// Admin sign-in - every config change needs an admin session
+const AdminAuth = require('./adminAuth');
+const adminAuth = AdminAuth.createAdminAuth({
+  credentials: AdminAuth.loadCredentials({
+    file: process.env.ADMIN_CREDENTIALS_FILE || path.join(__dirname, 'data', 'admin-credentials.json')
+  })
+});
+if (!adminAuth.isEnabled()) {
+  log('WARN', 'No admin credentials set (ADMIN_PASSWORD or ADMIN_CREDENTIALS_FILE), so the config cannot be changed');
+}
+
+// Audit trail of every config change, with the admin who made it
+const AuditTrail = require('./auditTrail');
+const auditTrail = AuditTrail.createAuditTrail({
+  type: process.env.AUDIT_TRAIL || 'file',
+  file: process.env.AUDIT_TRAIL_FILE || path.join(__dirname, 'data', 'admin-audit.log'),
+  onError: error => log('ERROR', 'Failed to write to the audit trail', error)
+});
+
+// Config version history, kept the same way as the audit trail so version numbers survive a restart
+// Loaded before the server starts listening
+const configHistoryStore = AuditTrail.createAuditTrail({
+  type: process.env.AUDIT_TRAIL || 'file',
+  file: process.env.CONFIG_HISTORY_FILE || path.join(__dirname, 'data', 'config-history.log'),
+  onError: error => log('ERROR', 'Failed to save a config version', error)
+});
+
+// Balance experiments - new rooms can be assigned a config variant so variants can be compared
+const Experiments = require('./experiments');
+const experiments = Experiments.createExperiments({
+  type: process.env.EXPERIMENTS || 'file',
+  directory: process.env.EXPERIMENTS_DIR || path.join(__dirname, 'data', 'experiments'),
+  onError: error => log('ERROR', 'Failed to save experiment data', error)
+});
+
+// Every inbound socket event is checked against its declared payload schema
+const SocketPayloads = require('./socketPayloads');
+
+// Token buckets for inbound socket events - one per socket, and one per IP shared by all its sockets
+const RateLimiter = require('./rateLimiter');
+const socketRateLimiter = RateLimiter.createRateLimiter({ capacity: 20, refillPerSecond: 10 });
+const ipRateLimiter = RateLimiter.createRateLimiter({ capacity: 60, refillPerSecond: 30 });
+// Game record imports per IP - a few in a row, then one a minute
+const importRateLimiter = RateLimiter.createRateLimiter({ capacity: 5, refillPerSecond: 1 / 60 });
+// Behind a proxy (like Heroku's router), TRUST_PROXY=true takes the client IP from X-Forwarded-For
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true';
+
 // Initialize Express app
 const app = express();
 const server = http.createServer(app);
-const io = new Server(server);
+// Socket payloads are small - anything near this size is dropped along with its connection
+const io = new Server(server, { maxHttpBufferSize: 64 * 1024 });
 
 // Middleware
-app.use(express.static(__dirname));
+// Only the asset directories are served - the repo root also holds data/, whose saved rooms carry
+// reconnect tokens and which may hold the admin credentials, so it must never be reachable
+app.get(['/', '/index.html'], (req, res) => {
+  res.sendFile(path.join(__dirname, 'index.html'));
+});
+app.use('/js', express.static(path.join(__dirname, 'js')));
 app.use(express.static(path.join(__dirname, 'public')));
+// A long game's record is far bigger than any other request body
+app.use('/api/records', bodyParser.json({ limit: '2mb' }));
 app.use(bodyParser.json());
 
+// Log every API request with its status and how long it took
+app.use('/api', (req, res, next) => {
+  const startedAt = Date.now();
+  res.on('finish', () => {
+    log('DEBUG', `${req.method} ${req.originalUrl}`, { status: res.statusCode, durationMs: Date.now() - startedAt });
+  });
+  next();
+});
+
 // Global variables
-const gameRooms = {};
-const disconnectedPlayers = {}; // Store information about disconnected players
+// No prototype, so a room ID like "__proto__" or "constructor" can never look like a room
+const gameRooms = Object.create(null);
 const PLAYER_RECONNECT_TIMEOUT = 5 * 60 * 1000; // 5 minutes in milliseconds
+// The computer waits a moment before playing, so its turn can be followed
+const BOT_TURN_DELAY = 800;
+// Rooms where the computer's turn is scheduled or being planned but not yet played
+const pendingBotTurns = new Set();
+
+// Server metrics, served in the Prometheus text format at /metrics
+const Metrics = require('./metrics');
+const metrics = Metrics.createMetrics();
+// Socket events whose handler latency is measured
+const LATENCY_EVENTS = ['joinGame', 'chess-move', 'farm-update'];
+const gamesStarted = metrics.counter('chessville_games_started_total', 'Games that got both players and started, by ruleset');
+const gamesFinished = metrics.counter('chessville_games_finished_total', 'Games that ended, by ruleset and victory type');
+const movesAccepted = metrics.counter('chessville_moves_total', 'Chess moves accepted');
+const reconnects = metrics.counter('chessville_reconnects_total', 'Attempts to reclaim a seat, by result');
+const eventLatency = metrics.histogram('chessville_socket_event_duration_seconds', 'Time taken to handle a socket event');
+const eventsRejected = metrics.counter('chessville_socket_events_rejected_total', 'Inbound socket events dropped, by error code');
+const recentMoves = Metrics.createRateWindow(60 * 1000);
+metrics.gauge('chessville_active_rooms', 'Rooms in memory, including ones waiting for a player to reconnect', () => Object.keys(gameRooms).length);
+metrics.gauge('chessville_connected_sockets', 'Connected sockets, players and spectators', () => io.engine.clientsCount);
+metrics.gauge('chessville_moves_per_minute', 'Chess moves accepted in the last minute', () => recentMoves.count());
+movesAccepted.inc({}, 0);
+['success', 'invalid-token', 'seat-not-found'].forEach(result => reconnects.inc({ result: result }, 0));
+Object.values(SocketPayloads.ERROR_CODES).forEach(code => eventsRejected.inc({ code: code }, 0));
+
+// Set once saved rooms are restored and the server is listening
+let isReady = false;
+
+/**
+ * Create a new game room with a fresh rules engine state
+ * @param {string} roomId - The ID of the room
+ * @param {Object} ruleset - The room's rules from gameConfig.getRuleset(), kept for the whole game
+ * @returns {Object} The new game room
+ */
+function createGameRoom(roomId, ruleset) {
+  const config = ruleset.config;
+  const rulesState = GameRules.createInitialState(config);
+  
+  const room = {
+    id: roomId,
+    players: {},
+    playerCount: 0,
+    // Authoritative rules state - clients only ever receive results computed from it
+    rulesState: rulesState,
+    gameState: {
+      chessEngineState: rulesState.fen,
+      isGameOver: false,
+      winner: null,
+      wheatCounts: GameRules.getWheatCounts(rulesState), // Mirror of the balances sent to clients
+      config: config
+    },
+    ruleset: ruleset.ruleset, // Preset name and version the room was created with
+    experiment: null, // Balance experiment and variant the room plays under, if any
+    importedFrom: null, // Room and export time of the game record the room resumed, if any
+    startedAt: null, // When both seats were first filled
+    currentTurn: 'white',
+    disconnectedPlayers: {}, // Track disconnected players in this room
+    spectators: {}, // Read-only watchers, keyed by socket ID
+    seatTokens: {}, // Secret reconnect token for each seat, keyed by color
+    kickedAddresses: [], // Addresses of kicked players, who may not take a seat in this room again
+    actionLog: ActionLog.createLog(), // Everything accepted in this room, in order
+    createdAt: Date.now()
+  };
+  
+  ActionLog.recordRoomCreated(room.actionLog, config, room.ruleset);
+  
+  return room;
+}
+
+/**
+ * Create a room for a new game, enrolling it in the running balance experiment if there is one
+ * An enrolled room plays the whole game under its variant's settings on top of the chosen ruleset
+ * @param {string} roomId - The ID of the room
+ * @param {Object} ruleset - The ruleset the room's creator picked, from gameConfig.getRuleset()
+ * @returns {Object} The new game room
+ */
+function openGameRoom(roomId, ruleset) {
+  const assignment = experiments.assign(roomId, ruleset.ruleset.id);
+  if (!assignment) {
+    return createGameRoom(roomId, ruleset);
+  }
+  
+  const { experiment, variant } = assignment;
+  const variantRuleset = gameConfig.getVariantRuleset(ruleset.ruleset.id, variant.settings);
+  if (!variantRuleset || !variantRuleset.valid) {
+    // The ruleset has changed since the experiment started and the variant no longer fits it
+    log('WARN', `Variant ${variant.id} of experiment ${experiment.id} is not valid with the current ${ruleset.ruleset.id} ruleset, so room ${roomId} is not enrolled`, {
+      roomId: roomId,
+      errors: variantRuleset ? variantRuleset.errors : []
+    });
+    return createGameRoom(roomId, ruleset);
+  }
+  
+  const room = createGameRoom(roomId, variantRuleset);
+  room.experiment = {
+    id: experiment.id,
+    name: experiment.name,
+    variant: { id: variant.id, name: variant.name }
+  };
+  
+  try {
+    experiments.recordAssignment(experiment.id, variant.id, roomId);
+  } catch (error) {
+    log('ERROR', `Failed to record the experiment assignment of room ${roomId}`, { roomId: roomId, error: error.message });
+  }
+  
+  log('INFO', `Room ${roomId} enrolled in experiment ${experiment.id} as variant ${variant.id}`, { roomId: roomId });
+  return room;
+}
+
+/**
+ * Create a room that carries on the game held in an imported record
+ * Its seats are open to whoever joins first, and the game picks up where the record stops
+ * @param {Object} record - The game record
+ * @param {Object} validation - The result of GameRecord.validate() for the record
+ * @returns {Object} The new game room
+ */
+function openImportedRoom(record, validation) {
+  const roomId = uuidv4().substring(0, 8);
+  // A record can hold any valid config, so it keeps a preset's name only if its config really is that preset's
+  const ruleset = gameConfig.verifyRuleset(record.ruleset, validation.config);
+  const actionLog = GameRecord.toActionLog(record, ruleset);
+  const room = createGameRoom(roomId, { config: validation.config, ruleset: ruleset });
+  const state = validation.state;
+  
+  room.actionLog = actionLog;
+  room.rulesState = state;
+  room.currentTurn = state.turn;
+  room.gameState.chessEngineState = state.fen;
+  room.gameState.wheatCounts = GameRules.getWheatCounts(state);
+  room.importedFrom = { roomId: record.roomId || null, exportedAt: record.exportedAt || null };
+  
+  gameRooms[roomId] = room;
+  saveRoom(room);
+  return room;
+}
+
+/**
+ * Record a finished game against the experiment variant its room played under
+ * A failed write is logged but never interrupts the game
+ * @param {Object} room - The game room
+ * @param {Object} gameOver - The rules engine's game-over event
+ */
+function recordExperimentResult(room, gameOver) {
+  try {
+    experiments.recordResult(room.experiment.id, room.experiment.variant.id, {
+      roomId: room.id,
+      winner: gameOver.winner || null,
+      reason: gameOver.reason,
+      moves: getMoveCount(room),
+      durationMs: room.startedAt ? Date.now() - room.startedAt : 0,
+      // Games against the computer say little about balance between people, so they are reported apart
+      vsComputer: Object.values(room.players).some(player => player.isBot)
+    });
+  } catch (error) {
+    log('ERROR', `Failed to record the experiment result of room ${room.id}`, { roomId: room.id, error: error.message });
+  }
+}
+
+/**
+ * Save a room to storage
+ * A storage failure is logged but never interrupts the game
+ * @param {Object} room - The game room
+ */
+function saveRoom(room) {
+  try {
+    roomStorage.saveRoom(room);
+  } catch (error) {
+    log('ERROR', `Failed to save room ${room.id}`, { roomId: room.id, error: error.message });
+  }
+}
+
+/**
+ * Remove a room from memory and from storage
+ * @param {string} roomId - The ID of the room
+ */
+function deleteRoom(roomId) {
+  delete gameRooms[roomId];
+  
+  try {
+    roomStorage.deleteRoom(roomId);
+  } catch (error) {
+    log('ERROR', `Failed to delete saved room ${roomId}`, { roomId: roomId, error: error.message });
+  }
+}
+
+/**
+ * Release a disconnected player's seat if they haven't reconnected within the timeout
+ * @param {Object} room - The game room
+ * @param {string} color - The seat color
+ * @param {number} disconnectedAt - When the player disconnected
+ */
+function scheduleSeatRelease(room, color, disconnectedAt) {
+  setTimeout(() => {
+    // Skip if the player reconnected, even if they have since dropped again
+    if (room.disconnectedPlayers && room.disconnectedPlayers[color] &&
+        room.disconnectedPlayers[color].timestamp === disconnectedAt) {
+      log('INFO', `Cleanup: Player ${color} did not reconnect to room ${room.id} within timeout period`, { roomId: room.id, color: color });
+      delete room.disconnectedPlayers[color];
+      delete room.seatTokens[color];
+      
+      // If both players are gone (one disconnected, one timed out), clean up the room
+      // A computer opponent left on its own doesn't keep the room open
+      if (getHumanPlayerCount(room) === 0 && Object.keys(room.disconnectedPlayers).length === 0) {
+        log('INFO', `Deleting empty room ${room.id}`, { roomId: room.id });
+        deleteRoom(room.id);
+      } else {
+        saveRoom(room);
+      }
+    }
+  }, PLAYER_RECONNECT_TIMEOUT);
+}
+
+/**
+ * Load the rooms saved before the last shutdown
+ * No sockets survive a restart, so every seated player becomes a disconnected player
+ * with a fresh reconnect window and can reclaim their seat with their token.
+ * A computer opponent has no socket and keeps its seat
+ */
+function restoreRooms() {
+  const savedRooms = roomStorage.loadRooms();
+  const now = Date.now();
+  
+  for (const roomId in savedRooms) {
+    const room = savedRooms[roomId];
+    
+    Object.keys(room.players).forEach(playerId => {
+      const player = room.players[playerId];
+      if (player.isBot) {
+        return;
+      }
+      
+      room.disconnectedPlayers[player.color] = {
+        username: player.username,
+        address: player.address
+      };
+      delete room.players[playerId];
+    });
+    room.playerCount = Object.keys(room.players).length;
+    room.spectators = {};
+    // Rooms saved by older versions didn't record kicks
+    room.kickedAddresses = room.kickedAddresses || [];
+    // Rooms saved by older versions kept each client's own copy of its plots - the rules state has the real ones
+    delete room.gameState.farmState;
+    
+    const colors = Object.keys(room.disconnectedPlayers);
+    if (colors.length === 0) {
+      deleteRoom(roomId);
+      continue;
+    }
+    
+    colors.forEach(color => {
+      room.disconnectedPlayers[color].timestamp = now;
+      room.disconnectedPlayers[color].timeToLive = PLAYER_RECONNECT_TIMEOUT;
+      scheduleSeatRelease(room, color, now);
+    });
+    
+    gameRooms[roomId] = room;
+    saveRoom(room);
+  }
+  
+  log('INFO', `Restored ${Object.keys(gameRooms).length} saved room(s)`);
+}
+
+/**
+ * Issue a new secret reconnect token for a seat, replacing any earlier one
+ * @param {Object} room - The game room
+ * @param {string} color - The seat color
+ * @returns {string} The token, which only the player in that seat ever receives
+ */
+function issueSeatToken(room, color) {
+  const token = crypto.randomBytes(24).toString('hex');
+  room.seatTokens[color] = token;
+  return token;
+}
+
+/**
+ * Check a reconnect token against the one issued for a seat
+ * @param {Object} room - The game room
+ * @param {string} color - The seat color
+ * @param {string} token - The token presented by the client
+ * @returns {boolean} True if the token matches
+ */
+function isValidSeatToken(room, color, token) {
+  const expected = room.seatTokens[color];
+  if (!expected || typeof token !== 'string' || token.length !== expected.length) {
+    return false;
+  }
+  
+  return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected));
+}
+
+/**
+ * Run an action through the rules engine and keep the room in sync with the result
+ * Rejected actions leave the room untouched
+ * @param {Object} room - The game room
+ * @param {Object} action - The rules engine action
+ * @returns {Object} The rules engine result
+ */
+function applyRulesAction(room, action) {
+  const result = GameRules.applyAction(room.rulesState, action, room.gameState.config);
+  
+  if (result.ok) {
+    room.rulesState = result.state;
+    room.currentTurn = result.state.turn;
+    room.gameState.chessEngineState = result.state.fen;
+    room.gameState.wheatCounts = GameRules.getWheatCounts(result.state);
+    room.gameState.isGameOver = result.state.isGameOver;
+    room.gameState.winner = result.state.winner;
+    ActionLog.recordAction(room.actionLog, action, result.events);
+    saveRoom(room);
+  }
+  
+  return result;
+}
+
+/**
+ * Get the IP address a socket connected from
+ * @param {Object} socket - The socket
+ * @returns {string} The client's IP address
+ */
+function getClientAddress(socket) {
+  return getForwardedAddress(socket.handshake.headers, socket.handshake.address);
+}
+
+/**
+ * Get the IP address an HTTP request came from
+ * @param {Object} req - The request
+ * @returns {string} The client's IP address
+ */
+function getRequestAddress(req) {
+  return getForwardedAddress(req.headers, req.socket.remoteAddress);
+}
+
+/**
+ * Pick the client's IP address, from X-Forwarded-For behind a trusted proxy
+ * @param {Object} headers - The request headers
+ * @param {string} address - The address the connection came from
+ * @returns {string} The client's IP address
+ */
+function getForwardedAddress(headers, address) {
+  const forwardedFor = headers['x-forwarded-for'];
+  if (TRUST_PROXY && forwardedFor) {
+    return forwardedFor.split(',')[0].trim();
+  }
+  return address;
+}
+
+/**
+ * Check an inbound socket event against the rate limits and its payload schema
+ * @param {Object} socket - The socket the event came in on
+ * @param {string} event - The event name
+ * @param {*} data - The event payload
+ * @returns {Object|null} The rejection ({ code, message, errors }), or null if the event may be handled
+ */
+function checkInboundEvent(socket, event, data) {
+  // Both buckets are charged, so one noisy socket can't hide behind a quiet IP or the other way round
+  const socketAllowed = socketRateLimiter.take(socket.id);
+  const ipAllowed = ipRateLimiter.take(getClientAddress(socket));
+  if (!socketAllowed || !ipAllowed) {
+    return {
+      code: SocketPayloads.ERROR_CODES.RATE_LIMITED,
+      message: 'Too many requests, slow down',
+      errors: []
+    };
+  }
+  
+  const result = SocketPayloads.validatePayload(event, data);
+  return result.valid ? null : result;
+}
+
+/**
+ * Drop an inbound socket event, telling the client why
+ * Rate limiting is logged once per burst, so a flood doesn't flood the log too
+ * @param {Object} socket - The socket the event came in on
+ * @param {string} event - The event name
+ * @param {Object} rejection - The rejection from checkInboundEvent
+ */
+function rejectEvent(socket, event, rejection) {
+  eventsRejected.inc({ code: rejection.code });
+  
+  const isRateLimited = rejection.code === SocketPayloads.ERROR_CODES.RATE_LIMITED;
+  if (!isRateLimited || !socket.data.rateLimited) {
+    log('WARN', `Rejected ${event}: ${rejection.message}`, {
+      code: rejection.code,
+      errors: rejection.errors,
+      address: getClientAddress(socket)
+    });
+  }
+  socket.data.rateLimited = isRateLimited;
+  
+  socket.emit('error', {
+    code: rejection.code,
+    message: rejection.message,
+    event: event,
+    errors: rejection.errors
+  });
+}
+
+/**
+ * Name a room's ruleset for metric labels
+ * Rooms saved before rulesets existed have none
+ * @param {Object} room - The game room
+ * @returns {string} The ruleset ID
+ */
+function getRulesetLabel(room) {
+  return room.ruleset ? room.ruleset.id : 'none';
+}
+
+/**
+ * Name how a game ended for metric labels: one of the rules engine's victory types,
+ * 'draw', or 'other' for the rest (resignations and games ended by an admin)
+ * @param {Object} gameOver - The rules engine's game-over event
+ * @returns {string} The victory type
+ */
+function getVictoryTypeLabel(gameOver) {
+  if (Object.prototype.hasOwnProperty.call(GameRules.VICTORY_TYPES, gameOver.reason)) {
+    return GameRules.VICTORY_TYPES[gameOver.reason];
+  }
+  return gameOver.winner ? 'other' : 'draw';
+}
+
+/**
+ * Tell everyone in the room the game is over if a rules result ended it
+ * @param {Object} room - The game room
+ * @param {Object} result - The rules engine result
+ */
+function announceGameOver(room, result) {
+  const gameOver = result.events.find(event => event.type === 'game-over');
+  if (!gameOver) {
+    return;
+  }
+  
+  log('INFO', `Game over in room ${room.id}. Winner: ${gameOver.winner}, Reason: ${gameOver.reason}`, { roomId: room.id });
+  gamesFinished.inc({ ruleset: getRulesetLabel(room), victory_type: getVictoryTypeLabel(gameOver) });
+  if (room.experiment) {
+    recordExperimentResult(room, gameOver);
+  }
+  
+  io.to(room.id).emit('game-over', {
+    winner: gameOver.winner,
+    reason: gameOver.reason,
+    message: gameOver.message
+  });
+}
+
+/**
+ * Send the authoritative balances, captures and farms to everyone in the room
+ * @param {Object} room - The game room
+ */
+function broadcastGameState(room) {
+  io.to(room.id).emit('gameStateUpdate', {
+    gameState: {
+      wheatCounts: room.gameState.wheatCounts,
+      captures: room.rulesState.captures,
+      farms: room.rulesState.farms
+    }
+  });
+}
+
+/**
+ * Build the snapshot a spectator needs to start watching a room
+ * @param {Object} room - The game room
+ * @returns {Object} The board, farms, wheat counts, turn and players
+ */
+function getSpectatorSnapshot(room) {
+  return {
+    roomId: room.id,
+    fen: room.gameState.chessEngineState,
+    farms: room.rulesState.farms,
+    wheatCounts: room.gameState.wheatCounts,
+    currentTurn: room.currentTurn,
+    phase: room.rulesState.phase,
+    isGameOver: room.gameState.isGameOver,
+    winner: room.gameState.winner,
+    reason: room.rulesState.reason,
+    config: room.gameState.config,
+    ruleset: room.ruleset,
+    players: Object.values(room.players).map(player => ({
+      color: player.color,
+      username: player.username
+    })),
+    spectatorCount: Object.keys(room.spectators).length
+  };
+}
+
+/**
+ * Count the chess moves played in a room
+ * @param {Object} room - The game room
+ * @returns {number} The number of moves
+ */
+function getMoveCount(room) {
+  return room.actionLog.filter(entry => entry.action && entry.action.type === 'move').length;
+}
+
+/**
+ * Summarize a room for the admin room monitor
+ * @param {Object} room - The game room
+ * @returns {Object} Players and their connection status, turn, phase, wheat, moves and age
+ */
+function getRoomSummary(room) {
+  const now = Date.now();
+  const seats = ['white', 'black'].map(color => {
+    const player = Object.values(room.players).find(p => p.color === color);
+    if (player) {
+      return { color: color, username: player.username, connected: true, isBot: !!player.isBot };
+    }
+    
+    const disconnected = room.disconnectedPlayers[color];
+    if (disconnected) {
+      return {
+        color: color,
+        username: disconnected.username,
+        connected: false,
+        disconnectedFor: now - disconnected.timestamp
+      };
+    }
+    
+    return null;
+  }).filter(Boolean);
+  
+  const lastEntry = room.actionLog[room.actionLog.length - 1];
+  
+  return {
+    roomId: room.id,
+    players: seats,
+    currentTurn: room.currentTurn,
+    phase: room.rulesState.phase,
+    wheatCounts: room.gameState.wheatCounts,
+    moveCount: getMoveCount(room),
+    createdAt: room.createdAt,
+    age: now - room.createdAt,
+    lastActivityAt: lastEntry ? lastEntry.timestamp : room.createdAt,
+    isGameOver: room.gameState.isGameOver,
+    winner: room.gameState.winner,
+    reason: room.rulesState.reason,
+    ruleset: room.ruleset,
+    experiment: room.experiment || null,
+    importedFrom: room.importedFrom || null,
+    spectatorCount: Object.keys(room.spectators).length,
+    // Nobody is connected, so the room is only waiting out reconnect windows
+    stale: getHumanPlayerCount(room) === 0
+  };
+}
+
+/**
+ * Remove a player from their seat for good - they can't reconnect with their old token,
+ * and their address may not take a seat in the room again. Their socket is disconnected
+ * @param {Object} room - The game room
+ * @param {string} color - The seat color
+ * @param {string} reason - Why the player was removed, shown to them
+ * @returns {boolean} True if the seat was occupied
+ */
+function kickPlayer(room, color, reason) {
+  const playerId = Object.keys(room.players).find(id => room.players[id].color === color);
+  if (!playerId && !room.disconnectedPlayers[color]) {
+    return false;
+  }
+  
+  const player = playerId ? room.players[playerId] : room.disconnectedPlayers[color];
+  if (player.address && !room.kickedAddresses.includes(player.address)) {
+    room.kickedAddresses.push(player.address);
+  }
+  
+  delete room.seatTokens[color];
+  delete room.disconnectedPlayers[color];
+  
+  if (playerId) {
+    delete room.players[playerId];
+    room.playerCount--;
+    io.to(playerId).emit('kicked', { roomId: room.id, reason: reason });
+    io.in(playerId).disconnectSockets(true);
+  }
+  
+  io.to(room.id).emit('opponent-disconnected', { color: color });
+  saveRoom(room);
+  return true;
+}
+
+/**
+ * Close a room: tell everyone in it, remove them from it and forget it
+ * @param {Object} room - The game room
+ * @param {string} reason - Why the room was closed, shown to everyone in it
+ */
+function closeRoom(room, reason) {
+  io.to(room.id).emit('room-closed', { roomId: room.id, reason: reason });
+  io.in(room.id).socketsLeave(room.id);
+  deleteRoom(room.id);
+}
+
+/**
+ * Tell everyone in the room how many spectators are watching
+ * @param {Object} room - The game room
+ */
+function broadcastSpectatorCount(room) {
+  io.to(room.id).emit('spectatorCount', {
+    count: Object.keys(room.spectators).length
+  });
+}
+
+// Farm-action names the client uses for the rules engine's farm events
+const FARM_EVENT_ACTIONS = {
+  'crop-planted': 'plant',
+  'crop-harvested': 'harvest',
+  'plot-unlocked': 'auto-unlock'
+};
+
+/**
+ * Relay the farm changes from a rules result to the other player
+ * Each player's own client has already applied the change to its farm
+ * @param {Object} room - The game room
+ * @param {Array} events - The rules engine events
+ */
+function relayFarmEvents(room, events) {
+  events.forEach(event => {
+    const action = FARM_EVENT_ACTIONS[event.type];
+    if (!action) {
+      return;
+    }
+    
+    const data = {
+      plotId: `${event.color}-plot-${event.plotIndex}`,
+      plotIndex: event.plotIndex
+    };
+    
+    if (event.crop) {
+      data.cropType = event.crop.type;
+    }
+    
+    for (const playerId in room.players) {
+      if (room.players[playerId].color !== event.color) {
+        io.to(playerId).emit('farm-action', { action: action, data: data });
+      }
+    }
+  });
+}
+
+/**
+ * Count the seated players who are people rather than the computer
+ * @param {Object} room - The game room
+ * @returns {number} The number of connected human players
+ */
+function getHumanPlayerCount(room) {
+  return Object.values(room.players).filter(player => !player.isBot).length;
+}
+
+/**
+ * Start the game once both seats are filled
+ * @param {Object} room - The game room
+ */
+function startGame(room) {
+  log('INFO', `Game starting in room ${room.id}`, { roomId: room.id });
+  
+  // A replacement player filling a released seat doesn't start a new game
+  if (!room.startedAt) {
+    room.startedAt = Date.now();
+    gamesStarted.inc({ ruleset: getRulesetLabel(room) });
+    saveRoom(room);
+  }
+  
+  // Notify all players in the room - a game resumed from a record starts from its saved position
+  io.to(room.id).emit('gameStart', {
+    roomId: room.id,
+    startingTurn: room.currentTurn,
+    turnNumber: room.rulesState.turnNumber,
+    fen: room.gameState.chessEngineState,
+    phase: room.rulesState.phase
+  });
+  
+  // Start both clients from the server's balances and farms
+  broadcastGameState(room);
+  
+  // Notify the player to move that it's their turn
+  const nextPlayerId = Object.keys(room.players).find(id => room.players[id].color === room.currentTurn);
+  
+  if (nextPlayerId) {
+    io.to(nextPlayerId).emit('your-turn', {
+      color: room.currentTurn
+    });
+  }
+  
+  scheduleBotTurn(room);
+}
+
+/**
+ * Tell the room about an accepted player action
+ * Actions from a socket and from the computer are announced the same way
+ * @param {Object} room - The game room
+ * @param {Object} action - The rules engine action
+ * @param {Object} result - The rules engine result
+ * @param {Object} [sender] - The socket that sent the action and already shows it, none for the computer
+ */
+function broadcastAction(room, action, result, sender) {
+  const others = sender ? sender.to(room.id) : io.to(room.id);
+  
+  switch (action.type) {
+    case 'plant':
+      log('INFO', `${action.color} planted ${action.cropType} in plot ${action.plotIndex} (balance ${room.gameState.wheatCounts[action.color]})`);
+      relayFarmEvents(room, result.events);
+      broadcastGameState(room);
+      break;
+    
+    case 'skip-farming':
+      log('INFO', `${action.color} moved to the chess phase in room ${room.id}`);
+      others.emit('phase-change', {
+        phase: room.rulesState.phase,
+        color: action.color
+      });
+      break;
+    
+    case 'move': {
+      const moveEvent = result.events.find(event => event.type === 'piece-moved');
+      log('INFO', `Valid move ${moveEvent.move.san} by ${action.color} in room ${room.id} (cost ${moveEvent.cost}, balance ${room.gameState.wheatCounts[action.color]})`);
+      movesAccepted.inc();
+      recentMoves.record();
+      
+      // Broadcast the move to the opponent
+      others.emit('chess-move', {
+        move: moveEvent.move,
+        fen: room.gameState.chessEngineState
+      });
+      
+      relayFarmEvents(room, result.events);
+      broadcastGameState(room);
+      break;
+    }
+    
+    case 'end-turn': {
+      log('INFO', `${action.color} ended their turn in room ${room.id}, now ${room.currentTurn}'s turn`);
+      
+      io.to(room.id).emit('turn-change', {
+        color: room.currentTurn,
+        turnNumber: room.rulesState.turnNumber
+      });
+      
+      // Starting a turn grows the next player's crops and can harvest them
+      relayFarmEvents(room, result.events);
+      broadcastGameState(room);
+      
+      // Notify the next player it's their turn
+      const nextPlayerId = Object.keys(room.players).find(
+        id => room.players[id].color === room.currentTurn
+      );
+      
+      if (nextPlayerId) {
+        io.to(nextPlayerId).emit('your-turn', {
+          color: room.currentTurn,
+          phase: room.rulesState.phase,
+          wheatCounts: room.gameState.wheatCounts
+        });
+      }
+      break;
+    }
+  }
+  
+  // Reaching the chess phase with no affordable move, a checkmate or a harvest can end the game
+  announceGameOver(room, result);
+  
+  if (action.type === 'end-turn') {
+    scheduleBotTurn(room);
+  }
+}
+
+/**
+ * Seat the computer in a room's free seat
+ * @param {Object} room - The game room
+ * @param {string} color - The free seat
+ * @param {string} difficulty - easy, medium or hard
+ * @returns {Object} The computer player
+ */
+function seatBot(room, color, difficulty) {
+  const level = BotPlayer.getDifficulties().find(d => d.id === difficulty);
+  const bot = {
+    id: `bot-${color}`,
+    username: `Computer (${level.name})`,
+    color: color,
+    isBot: true,
+    difficulty: difficulty
+  };
+  
+  room.players[bot.id] = bot;
+  room.playerCount++;
+  ActionLog.recordJoin(room.actionLog, color, bot.username, false);
+  saveRoom(room);
+  
+  return bot;
+}
+
+/**
+ * Find the computer player whose turn it is
+ * The computer only plays while the room is live and its opponent is connected
+ * @param {Object} room - The game room
+ * @returns {Object|null} The computer player, or null if it isn't the computer's turn
+ */
+function getBotToMove(room) {
+  if (gameRooms[room.id] !== room || room.gameState.isGameOver || room.playerCount < 2) {
+    return null;
+  }
+  
+  return Object.values(room.players).find(player => player.isBot && player.color === room.currentTurn) || null;
+}
+
+/**
+ * Play the computer's turn after a short delay, if it is the computer's turn
+ * @param {Object} room - The game room
+ */
+function scheduleBotTurn(room) {
+  if (!getBotToMove(room) || pendingBotTurns.has(room.id)) {
+    return;
+  }
+  
+  pendingBotTurns.add(room.id);
+  setTimeout(() => {
+    // The timer carries the context of whoever scheduled it, which isn't the computer's
+    logger.withContext({ socketId: undefined, event: 'bot-turn', roomId: room.id, color: room.currentTurn }, () => {
+      playBotTurn(room)
+        .catch(error => {
+          log('ERROR', `Error playing the computer's turn in room ${room.id}`, { error: error.message });
+        })
+        .then(() => {
+          pendingBotTurns.delete(room.id);
+        });
+    });
+  }, BOT_TURN_DELAY);
+}
+
+/**
+ * Play the computer's whole turn: plant, leave the farm, move and end the turn
+ * The turn is planned on the planner's worker thread, or on the main thread if the worker fails,
+ * so the game never waits on a turn that was never played. Every action then goes through
+ * the rules engine, exactly as a player's would
+ * @param {Object} room - The game room
+ * @returns {Promise} Resolves once the turn is played, or skipped
+ */
+async function playBotTurn(room) {
+  const bot = getBotToMove(room);
+  if (!bot) {
+    return;
+  }
+  
+  const plannedFrom = room.rulesState;
+  let actions;
+  try {
+    actions = await botPlanner.planTurn(plannedFrom, room.gameState.config, bot.difficulty);
+  } catch (error) {
+    log('ERROR', `The computer's planner failed in room ${room.id}, planning the turn on the main thread`, { error: error.message });
+    actions = BotPlayer.planTurn(plannedFrom, room.gameState.config, bot.difficulty);
+  }
+  
+  // The game may have moved on while the turn was planned, e.g. the room was closed
+  if (room.rulesState !== plannedFrom || getBotToMove(room) !== bot) {
+    log('INFO', `Dropped the computer's turn in room ${room.id}, the game changed while it was planned`);
+    return;
+  }
+  
+  for (const action of actions) {
+    const result = applyRulesAction(room, action);
+    if (!result.ok) {
+      log('ERROR', `Rejected ${action.type} by the computer in room ${room.id}: ${result.error.message}`);
+      return;
+    }
+    
+    broadcastAction(room, action, result, null);
+  }
+}
+
+/**
+ * Only let signed-in admins through, recording who they are as req.admin
+ */
+function requireAdmin(req, res, next) {
+  const session = adminAuth.getSession(AdminAuth.readSessionToken(req));
+  if (!session) {
+    return res.status(401).json({
+      success: false,
+      code: 'UNAUTHORIZED',
+      message: 'Admin sign-in required'
+    });
+  }
+  
+  req.admin = session;
+  next();
+}
+
+/**
+ * Record a config change in the audit trail
+ * A failed write is logged but never undoes the change
+ * @param {Object} req - The request, with the signed-in admin
+ * @param {string} action - What was done: update, replace, reset or rollback
+ * @param {number} fromVersion - The config version before the change
+ * @param {number} toVersion - The config version after the change
+ */
+function auditConfigChange(req, action, fromVersion, toVersion) {
+  try {
+    auditTrail.record({
+      admin: req.admin.username,
+      action: action,
+      fromVersion: fromVersion,
+      toVersion: toVersion,
+      changes: gameConfig.diffVersions(fromVersion, toVersion)
+    });
+  } catch (error) {
+    log('ERROR', 'Failed to write config change to the audit trail', error);
+  }
+}
+
+// Health and metrics endpoints
+// Liveness - the process is up and serving requests
+app.get('/healthz', (req, res) => {
+  res.json({
+    status: 'ok',
+    uptime: process.uptime()
+  });
+});
+
+// Readiness - saved rooms are restored and the server is accepting players
+app.get('/readyz', (req, res) => {
+  if (!isReady) {
+    return res.status(503).json({
+      status: 'starting'
+    });
+  }
+  
+  res.json({
+    status: 'ready'
+  });
+});
+
+// Server metrics in the Prometheus text format
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
 
 // Admin panel routes
 app.get('/admin', (req, res) => {
   res.sendFile(path.join(__dirname, 'admin.html'));
 });
 
+app.get('/admin/rooms', (req, res) => {
+  res.sendFile(path.join(__dirname, 'admin-rooms.html'));
+});
+
+app.get('/admin/experiments', (req, res) => {
+  res.sendFile(path.join(__dirname, 'admin-experiments.html'));
+});
+
+app.post('/api/admin/login', (req, res) => {
+  const { username, password } = req.body || {};
+  const token = adminAuth.login(String(username || ''), String(password || ''));
+  if (!token) {
+    log('WARN', 'Failed admin sign-in', { username: username, ip: req.ip });
+    return res.status(401).json({
+      success: false,
+      code: 'INVALID_CREDENTIALS',
+      message: adminAuth.isEnabled() ? 'Wrong username or password' : 'No admin credentials are set on the server'
+    });
+  }
+  
+  log('INFO', 'Admin signed in', { username: username });
+  res.cookie(AdminAuth.SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: req.secure || req.get('x-forwarded-proto') === 'https',
+    maxAge: adminAuth.sessionTtl
+  });
+  res.json({
+    success: true,
+    username: username
+  });
+});
+
+app.post('/api/admin/logout', (req, res) => {
+  adminAuth.logout(AdminAuth.readSessionToken(req));
+  res.clearCookie(AdminAuth.SESSION_COOKIE);
+  res.json({ success: true });
+});
+
+app.get('/api/admin/session', (req, res) => {
+  const session = adminAuth.getSession(AdminAuth.readSessionToken(req));
+  res.json({
+    success: true,
+    signedIn: !!session,
+    username: session ? session.username : null
+  });
+});
+
+// Most recent admin actions, newest first
+app.get('/api/admin/audit', requireAdmin, (req, res) => {
+  auditTrail.list(Number(req.query.limit) || 50).then(entries => {
+    res.json({
+      success: true,
+      entries: entries
+    });
+  }).catch(error => {
+    log('ERROR', 'Failed to read the audit trail', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to read the audit trail'
+    });
+  });
+});
+
+/**
+ * Record a moderation action in the audit trail
+ * A failed write is logged but never undoes the action
+ * @param {Object} req - The request, with the signed-in admin
+ * @param {string} action - What was done: kick, end-game or delete-room
+ * @param {Object} details - The room and anything else worth keeping
+ */
+function auditRoomAction(req, action, details) {
+  try {
+    auditTrail.record(Object.assign({ admin: req.admin.username, action: action }, details));
+  } catch (error) {
+    log('ERROR', 'Failed to write room action to the audit trail', error);
+  }
+}
+
+/**
+ * Look up the room named in the URL, answering 404 if there is none
+ * @returns {Object|null} The room
+ */
+function findAdminRoom(req, res) {
+  const room = gameRooms[req.params.roomId];
+  if (!room) {
+    res.status(404).json({
+      success: false,
+      message: 'Room not found'
+    });
+    return null;
+  }
+  return room;
+}
+
+// Every active room, newest first
+app.get('/api/admin/rooms', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    rooms: Object.values(gameRooms)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(getRoomSummary)
+  });
+});
+
+// One room, with the board and farms a spectator would see
+app.get('/api/admin/rooms/:roomId', requireAdmin, (req, res) => {
+  const room = findAdminRoom(req, res);
+  if (!room) {
+    return;
+  }
+  
+  res.json({
+    success: true,
+    room: getRoomSummary(room),
+    snapshot: getSpectatorSnapshot(room)
+  });
+});
+
+// Remove a player from their seat
+app.post('/api/admin/rooms/:roomId/kick', requireAdmin, (req, res) => {
+  const room = findAdminRoom(req, res);
+  if (!room) {
+    return;
+  }
+  
+  const { color, reason } = req.body || {};
+  if (!kickPlayer(room, color, reason || '')) {
+    return res.status(404).json({
+      success: false,
+      message: `No player in the ${color} seat`
+    });
+  }
+  
+  log('INFO', `Admin ${req.admin.username} kicked ${color} from room ${room.id}`, { roomId: room.id, color: color, reason: reason });
+  auditRoomAction(req, 'kick', { roomId: room.id, color: color, reason: reason || '' });
+  res.json({
+    success: true,
+    message: `Removed the ${color} player`
+  });
+});
+
+// End the game, naming the winner (or none) and the reason
+app.post('/api/admin/rooms/:roomId/end', requireAdmin, (req, res) => {
+  const room = findAdminRoom(req, res);
+  if (!room) {
+    return;
+  }
+  
+  const { winner, reason } = req.body || {};
+  const result = applyRulesAction(room, { type: 'end-game', winner: winner || null, message: reason || '' });
+  if (!result.ok) {
+    return res.status(400).json({
+      success: false,
+      code: result.error.code,
+      message: result.error.message
+    });
+  }
+  
+  announceGameOver(room, result);
+  log('INFO', `Admin ${req.admin.username} ended the game in room ${room.id}`, { roomId: room.id, winner: winner || null, reason: reason });
+  auditRoomAction(req, 'end-game', { roomId: room.id, winner: winner || null, reason: reason || '' });
+  res.json({
+    success: true,
+    message: 'Game ended'
+  });
+});
+
+// Close a room and forget it, e.g. one nobody is coming back to
+app.delete('/api/admin/rooms/:roomId', requireAdmin, (req, res) => {
+  const room = findAdminRoom(req, res);
+  if (!room) {
+    return;
+  }
+  
+  const reason = (req.body && req.body.reason) || '';
+  closeRoom(room, reason);
+  
+  log('INFO', `Admin ${req.admin.username} deleted room ${room.id}`, { roomId: room.id, reason: reason });
+  auditRoomAction(req, 'delete-room', { roomId: room.id, reason: reason });
+  res.json({
+    success: true,
+    message: 'Room deleted'
+  });
+});
+
+// Every log record for a room, oldest first, for investigating a bug report
+// Works for rooms that have since been deleted, as long as their records are still kept
+app.get('/api/admin/rooms/:roomId/logs', requireAdmin, (req, res) => {
+  logger.getRoomRecords(req.params.roomId).then(records => {
+    res.json({
+      success: true,
+      roomId: req.params.roomId,
+      records: records
+    });
+  }).catch(error => {
+    log('ERROR', `Failed to read the log records of room ${req.params.roomId}`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to read the log records'
+    });
+  });
+});
+
+// Balance experiments
+/**
+ * Record an experiment being started or stopped in the audit trail
+ * A failed write is logged but never undoes the action
+ * @param {Object} req - The request, with the signed-in admin
+ * @param {string} action - What was done: start-experiment or stop-experiment
+ * @param {Object} experiment - The experiment
+ */
+function auditExperimentAction(req, action, experiment) {
+  try {
+    auditTrail.record({
+      admin: req.admin.username,
+      action: action,
+      experimentId: experiment.id,
+      name: experiment.name,
+      variants: experiment.variants
+    });
+  } catch (error) {
+    log('ERROR', 'Failed to write experiment action to the audit trail', error);
+  }
+}
+
+// Every experiment, newest first
+app.get('/api/admin/experiments', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    experiments: experiments.list()
+  });
+});
+
+// Start an experiment - new rooms are assigned its variants until it is stopped
+app.post('/api/admin/experiments', requireAdmin, (req, res) => {
+  const result = experiments.start(req.body, req.admin.username);
+  if (!result.valid) {
+    const isConflict = result.code === 'EXPERIMENT_RUNNING';
+    return res.status(isConflict ? 409 : 400).json({
+      success: false,
+      code: result.code || 'INVALID_EXPERIMENT',
+      message: result.message || 'Experiment rejected: ' + result.errors.map(e => `${e.field}: ${e.message}`).join('; '),
+      errors: result.errors
+    });
+  }
+  
+  log('INFO', `Admin ${req.admin.username} started experiment ${result.experiment.id}`, { experimentId: result.experiment.id });
+  auditExperimentAction(req, 'start-experiment', result.experiment);
+  res.json({
+    success: true,
+    experiment: result.experiment
+  });
+});
+
+// Stop assigning new rooms to an experiment - games already in it still count
+app.post('/api/admin/experiments/:id/stop', requireAdmin, (req, res) => {
+  const experiment = experiments.stop(req.params.id, req.admin.username);
+  if (!experiment) {
+    return res.status(404).json({
+      success: false,
+      message: 'Experiment not found'
+    });
+  }
+  
+  log('INFO', `Admin ${req.admin.username} stopped experiment ${experiment.id}`, { experimentId: experiment.id });
+  auditExperimentAction(req, 'stop-experiment', experiment);
+  res.json({
+    success: true,
+    experiment: experiment
+  });
+});
+
+// Outcomes of an experiment's games, compared variant by variant
+app.get('/api/admin/experiments/:id/report', requireAdmin, (req, res) => {
+  experiments.getReport(req.params.id).then(report => {
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Experiment not found'
+      });
+    }
+    
+    res.json(Object.assign({ success: true }, report));
+  }).catch(error => {
+    log('ERROR', 'Failed to read the experiment results', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to read the experiment results'
+    });
+  });
+});
+
 // Config API endpoints
 app.get('/api/config', (req, res) => {
   const configData = gameConfig.getConfig();
   res.json({
     success: true,
-    config: configData.config,
-    version: configData.version
+    config: configData.config,
+    version: configData.version
+  });
+});
+
+// Schema the config is validated against, so the admin panel can build its forms from it
+app.get('/api/config/schema', (req, res) => {
+  res.json({
+    success: true,
+    schema: ConfigSchema.SCHEMA
+  });
+});
+
+/**
+ * Handle a request that changes the config
+ * Changes are checked against the config schema; ?dryRun=true only reports what would happen
+ * @param {Object} req - The request, whose body holds the change
+ * @param {Object} res - The response
+ * @param {string} action - What the change does, for the audit trail
+ * @param {Function} validate - Checks the change without applying it
+ * @param {Function} apply - Applies the change, or rejects it if it is invalid
+ */
+function handleConfigChange(req, res, action, validate, apply) {
+  try {
+    const changes = req.body;
+    
+    if (req.query.dryRun === 'true') {
+      const result = validate(changes);
+      return res.json({
+        success: true,
+        dryRun: true,
+        valid: result.valid,
+        errors: result.errors,
+        config: result.config,
+        changes: result.config ? ConfigDiff.diff(gameConfig.getConfig().config, result.config) : []
+      });
+    }
+    
+    const previousVersion = gameConfig.getConfig().version;
+    const updatedConfig = apply(changes);
+    if (!updatedConfig.valid) {
+      log('WARN', 'Rejected invalid configuration update', { errors: updatedConfig.errors });
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_CONFIG',
+        message: 'Configuration update rejected: ' + updatedConfig.errors.map(e => `${e.field}: ${e.message}`).join('; '),
+        errors: updatedConfig.errors
+      });
+    }
+    
+    auditConfigChange(req, action, previousVersion, updatedConfig.version);
+    
+    // Rooms keep the ruleset they were created with, so only new rooms see the change
+    res.json({
+      success: true,
+      message: 'Configuration updated successfully',
+      version: updatedConfig.version
+    });
+  } catch (error) {
+    log('ERROR', 'Error updating configuration', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update configuration: ' + error.message
+    });
+  }
+}
+
+// Merge some settings into the config
+app.post('/api/config', requireAdmin, (req, res) => {
+  handleConfigChange(req, res, 'update', gameConfig.validateUpdate, gameConfig.updateConfig);
+});
+
+// Replace the whole config - the only way to remove a crop or shorten a list
+app.put('/api/config', requireAdmin, (req, res) => {
+  handleConfigChange(req, res, 'replace', gameConfig.validateReplacement, gameConfig.replaceConfig);
+});
+
+app.post('/api/config/reset', requireAdmin, (req, res) => {
+  try {
+    // Rooms keep the ruleset they were created with, so only new rooms see the reset
+    const previousVersion = gameConfig.getConfig().version;
+    const configData = gameConfig.resetConfig();
+    auditConfigChange(req, 'reset', previousVersion, configData.version);
+    
+    res.json({
+      success: true,
+      message: 'Configuration reset to defaults',
+      version: configData.version
+    });
+  } catch (error) {
+    log('ERROR', 'Error resetting configuration', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset configuration: ' + error.message
+    });
+  }
+});
+
+// Every config version, oldest first
+app.get('/api/config/versions', (req, res) => {
+  res.json({
+    success: true,
+    currentVersion: gameConfig.getConfig().version,
+    versions: gameConfig.getHistory()
+  });
+});
+
+// One config version, with the full config
+app.get('/api/config/versions/:version', (req, res) => {
+  const entry = gameConfig.getVersion(Number(req.params.version));
+  if (!entry) {
+    return res.status(404).json({
+      success: false,
+      message: 'Config version not found'
+    });
+  }
+  
+  res.json(Object.assign({ success: true }, entry));
+});
+
+// Settings that differ between two config versions, e.g. ?from=2&to=5
+app.get('/api/config/diff', (req, res) => {
+  const from = Number(req.query.from);
+  const to = Number(req.query.to);
+  const changes = gameConfig.diffVersions(from, to);
+  if (!changes) {
+    return res.status(404).json({
+      success: false,
+      message: 'Config version not found'
+    });
+  }
+  
+  res.json({
+    success: true,
+    from: from,
+    to: to,
+    changes: changes
+  });
+});
+
+// Make an earlier config version live again, recorded as a new version
+app.post('/api/config/versions/:version/rollback', requireAdmin, (req, res) => {
+  try {
+    // Rooms keep the ruleset they were created with, so only new rooms see the rollback
+    const version = Number(req.params.version);
+    const previousVersion = gameConfig.getConfig().version;
+    const configData = gameConfig.rollbackConfig(version);
+    if (!configData) {
+      return res.status(404).json({
+        success: false,
+        message: 'Config version not found'
+      });
+    }
+    
+    auditConfigChange(req, 'rollback', previousVersion, configData.version);
+    log('INFO', `Configuration rolled back to version ${version}`, { version: configData.version });
+    res.json({
+      success: true,
+      message: `Configuration rolled back to version ${version}`,
+      version: configData.version
+    });
+  } catch (error) {
+    log('ERROR', 'Error rolling back configuration', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to roll back configuration: ' + error.message
+    });
+  }
+});
+
+// Named ruleset presets a room creator can pick from
+app.get('/api/rulesets', (req, res) => {
+  res.json({
+    success: true,
+    rulesets: gameConfig.getRulesetPresets()
+  });
+});
+
+// Result of the last replay check for each room, with the length of the log it checked
+const replayChecks = new WeakMap();
+
+/**
+ * Check that replaying a room's action log reproduces its current rules state
+ * The log only ever grows, so the result is kept until the next entry is added
+ * and repeated requests don't replay the whole game again
+ * @param {Object} room - The game room
+ * @returns {Object} Result from ActionLog.verify()
+ */
+function verifyActionLog(room) {
+  const cached = replayChecks.get(room);
+  if (cached && cached.length === room.actionLog.length) {
+    return cached.result;
+  }
+  
+  const result = ActionLog.verify(room.actionLog, room.rulesState);
+  replayChecks.set(room, { length: room.actionLog.length, result: result });
+  return result;
+}
+
+// Action log for a room, with a check that replaying it reproduces the current state
+app.get('/api/rooms/:roomId/actions', (req, res) => {
+  const room = gameRooms[req.params.roomId];
+  if (!room) {
+    return res.status(404).json({
+      success: false,
+      message: 'Room not found'
+    });
+  }
+  
+  res.json({
+    success: true,
+    roomId: room.id,
+    actions: room.actionLog,
+    replay: verifyActionLog(room)
   });
 });
 
-app.post('/api/config', (req, res) => {
-  try {
-    const updates = req.body;
-    const updatedConfig = gameConfig.updateConfig(updates);
-    
-    // Broadcast config update to all rooms
-    for (const roomId in gameRooms) {
-      const room = gameRooms[roomId];
-      room.gameState.config = updatedConfig.config;
-      
-      // Notify clients of the config update
-      io.to(roomId).emit('configUpdate', {
-        config: updatedConfig.config,
-        version: updatedConfig.version
-      });
-    }
-    
-    res.json({
-      success: true,
-      message: 'Configuration updated successfully',
-      version: updatedConfig.version
+// The room's game as a PGN download, finished or not, with the farm activity of every turn
+app.get('/api/rooms/:roomId/pgn', (req, res) => {
+  const room = gameRooms[req.params.roomId];
+  if (!room) {
+    return res.status(404).json({
+      success: false,
+      message: 'Room not found'
     });
-  } catch (error) {
-    console.error('Error updating configuration:', error);
-    res.status(500).json({
+  }
+  
+  const pgn = PgnExport.fromActionLog(room.actionLog, { site: req.get('host'), roomId: room.id });
+  res.type('application/x-chess-pgn');
+  res.attachment(`chessville-${room.id}.pgn`);
+  res.send(pgn);
+});
+
+// The room's game as a Chessville game record download, finished or not
+app.get('/api/rooms/:roomId/record', (req, res) => {
+  const room = gameRooms[req.params.roomId];
+  if (!room) {
+    return res.status(404).json({
       success: false,
-      message: 'Failed to update configuration: ' + error.message
+      message: 'Room not found'
     });
   }
+  
+  const bots = Object.values(room.players).filter(player => player.isBot).map(player => player.color);
+  res.attachment(`chessville-${room.id}.json`);
+  res.json(GameRecord.fromActionLog(room.actionLog, { roomId: room.id, bots: bots }));
 });
 
-app.post('/api/config/reset', (req, res) => {
-  try {
-    // Reset to default config by reinitializing the module
-    delete require.cache[require.resolve('./gameConfig')];
-    const freshConfig = require('./gameConfig');
-    const configData = freshConfig.getConfig();
-    
-    // Update reference
-    gameConfig = freshConfig;
-    
-    // Broadcast config reset to all rooms
-    for (const roomId in gameRooms) {
-      const room = gameRooms[roomId];
-      room.gameState.config = configData.config;
-      
-      // Notify clients of the config update
-      io.to(roomId).emit('configUpdate', {
-        config: configData.config,
-        version: configData.version
-      });
-    }
-    
-    res.json({
+/**
+ * Answer a game record import once the record has been checked
+ * @param {Object} res - The response
+ * @param {Object} record - The game record
+ * @param {string} mode - resume or analysis
+ * @param {number} from - The first position to return for analysis
+ * @param {Object} validation - The result of GameRecord.validate() for the record
+ */
+function finishImport(res, record, mode, from, validation) {
+  if (!validation.valid) {
+    log('WARN', 'Rejected game record import', { errors: validation.errors });
+    return res.status(400).json({
+      success: false,
+      code: validation.errors[0].code,
+      message: 'Game record rejected: ' + validation.errors.map(e => `${e.field}: ${e.message}`).join('; '),
+      errors: validation.errors
+    });
+  }
+  
+  const state = validation.state;
+  if (mode === 'analysis') {
+    const totalPositions = record.actions.length + 1;
+    const nextFrom = from + validation.positions.length;
+    return res.json({
       success: true,
-      message: 'Configuration reset to defaults',
-      version: configData.version
+      mode: mode,
+      ruleset: record.ruleset,
+      players: record.players,
+      result: { isGameOver: state.isGameOver, winner: state.winner, reason: state.reason },
+      totalPositions: totalPositions,
+      positions: validation.positions,
+      nextFrom: nextFrom < totalPositions ? nextFrom : null
     });
-  } catch (error) {
-    console.error('Error resetting configuration:', error);
-    res.status(500).json({
+  }
+  
+  if (state.isGameOver) {
+    return res.status(409).json({
       success: false,
-      message: 'Failed to reset configuration: ' + error.message
+      code: 'GAME_OVER',
+      message: 'This game is over, so it can only be opened for analysis'
+    });
+  }
+  
+  const room = openImportedRoom(record, validation);
+  log('INFO', `Resumed game from a record in new room ${room.id}`, { roomId: room.id, importedFrom: room.importedFrom.roomId, actions: record.actions.length });
+  res.json({
+    success: true,
+    mode: mode,
+    roomId: room.id
+  });
+}
+
+// Import a game record, either to resume it in a new room or to step through it for analysis
+// Body: { record, mode, from } where mode is resume (default) or analysis. Analysis returns
+// up to ANALYSIS_PAGE_SIZE positions starting at position from (default 0)
+// Records are replayed on the importer's worker thread, and each IP gets only a few imports
+app.post('/api/records/import', (req, res) => {
+  const { record, mode = 'resume', from = 0 } = req.body || {};
+  if (mode !== 'resume' && mode !== 'analysis') {
+    return res.status(400).json({
+      success: false,
+      code: 'INVALID_MODE',
+      message: 'Mode must be resume or analysis'
+    });
+  }
+  
+  if (!Number.isInteger(from) || from < 0) {
+    return res.status(400).json({
+      success: false,
+      code: 'INVALID_POSITION',
+      message: 'from must be a whole number of at least 0'
+    });
+  }
+  
+  if (!importRateLimiter.take(getRequestAddress(req))) {
+    log('WARN', 'Rejected game record import: rate limited', { address: getRequestAddress(req) });
+    return res.status(429).json({
+      success: false,
+      code: 'RATE_LIMITED',
+      message: 'Too many imports, try again in a minute'
+    });
+  }
+  
+  if (recordImporter.queued() >= MAX_QUEUED_IMPORTS) {
+    return res.status(503).json({
+      success: false,
+      code: 'IMPORT_BUSY',
+      message: 'Too many game records are being checked, try again shortly'
     });
   }
+  
+  const positions = mode === 'analysis' ? { from: from, limit: ANALYSIS_PAGE_SIZE } : undefined;
+  recordImporter.validate(record, { positions: positions })
+    .then(validation => finishImport(res, record, mode, from, validation))
+    .catch(error => {
+      log('ERROR', 'Failed to check a game record', { error: error.message });
+      res.status(500).json({
+        success: false,
+        code: 'SERVER_ERROR',
+        message: 'The game record could not be checked'
+      });
+    });
 });
 
 // Socket.io connection handling
 io.on('connection', (socket) => {
-  log('INFO', 'New client connected:', socket.id);
+  log('INFO', 'New client connected', { socketId: socket.id });
+  
+  // Handle every event inside a log context naming the socket, the event and, once known,
+  // the room and the player's color. Events over the rate limit or with an invalid payload
+  // are dropped before any handler sees them, and the handler's time is logged
+  socket.use(([event, data], next) => {
+    const roomId = data && typeof data.roomId === 'string' ? data.roomId : undefined;
+    const player = roomId && gameRooms[roomId] ? gameRooms[roomId].players[socket.id] : null;
+    const context = { socketId: socket.id, event: event, roomId: roomId, color: player ? player.color : undefined };
+    
+    logger.withContext(context, () => {
+      const rejection = checkInboundEvent(socket, event, data);
+      if (rejection) {
+        rejectEvent(socket, event, rejection);
+        return;
+      }
+      socket.data.rateLimited = false;
+      
+      // next() schedules the handler on the next tick, so these ticks run just before and just after it
+      let startedAt;
+      process.nextTick(() => {
+        startedAt = performance.now();
+      });
+      next();
+      process.nextTick(() => {
+        const durationMs = performance.now() - startedAt;
+        log('DEBUG', `Handled ${event}`, { durationMs: Math.round(durationMs * 1000) / 1000 });
+        if (LATENCY_EVENTS.includes(event)) {
+          eventLatency.observe({ event: event }, durationMs / 1000);
+        }
+      });
+    });
+  });
   
   // Handle joining a game
   socket.on('joinGame', (data) => {
     try {
-      const { username, roomId, isReconnecting, previousColor, savedFEN, savedFarmState } = data;
+      const { username, roomId, isReconnecting, previousColor, reconnectToken, ruleset: rulesetId } = data;
       let gameRoomId = roomId;
       
-      log('INFO', `🔴 Join game request received: Room=${roomId}, Username=${username}, Reconnecting=${isReconnecting}, PreviousColor=${previousColor}, HasSavedFEN=${!!savedFEN}, HasSavedFarmState=${!!savedFarmState}`);
+      log('INFO', `Join game request received: Room=${roomId}, Username=${username}, Reconnecting=${isReconnecting}, PreviousColor=${previousColor}, HasToken=${!!reconnectToken}`);
+      
+      // A new room is created with the chosen ruleset preset - it is ignored when joining an existing room
+      const isNewRoom = !gameRoomId || !gameRooms[gameRoomId];
+      const ruleset = isNewRoom ? gameConfig.getRuleset(rulesetId) : null;
+      if (isNewRoom && !ruleset) {
+        log('WARN', `Unknown ruleset requested: ${rulesetId}`);
+        socket.emit('error', { code: 'UNKNOWN_RULESET', message: `Unknown ruleset: ${rulesetId}` });
+        return;
+      }
+      if (isNewRoom && !ruleset.valid) {
+        // The live config has changed under the preset, e.g. its starting wheat now wins the game outright
+        log('WARN', `Ruleset ${ruleset.ruleset.id} is not valid with the current config`, { errors: ruleset.errors });
+        socket.emit('error', { code: 'INVALID_RULESET', message: `The ${ruleset.ruleset.name} ruleset is not available right now` });
+        return;
+      }
       
       // If no room ID is provided, create a new one
       if (!gameRoomId) {
         gameRoomId = uuidv4().substring(0, 8);
-        log('INFO', `Creating new game room: ${gameRoomId}`);
+        log('INFO', `Creating new game room: ${gameRoomId} (${ruleset.ruleset.name})`);
         
-        // Initialize the new game room with more complete game state
-        gameRooms[gameRoomId] = {
-          id: gameRoomId,
-          players: {},
-          playerCount: 0,
-          gameState: {
-            chessEngineState: new Chess().fen(),
-            isGameOver: false,
-            winner: null,
-            farmState: {}, // Store farm state for each player
-            wheatCounts: {} // Store wheat counts for each player
-          },
-          currentTurn: 'white',
-          disconnectedPlayers: {}, // Track disconnected players in this room
-          createdAt: Date.now()
-        };
+        gameRooms[gameRoomId] = openGameRoom(gameRoomId, ruleset);
       }
       
       // Check if the room exists - if not, create it (useful for rejoining specific rooms)
       if (!gameRooms[gameRoomId]) {
-        log('INFO', `Creating new game room with specified ID: ${gameRoomId}`);
-        gameRooms[gameRoomId] = {
-          id: gameRoomId,
-          players: {},
-          playerCount: 0,
-          gameState: {
-            chessEngineState: new Chess().fen(),
-            isGameOver: false,
-            winner: null,
-            farmState: {}, // Store farm state for each player
-            wheatCounts: {} // Store wheat counts for each player
-          },
-          currentTurn: 'white',
-          disconnectedPlayers: {}, // Track disconnected players in this room
-          createdAt: Date.now()
-        };
+        log('INFO', `Creating new game room with specified ID: ${gameRoomId} (${ruleset.ruleset.name})`);
+        gameRooms[gameRoomId] = openGameRoom(gameRoomId, ruleset);
       }
       
       // Get the game room
       const gameRoom = gameRooms[gameRoomId];
+      logger.addContext({ roomId: gameRoomId });
+      
+      // A kicked player can't come back with a new join, only watch
+      if (gameRoom.kickedAddresses.includes(getClientAddress(socket))) {
+        log('WARN', `Refused a seat in room ${gameRoomId} to a kicked player`);
+        socket.emit('error', { code: 'KICKED', message: 'You were removed from this game' });
+        return;
+      }
       
       // RECONNECTION HANDLING: Check for disconnected players
       if (isReconnecting && previousColor) {
-        log('INFO', `🔴 Processing reconnection request for ${previousColor} player in room ${gameRoomId}`);
+        log('INFO', `Processing reconnection request for ${previousColor} player in room ${gameRoomId}`);
         
-        // Try to find the disconnected player with this color
-        const disconnectedPlayerId = Object.keys(gameRoom.disconnectedPlayers).find(
-          id => gameRoom.disconnectedPlayers[id].color === previousColor
-        );
+        // Disconnected players are stored by color
+        const disconnectedPlayer = gameRoom.disconnectedPlayers[previousColor];
         
-        if (disconnectedPlayerId) {
-          log('INFO', `🔴 Found disconnected player: ${disconnectedPlayerId}`);
-          
-          // Get the disconnected player data
-          const disconnectedPlayer = gameRoom.disconnectedPlayers[disconnectedPlayerId];
-          
-          // If we have saved game state from the client, use it
-          if (savedFEN && gameRoom.gameState) {
-            log('INFO', `🔴 Using client-provided FEN for reconnection: ${savedFEN}`);
-            
-            // Try to validate the FEN before using it
-            try {
-              const chessTester = new Chess();
-              if (chessTester.load(savedFEN)) {
-                gameRoom.gameState.chessEngineState = savedFEN;
-                log('INFO', `🔴 Successfully restored chess state from client FEN`);
-              } else {
-                log('WARN', `🔴 Invalid FEN position from client, using server state`);
-              }
-            } catch (e) {
-              log('ERROR', `🔴 Error validating client FEN position: ${e.message}`);
-            }
-          }
-          
-          // If we have saved farm state, use it
-          if (savedFarmState && gameRoom.gameState) {
-            log('INFO', `🔴 Using client-provided farm state for reconnection`);
-            gameRoom.gameState.farmState = {
-              ...gameRoom.gameState.farmState,
-              ...savedFarmState
-            };
-            log('INFO', `🔴 Successfully restored farm state from client`);
-          }
+        // Only the holder of the seat's token may reclaim it
+        if (disconnectedPlayer && isValidSeatToken(gameRoom, previousColor, reconnectToken)) {
+          logger.addContext({ color: previousColor });
+          log('INFO', `Found disconnected ${previousColor} player with a valid token`);
           
           // Add player to the room with their previous color
           gameRoom.players[socket.id] = {
             id: socket.id,
             username: username || disconnectedPlayer.username || 'Player',
-            color: disconnectedPlayer.color,
-            wheatCount: disconnectedPlayer.wheatCount || 100,
-            farmState: disconnectedPlayer.farmState || []
+            color: previousColor,
+            address: getClientAddress(socket)
           };
+          gameRoom.playerCount++;
           
-          // Remove from disconnected players
-          delete gameRoom.disconnectedPlayers[disconnectedPlayerId];
+          // Remove from disconnected players and replace the token that was just used
+          delete gameRoom.disconnectedPlayers[previousColor];
+          const newToken = issueSeatToken(gameRoom, previousColor);
+          ActionLog.recordJoin(gameRoom.actionLog, previousColor, gameRoom.players[socket.id].username, true);
+          saveRoom(gameRoom);
           
           // Join the Socket.io room
           socket.join(gameRoomId);
           
-          // Notify player they've successfully reconnected
+          // Notify player they've successfully reconnected, restoring everything from the server's state
           socket.emit('reconnectSuccess', {
             roomId: gameRoomId,
-            color: disconnectedPlayer.color,
-            wheatCount: disconnectedPlayer.wheatCount || 100,
-            farmState: savedFarmState || gameRoom.gameState.farmState,
+            color: previousColor,
+            reconnectToken: newToken,
+            farms: gameRoom.rulesState.farms,
             currentTurn: gameRoom.currentTurn,
+            turnNumber: gameRoom.rulesState.turnNumber,
+            phase: gameRoom.rulesState.phase,
+            config: gameRoom.gameState.config,
+            ruleset: gameRoom.ruleset,
             gameState: {
-              chessEngineState: gameRoom.gameState.chessEngineState
-            },
-            savedFEN: savedFEN
+              chessEngineState: gameRoom.gameState.chessEngineState,
+              wheatCounts: gameRoom.gameState.wheatCounts,
+              captures: gameRoom.rulesState.captures,
+              isGameOver: gameRoom.gameState.isGameOver,
+              winner: gameRoom.gameState.winner
+            }
           });
           
+          socket.emit('spectatorCount', { count: Object.keys(gameRoom.spectators).length });
+          
           // If it's their turn, notify them
-          if (gameRoom.currentTurn === disconnectedPlayer.color) {
-            log('INFO', `🔴 Notifying reconnected player it's their turn`);
+          if (gameRoom.currentTurn === previousColor) {
+            log('INFO', `Notifying reconnected player it's their turn`);
             socket.emit('your-turn', {
-              color: disconnectedPlayer.color
+              color: previousColor,
+              phase: gameRoom.rulesState.phase,
+              wheatCounts: gameRoom.gameState.wheatCounts
             });
           }
           
@@ -286,64 +1895,66 @@ io.on('connection', (socket) => {
             }
           }
           
-          log('INFO', `🔴 Player ${socket.id} successfully reconnected to room ${gameRoomId} as ${disconnectedPlayer.color}`);
+          log('INFO', `Player ${socket.id} successfully reconnected to room ${gameRoomId} as ${previousColor}`);
+          reconnects.inc({ result: 'success' });
+          
+          // The computer waits for its opponent to come back before playing
+          scheduleBotTurn(gameRoom);
           return;
+        } else if (disconnectedPlayer) {
+          log('WARN', `Rejected reconnection to the ${previousColor} seat in room ${gameRoomId}: invalid token`);
+          reconnects.inc({ result: 'invalid-token' });
         } else {
-          log('WARN', `🔴 Disconnected player with color ${previousColor} not found in room ${gameRoomId}`);
+          log('WARN', `Disconnected player with color ${previousColor} not found in room ${gameRoomId}`);
+          reconnects.inc({ result: 'seat-not-found' });
         }
       }
       
       // If we got here, either it's not a reconnection attempt or the reconnection failed
-      log('INFO', `🔴 Regular join or failed reconnection for room ${gameRoomId}`);
+      log('INFO', `Regular join or failed reconnection for room ${gameRoomId}`);
       
       // Check if the room is full
       if (Object.keys(gameRooms[gameRoomId].players).length >= 2) {
         // If someone tries to reconnect but didn't provide correct info, reject
         log('WARN', `Room ${gameRoomId} is full`);
-        socket.emit('roomFull', { roomId: gameRoomId });
+        socket.emit('roomFull', { roomId: gameRoomId, canWatch: true });
         return;
       }
       
-      // FIXED: Improved player color assignment logic to handle reconnection failures better
-      // Instead of simply using playerCount, we check which color is already taken
+      // Seats held by disconnected players stay reserved until they reconnect or time out
+      const seatedColors = Object.values(gameRoom.players)
+        .map(player => player.color)
+        .concat(Object.keys(gameRoom.disconnectedPlayers));
+      const playerColor = ['white', 'black'].find(color => !seatedColors.includes(color));
       
-      // Check if there's already a player in the room and get their color
-      let takenColor = null;
-      for (const pid in gameRooms[gameRoomId].players) {
-        takenColor = gameRooms[gameRoomId].players[pid].color;
-        break; // Just need one player's color
+      if (!playerColor) {
+        log('WARN', `Room ${gameRoomId} has no free seat`);
+        socket.emit('roomFull', { roomId: gameRoomId, canWatch: true });
+        return;
       }
       
-      // If one player is already in the room, assign the opposite color
-      if (takenColor) {
-        playerColor = takenColor === 'white' ? 'black' : 'white';
-        log('INFO', `🔴 Room has a ${takenColor} player, assigning ${playerColor} to reconnecting player`);
-        
-        // If the reconnecting player specified a color and it's already taken, warn them
-        if (previousColor && previousColor === takenColor) {
-          log('WARN', `🔴 Requested color ${previousColor} is already taken, assigning ${playerColor} instead`);
-        }
-      } else {
-        // No players in room, default to white for first player
-        playerColor = 'white';
-        log('INFO', `🔴 No players in room, assigning white to first player`);
+      if (previousColor && previousColor !== playerColor) {
+        log('WARN', `Requested color ${previousColor} is not available, assigning ${playerColor} instead`);
       }
       
       const isFirstPlayer = playerColor === 'white';
       
-      log('INFO', `🔴 Assigning player ${socket.id} to ${playerColor} in room ${gameRoomId}`);
+      logger.addContext({ color: playerColor });
+      log('INFO', `Assigning player ${socket.id} to ${playerColor} in room ${gameRoomId}`);
       
       // Add player to the room
       gameRooms[gameRoomId].players[socket.id] = {
         id: socket.id,
         username: username || 'Player',
         color: playerColor,
-        wheatCount: 100, // Default value
-        farmState: [] // Default value
+        address: getClientAddress(socket)
       };
       
       // Increment player count
       gameRooms[gameRoomId].playerCount++;
+      const seatToken = issueSeatToken(gameRoom, playerColor);
+      ActionLog.recordJoin(gameRoom.actionLog, playerColor, gameRoom.players[socket.id].username, false);
+      saveRoom(gameRoom);
       
       // Join the Socket.io room
       socket.join(gameRoomId);
@@ -355,47 +1966,34 @@ io.on('connection', (socket) => {
         roomId: gameRoomId,
         color: playerColor,
         isFirstPlayer: isFirstPlayer,
-        username: username
+        username: username,
+        reconnectToken: seatToken,
+        config: gameRoom.gameState.config,
+        ruleset: gameRoom.ruleset
       });
+      socket.emit('spectatorCount', { count: Object.keys(gameRoom.spectators).length });
       
       // If this is the second player, notify both players the game can start
       if (gameRooms[gameRoomId].playerCount === 2) {
-        log('INFO', `Game starting in room ${gameRoomId}`);
-        
-        // Notify all players in the room
-        io.to(gameRoomId).emit('gameStart', {
-          roomId: gameRoomId,
-          startingTurn: 'white'
-        });
-        
-        // Notify white player it's their turn
-        const whitePlayerId = Object.keys(gameRooms[gameRoomId].players).find(
-          id => gameRooms[gameRoomId].players[id].color === 'white'
-        );
-        
-        if (whitePlayerId) {
-          io.to(whitePlayerId).emit('your-turn', {
-            color: 'white'
-          });
-        }
+        startGame(gameRoom);
       } else {
         log('INFO', `Waiting for another player to join room ${gameRoomId}`);
       }
     } catch (error) {
-      log('ERROR', 'Error joining game:', error);
-      socket.emit('error', { message: 'Error joining game' });
+      log('ERROR', 'Error joining game', error);
+      socket.emit('error', { code: 'SERVER_ERROR', message: 'Error joining game' });
     }
   });
   
   // Handle chess moves
   socket.on('chess-move', (data) => {
     try {
-      const { roomId, move, fen } = data;
+      const { roomId, move } = data;
       
       // Validate the room exists
       if (!gameRooms[roomId]) {
         log('WARN', `Move attempted in non-existent room: ${roomId}`);
-        socket.emit('error', { message: 'Game room not found' });
+        socket.emit('error', { code: 'ROOM_NOT_FOUND', message: 'Game room not found' });
         return;
       }
       
@@ -403,51 +2001,133 @@ io.on('connection', (socket) => {
       const player = gameRooms[roomId].players[socket.id];
       if (!player) {
         log('WARN', `Player not found in room ${roomId}`);
-        socket.emit('error', { message: 'Player not found in this game' });
+        socket.emit('error', { code: 'NOT_A_PLAYER', message: 'Player not found in this game' });
         return;
       }
       
       // Check if it's this player's turn
       if (player.color !== gameRooms[roomId].currentTurn) {
         log('WARN', `Move attempted out of turn by ${player.color}`);
-        socket.emit('error', { message: 'Not your turn' });
+        socket.emit('error', { code: GameRules.ERROR_CODES.NOT_YOUR_TURN, message: 'Not your turn' });
         return;
       }
       
-      // Update the chess engine state
-      gameRooms[roomId].gameState.chessEngineState = fen;
+      // Run the move through the rules engine - the client-sent FEN is ignored
+      const room = gameRooms[roomId];
+      const action = {
+        type: 'move',
+        color: player.color,
+        move: move
+      };
+      const result = applyRulesAction(room, action);
       
-      // Switch turns
-      gameRooms[roomId].currentTurn = player.color === 'white' ? 'black' : 'white';
+      if (!result.ok) {
+        log('WARN', `Rejected move by ${player.color} in room ${roomId}: ${result.error.message}`, move);
+        socket.emit('error', {
+          code: result.error.code,
+          message: result.error.message,
+          move: move,
+          fen: room.rulesState.fen,
+          wheatCount: room.gameState.wheatCounts[player.color]
+        });
+        return;
+      }
       
-      log('INFO', `Valid move by ${player.color} in room ${roomId}`);
+      broadcastAction(room, action, result, socket);
+    } catch (error) {
+      log('ERROR', 'Error handling chess-move', error);
+      socket.emit('error', { code: 'SERVER_ERROR', message: 'Failed to process move' });
+    }
+  });
+  
+  // Handle the end of the farming phase
+  socket.on('phase-change', (data) => {
+    try {
+      const { roomId, phase } = data;
       
-      // Broadcast the move to the opponent
-      socket.to(roomId).emit('chess-move', {
-        move: move,
-        fen: fen
-      });
+      // Validate the room exists
+      if (!gameRooms[roomId]) {
+        log('WARN', `Phase change attempted in non-existent room: ${roomId}`);
+        socket.emit('error', { code: 'ROOM_NOT_FOUND', message: 'Game room not found' });
+        return;
+      }
       
-      // Notify the next player it's their turn
-      const nextPlayerId = Object.keys(gameRooms[roomId].players).find(
-        id => gameRooms[roomId].players[id].color === gameRooms[roomId].currentTurn
-      );
+      const room = gameRooms[roomId];
       
-      if (nextPlayerId) {
-        io.to(nextPlayerId).emit('your-turn', {
-          color: gameRooms[roomId].currentTurn
-        });
+      // Get the player from this socket
+      const player = room.players[socket.id];
+      if (!player) {
+        log('WARN', `Player not found in room ${roomId}`);
+        socket.emit('error', { code: 'NOT_A_PLAYER', message: 'Player not found in this game' });
+        return;
+      }
+      
+      // A turn only moves forward from farming to chess, the next farming phase comes with end-turn
+      if (phase !== 'chess') {
+        log('WARN', `Invalid phase change to ${phase} by ${player.color} in room ${roomId}`);
+        socket.emit('error', { code: 'WRONG_PHASE', message: `Cannot change to the ${phase} phase` });
+        return;
+      }
+      
+      const action = { type: 'skip-farming', color: player.color };
+      const result = applyRulesAction(room, action);
+      
+      if (!result.ok) {
+        log('WARN', `Rejected phase change by ${player.color} in room ${roomId}: ${result.error.message}`);
+        socket.emit('error', { code: result.error.code, message: result.error.message });
+        return;
+      }
+      
+      broadcastAction(room, action, result, socket);
+    } catch (error) {
+      log('ERROR', 'Error handling phase-change', error);
+      socket.emit('error', { code: 'SERVER_ERROR', message: 'Failed to change phase' });
+    }
+  });
+  
+  // Handle the end of a turn
+  socket.on('end-turn', (data) => {
+    try {
+      const { roomId } = data;
+      
+      // Validate the room exists
+      if (!gameRooms[roomId]) {
+        log('WARN', `End turn attempted in non-existent room: ${roomId}`);
+        socket.emit('error', { code: 'ROOM_NOT_FOUND', message: 'Game room not found' });
+        return;
+      }
+      
+      const room = gameRooms[roomId];
+      
+      // Get the player from this socket
+      const player = room.players[socket.id];
+      if (!player) {
+        log('WARN', `Player not found in room ${roomId}`);
+        socket.emit('error', { code: 'NOT_A_PLAYER', message: 'Player not found in this game' });
+        return;
+      }
+      
+      // The client's chessEngineState is ignored - the room's rules state has the position
+      const action = { type: 'end-turn', color: player.color };
+      const result = applyRulesAction(room, action);
+      
+      if (!result.ok) {
+        log('WARN', `Rejected end turn by ${player.color} in room ${roomId}: ${result.error.message}`);
+        socket.emit('error', { code: result.error.code, message: result.error.message });
+        return;
       }
+      
+      broadcastAction(room, action, result, socket);
     } catch (error) {
-      log('ERROR', 'Error handling chess-move:', error);
-      socket.emit('error', { message: 'Failed to process move' });
+      log('ERROR', 'Error handling end-turn', error);
+      socket.emit('error', { code: 'SERVER_ERROR', message: 'Failed to end turn' });
     }
   });
   
-  // Handle game over
+  // Handle resignation - every other way of ending the game is detected by the rules engine
   socket.on('game-over', (data) => {
     try {
-      const { roomId, winner, reason } = data;
+      const { roomId, reason } = data;
       
       // Validate the room exists
       if (!gameRooms[roomId]) {
@@ -455,31 +2135,106 @@ io.on('connection', (socket) => {
         return;
       }
       
-      log('INFO', `Game over in room ${roomId}. Winner: ${winner}, Reason: ${reason}`);
+      const room = gameRooms[roomId];
       
-      // Update game state
-      gameRooms[roomId].gameState.isGameOver = true;
-      gameRooms[roomId].gameState.winner = winner;
+      // Only a player in the room can resign, and only for themselves
+      const player = room.players[socket.id];
+      if (!player) {
+        log('WARN', `Game over notification from a non-player in room ${roomId}`);
+        socket.emit('error', { code: 'NOT_A_PLAYER', message: 'Player not found in this game' });
+        return;
+      }
       
-      // Broadcast to all players in the room
-      io.to(roomId).emit('game-over', {
-        winner: winner,
-        reason: reason
-      });
+      if (reason !== 'resignation') {
+        log('WARN', `Ignoring client-declared game over in room ${roomId}: ${reason}`);
+        socket.emit('error', { code: 'INVALID_GAME_OVER', message: 'Only resignation can end the game from the client' });
+        return;
+      }
+      
+      const result = applyRulesAction(room, { type: 'resign', color: player.color });
+      
+      if (!result.ok) {
+        log('WARN', `Rejected resignation by ${player.color} in room ${roomId}: ${result.error.message}`);
+        socket.emit('error', { code: result.error.code, message: result.error.message });
+        return;
+      }
+      
+      announceGameOver(room, result);
+    } catch (error) {
+      log('ERROR', 'Error handling game-over', error);
+    }
+  });
+  
+  // Handle farm actions
+  socket.on('farm-action', (data) => {
+    try {
+      const { roomId, action } = data;
+      const actionData = data.data || {};
+      
+      // Validate the room exists
+      if (!gameRooms[roomId]) {
+        log('WARN', `Farm action attempted in non-existent room: ${roomId}`);
+        socket.emit('error', { code: 'ROOM_NOT_FOUND', message: 'Game room not found' });
+        return;
+      }
+      
+      const room = gameRooms[roomId];
+      
+      // Get the player from this socket
+      const player = room.players[socket.id];
+      if (!player) {
+        log('WARN', `Player not found in room ${roomId}`);
+        socket.emit('error', { code: 'NOT_A_PLAYER', message: 'Player not found in this game' });
+        return;
+      }
+      
+      if (player.color !== room.currentTurn) {
+        log('WARN', `Farm action attempted out of turn by ${player.color}`);
+        socket.emit('error', { code: GameRules.ERROR_CODES.NOT_YOUR_TURN, message: 'Not your turn' });
+        return;
+      }
+      
+      // Harvests and plot unlocks happen inside the rules engine, only planting is a player action
+      if (action !== 'plant') {
+        return;
+      }
+      
+      const plantAction = {
+        type: 'plant',
+        color: player.color,
+        plotIndex: Number(actionData.plotIndex),
+        cropType: actionData.cropType
+      };
+      const result = applyRulesAction(room, plantAction);
+      
+      if (!result.ok) {
+        log('WARN', `Rejected plant action by ${player.color} in room ${roomId}: ${result.error.message}`, actionData);
+        socket.emit('error', {
+          code: result.error.code,
+          message: result.error.message,
+          wheatCount: room.gameState.wheatCounts[player.color]
+        });
+        broadcastGameState(room);
+        return;
+      }
+      
+      broadcastAction(room, plantAction, result, socket);
     } catch (error) {
-      log('ERROR', 'Error handling game-over:', error);
+      log('ERROR', 'Error handling farm-action', error);
+      socket.emit('error', { code: 'SERVER_ERROR', message: 'Failed to process farm action' });
     }
   });
   
-  // Add handler for farm state updates
+  // Older clients push their own view of their plots after farming
+  // The server owns the farms, so the payload is ignored and the sender gets the real farms back
   socket.on('farm-update', (data) => {
     try {
-      const { roomId, farmState, wheatCount } = data;
+      const { roomId } = data;
       
       // Validate the room exists
       if (!gameRooms[roomId]) {
         log('WARN', `Farm update attempted in non-existent room: ${roomId}`);
-        socket.emit('error', { message: 'Game room not found' });
+        socket.emit('error', { code: 'ROOM_NOT_FOUND', message: 'Game room not found' });
         return;
       }
       
@@ -487,56 +2242,135 @@ io.on('connection', (socket) => {
       const player = gameRooms[roomId].players[socket.id];
       if (!player) {
         log('WARN', `Player not found in room ${roomId}`);
-        socket.emit('error', { message: 'Player not found in this game' });
+        socket.emit('error', { code: 'NOT_A_PLAYER', message: 'Player not found in this game' });
+        return;
+      }
+      
+      socket.emit('gameStateUpdate', {
+        gameState: {
+          wheatCounts: gameRooms[roomId].gameState.wheatCounts,
+          captures: gameRooms[roomId].rulesState.captures,
+          farms: gameRooms[roomId].rulesState.farms
+        }
+      });
+    } catch (error) {
+      log('ERROR', 'Error handling farm-update', error);
+      socket.emit('error', { code: 'SERVER_ERROR', message: 'Failed to update farm state' });
+    }
+  });
+  
+  // Handle watching a game as a spectator
+  // Spectators join the socket.io room to receive its broadcasts, but they are not
+  // in room.players, so every game action from them is rejected
+  socket.on('watchGame', (data) => {
+    try {
+      const { roomId, username } = data || {};
+      const room = gameRooms[roomId];
+      
+      if (!room) {
+        log('WARN', `Watch request for unknown room ${roomId}`);
+        socket.emit('error', { code: 'ROOM_NOT_FOUND', message: 'Room not found' });
         return;
       }
       
-      // Store the farm state and wheat count for this player
-      player.farmState = farmState;
-      player.wheatCount = wheatCount;
+      if (room.players[socket.id]) {
+        socket.emit('error', { code: 'ALREADY_PLAYING', message: 'You are already playing in this room' });
+        return;
+      }
+      
+      room.spectators[socket.id] = {
+        id: socket.id,
+        username: username || 'Spectator',
+        joinedAt: Date.now()
+      };
+      
+      socket.join(roomId);
+      socket.emit('spectateStarted', getSpectatorSnapshot(room));
+      broadcastSpectatorCount(room);
+      
+      log('INFO', `Spectator ${socket.id} is watching room ${roomId}`);
+    } catch (error) {
+      log('ERROR', 'Error handling watchGame', error);
+      socket.emit('error', { code: 'SERVER_ERROR', message: 'Failed to watch game' });
+    }
+  });
+  
+  // Handle a player asking for the computer to take the free seat
+  socket.on('add-bot', (data) => {
+    try {
+      const { roomId } = data;
+      const difficulty = data.difficulty || BotPlayer.DEFAULT_DIFFICULTY;
+      const room = gameRooms[roomId];
+      
+      if (!room) {
+        log('WARN', `Computer opponent requested for unknown room ${roomId}`);
+        socket.emit('error', { code: 'ROOM_NOT_FOUND', message: 'Room not found' });
+        return;
+      }
       
-      // Also store in the gameState for persistence
-      if (!gameRooms[roomId].gameState.farmState) {
-        gameRooms[roomId].gameState.farmState = {};
+      // Only a player already in the room can invite the computer
+      const player = room.players[socket.id];
+      if (!player) {
+        log('WARN', `Computer opponent requested by a non-player in room ${roomId}`);
+        socket.emit('error', { code: 'NOT_A_PLAYER', message: 'Player not found in this game' });
+        return;
       }
-      if (!gameRooms[roomId].gameState.wheatCounts) {
-        gameRooms[roomId].gameState.wheatCounts = {};
+      
+      // Seats held by disconnected players stay reserved, just as they do for joining players
+      const seatedColors = Object.values(room.players)
+        .map(p => p.color)
+        .concat(Object.keys(room.disconnectedPlayers));
+      const color = ['white', 'black'].find(c => !seatedColors.includes(c));
+      
+      if (!color) {
+        log('WARN', `No free seat for a computer opponent in room ${roomId}`);
+        socket.emit('error', { code: 'NO_FREE_SEAT', message: 'Both seats are taken' });
+        return;
       }
       
-      gameRooms[roomId].gameState.farmState[player.color] = farmState;
-      gameRooms[roomId].gameState.wheatCounts[player.color] = wheatCount;
+      const bot = seatBot(room, color, difficulty);
+      log('INFO', `${bot.username} took the ${color} seat in room ${roomId}`);
       
-      log('INFO', `Farm state updated for player ${player.color} in room ${roomId}`);
+      if (room.playerCount === 2) {
+        startGame(room);
+      }
     } catch (error) {
-      log('ERROR', 'Error handling farm-update:', error);
-      socket.emit('error', { message: 'Failed to update farm state' });
+      log('ERROR', 'Error handling add-bot', error);
+      socket.emit('error', { code: 'SERVER_ERROR', message: 'Failed to add computer opponent' });
     }
   });
   
   // Handle disconnection
   socket.on('disconnect', () => {
-    log('INFO', 'Client disconnected:', socket.id);
+    log('INFO', 'Client disconnected', { socketId: socket.id });
+    socketRateLimiter.remove(socket.id);
     
     // Find any game rooms this player is in
     for (const roomId in gameRooms) {
       const room = gameRooms[roomId];
+      
+      if (room.spectators[socket.id]) {
+        log('INFO', `Spectator ${socket.id} stopped watching room ${roomId}`, { roomId: roomId, socketId: socket.id });
+        delete room.spectators[socket.id];
+        broadcastSpectatorCount(room);
+      }
+      
       if (room.players[socket.id]) {
         const playerInfo = room.players[socket.id];
         const color = playerInfo.color;
         
-        log('INFO', `Player ${socket.id} (${color}) left room ${roomId}`);
+        log('INFO', `Player ${socket.id} (${color}) left room ${roomId}`, { roomId: roomId, socketId: socket.id, color: color });
         
         // Store more complete player state for reconnection
+        const disconnectedAt = Date.now();
         room.disconnectedPlayers[color] = {
           username: playerInfo.username,
-          timestamp: Date.now(),
-          timeToLive: PLAYER_RECONNECT_TIMEOUT,
-          wheatCount: playerInfo.wheatCount || 100,
-          farmState: playerInfo.farmState || [],
-          // Store any other player state we need to restore
+          address: playerInfo.address,
+          timestamp: disconnectedAt,
+          timeToLive: PLAYER_RECONNECT_TIMEOUT
         };
         
-        log('INFO', `Added ${color} player to disconnectedPlayers list for room ${roomId}`);
+        log('INFO', `Added ${color} player to disconnectedPlayers list for room ${roomId}`, { roomId: roomId, color: color });
         
         // Remove the player from active players
         delete room.players[socket.id];
@@ -545,27 +2379,29 @@ io.on('connection', (socket) => {
         // Notify other players in the room
         socket.to(roomId).emit('opponent-disconnected', { color: color });
         
-        // Set a timer to clean up if the player doesn't reconnect
-        setTimeout(() => {
-          if (room.disconnectedPlayers && room.disconnectedPlayers[color]) {
-            log('INFO', `Cleanup: Player ${color} did not reconnect to room ${roomId} within timeout period`);
-            delete room.disconnectedPlayers[color];
-            
-            // If both players are gone (one disconnected, one timed out), clean up the room
-            if (room.playerCount === 0 && Object.keys(room.disconnectedPlayers).length === 0) {
-              log('INFO', `Deleting empty room ${roomId}`);
-              delete gameRooms[roomId];
-            }
-          }
-        }, PLAYER_RECONNECT_TIMEOUT);
+        saveRoom(room);
+        
+        // Release the seat if the player doesn't reconnect
+        scheduleSeatRelease(room, color, disconnectedAt);
       }
     }
   });
 });
 
-// Start the server
+// Start the server once the config history is loaded, since saved rooms and new rooms refer to its versions
 const PORT = process.env.PORT || 3002;
-server.listen(PORT, () => {
-  log('INFO', `Server running on port ${PORT}`);
-  log('INFO', `Open http://localhost:${PORT} in your browser to play`);
+gameConfig.loadHistory(configHistoryStore).then(version => {
+  log('INFO', `Live config is version ${version}`);
+  
+  // Pick up the games that were in progress before the last restart
+  restoreRooms();
+  
+  server.listen(PORT, () => {
+    isReady = true;
+    log('INFO', `Server running on port ${PORT}`);
+    log('INFO', `Open http://localhost:${PORT} in your browser to play`);
+  });
+}).catch(error => {
+  log('ERROR', 'Failed to load the config history', error);
+  process.exit(1);
 }); 
\ No newline at end of file
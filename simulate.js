@@ -0,0 +1,474 @@
+// Balance simulator for Chessville
+// Plays headless games between computer strategies under a config and reports how they
+// went: win rates by victory type, game length, wheat over time and the crops planted.
+// Every action goes through the rules engine, exactly as it would in a real game.
+//
+//   node simulate.js --games 2000 --config balance.json --white medium --black hard --out results
+//
+// Options:
+//   --games <n>         Games to play (default 1000)
+//   --config <file>     JSON settings layered on the default config, like an admin config update
+//   --ruleset <id>      Ruleset preset to play under (default classic)
+//   --white <strategy>  easy, medium, hard, or a module exporting planTurn(state, config, options)
+//   --black <strategy>  The same for black (both default to medium)
+//   --alternate         Swap the strategies' colors every other game
+//   --max-turns <n>     Turns before a game is stopped and counted as unfinished (default 300)
+//   --seed <n>          Seed for the strategies' random choices, to repeat a run exactly
+//   --format json|csv   Print the JSON report or the summary as CSV (default json)
+//   --out <dir>         Also write report.json, summary.csv, games.csv, wheat-curve.csv and crops.csv
+//   --quiet             No progress on stderr
+
+const fs = require('fs');
+const path = require('path');
+const gameConfig = require('./gameConfig');
+const GameRules = require('./js/modules/game-rules');
+const BotPlayer = require('./js/modules/bot-player');
+
+const DEFAULTS = {
+  games: 1000,
+  strategy: 'medium',
+  maxTurns: 300
+};
+
+// Victory types reported, keyed by the rules engine's game-over reason
+const VICTORY_TYPES = GameRules.VICTORY_TYPES;
+
+// Every outcome a game can have - games without a winner are draws or hit the turn limit
+const OUTCOMES = ['checkmate', 'economic', 'bankruptcy', 'draw', 'unfinished'];
+
+const COLORS = ['white', 'black'];
+
+// Seeded random numbers in [0, 1), so a run can be repeated (mulberry32)
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return function random() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Load a strategy: a computer difficulty, or a module exporting planTurn(state, config, options)
+// that returns the rules engine actions for the turn of the player to move
+function loadStrategy(name) {
+  if (BotPlayer.isDifficulty(name)) {
+    return {
+      name: name,
+      planTurn: (state, config, options) => BotPlayer.planTurn(state, config, name, options)
+    };
+  }
+  
+  let modulePath;
+  try {
+    modulePath = require.resolve(path.resolve(name));
+  } catch (error) {
+    const difficulties = BotPlayer.getDifficulties().map(d => d.id).join(', ');
+    throw new Error(`Unknown strategy: ${name} (use ${difficulties} or the path of a strategy module)`);
+  }
+  
+  const strategy = require(modulePath);
+  if (typeof strategy.planTurn !== 'function') {
+    throw new Error(`Strategy ${name} must export planTurn(state, config, options)`);
+  }
+  
+  return { name: path.basename(name, '.js'), planTurn: strategy.planTurn };
+}
+
+// Play one game to the end or the turn limit
+// Returns the strategies, the winner, the outcome, its length, wheat after every turn and crops planted
+function playGame(config, strategies, options) {
+  let state = GameRules.createInitialState(config);
+  const wheat = [GameRules.getWheatCounts(state)];
+  const crops = { white: {}, black: {} };
+  let turns = 0;
+  
+  while (!state.isGameOver && turns < options.maxTurns) {
+    const color = state.turn;
+    const strategy = strategies[color];
+    const actions = strategy.planTurn(state, config, { random: options.random });
+    
+    for (const action of actions) {
+      const result = GameRules.applyAction(state, action, config);
+      if (!result.ok) {
+        throw new Error(`Strategy ${strategy.name} played a rejected ${action.type}: ${result.error.message}`);
+      }
+      
+      state = result.state;
+      if (action.type === 'plant') {
+        crops[color][action.cropType] = (crops[color][action.cropType] || 0) + 1;
+      }
+    }
+    
+    if (!state.isGameOver && state.turn === color) {
+      throw new Error(`Strategy ${strategy.name} didn't finish its turn`);
+    }
+    
+    turns++;
+    wheat.push(GameRules.getWheatCounts(state));
+  }
+  
+  let outcome = 'unfinished';
+  if (state.isGameOver) {
+    outcome = state.winner ? VICTORY_TYPES[state.reason] || state.reason : 'draw';
+  }
+  
+  return {
+    white: strategies.white.name,
+    black: strategies.black.name,
+    winner: state.isGameOver ? state.winner : null,
+    outcome: outcome,
+    turns: turns,
+    wheat: wheat,
+    crops: crops
+  };
+}
+
+// Add to a count in a nested tally, creating the levels as needed
+function count(tally, keys, amount = 1) {
+  let level = tally;
+  keys.slice(0, -1).forEach(key => {
+    level[key] = level[key] || {};
+    level = level[key];
+  });
+  
+  const last = keys[keys.length - 1];
+  level[last] = (level[last] || 0) + amount;
+}
+
+// Turn a count into a share of a total, rounded for reading
+function share(value, total) {
+  return total > 0 ? Math.round((value / total) * 10000) / 10000 : 0;
+}
+
+// Run the games and build the report
+// options: games, ruleset, configFile, white, black (strategy names), alternate, maxTurns, seed, onProgress
+function runSimulation(config, options) {
+  const random = createRandom(options.seed);
+  const strategies = { white: loadStrategy(options.white), black: loadStrategy(options.black) };
+  const byStrategy = strategies.white.name !== strategies.black.name;
+  
+  const games = [];
+  const outcomes = {};
+  const wins = {};
+  const crops = {};
+  const wheatCurve = [];
+  
+  for (let i = 0; i < options.games; i++) {
+    const swapped = options.alternate && i % 2 === 1;
+    const seats = swapped ? { white: strategies.black, black: strategies.white } : strategies;
+    const game = playGame(config, seats, { random: random, maxTurns: options.maxTurns });
+    
+    count(outcomes, [game.outcome]);
+    
+    if (game.winner) {
+      count(wins, ['byColor', game.winner, game.outcome]);
+      if (byStrategy) {
+        count(wins, ['byStrategy', game[game.winner], game.outcome]);
+      }
+    }
+    
+    COLORS.forEach(color => {
+      Object.keys(game.crops[color]).forEach(cropType => {
+        count(crops, ['byColor', color, cropType], game.crops[color][cropType]);
+        if (byStrategy) {
+          count(crops, ['byStrategy', game[color], cropType], game.crops[color][cropType]);
+        }
+      });
+    });
+    
+    game.wheat.forEach((balances, turn) => {
+      wheatCurve[turn] = wheatCurve[turn] || { turn: turn, games: 0, white: 0, black: 0 };
+      wheatCurve[turn].games++;
+      wheatCurve[turn].white += balances.white;
+      wheatCurve[turn].black += balances.black;
+    });
+    
+    // Keep the per-game summary, not the whole wheat history
+    games.push({
+      game: i + 1,
+      white: game.white,
+      black: game.black,
+      winner: game.winner,
+      outcome: game.outcome,
+      turns: game.turns,
+      finalWheat: game.wheat[game.wheat.length - 1],
+      crops: game.crops
+    });
+    
+    if (options.onProgress) {
+      options.onProgress(i + 1, options.games);
+    }
+  }
+  
+  return buildReport(options, strategies, games, outcomes, wins, crops, wheatCurve);
+}
+
+// Turn the tallies into rates and averages
+// Win rates and crop choices are given by color and, when the strategies differ, by strategy
+function buildReport(options, strategies, games, outcomes, wins, crops, wheatCurve) {
+  const total = games.length;
+  const turns = games.map(game => game.turns);
+  const groups = { byColor: COLORS };
+  if (strategies.white.name !== strategies.black.name) {
+    groups.byStrategy = [strategies.white.name, strategies.black.name];
+  }
+  
+  // Wins and their share of all games, in total and by victory type
+  const winRates = (tally, sides) => {
+    const rates = {};
+    sides.forEach(side => {
+      const byOutcome = tally[side] || {};
+      const sideWins = Object.keys(byOutcome).reduce((sum, outcome) => sum + byOutcome[outcome], 0);
+      rates[side] = { wins: sideWins, rate: share(sideWins, total), byVictoryType: {} };
+      Object.values(VICTORY_TYPES).forEach(type => {
+        rates[side].byVictoryType[type] = { wins: byOutcome[type] || 0, rate: share(byOutcome[type] || 0, total) };
+      });
+    });
+    return rates;
+  };
+  
+  // Crops planted and their share of everything the side planted
+  const cropChoices = (tally, sides) => {
+    const choices = {};
+    sides.forEach(side => {
+      const planted = tally[side] || {};
+      const sidePlanted = Object.keys(planted).reduce((sum, cropType) => sum + planted[cropType], 0);
+      choices[side] = {};
+      Object.keys(planted).sort().forEach(cropType => {
+        choices[side][cropType] = { planted: planted[cropType], share: share(planted[cropType], sidePlanted) };
+      });
+    });
+    return choices;
+  };
+  
+  const report = {
+    games: total,
+    seed: options.seed,
+    ruleset: options.ruleset,
+    configFile: options.configFile || null,
+    strategies: {
+      white: strategies.white.name,
+      black: strategies.black.name,
+      alternate: !!options.alternate
+    },
+    maxTurns: options.maxTurns,
+    outcomes: {},
+    winRates: {},
+    gameLength: {
+      averageTurns: total > 0 ? Math.round((turns.reduce((a, b) => a + b, 0) / total) * 100) / 100 : 0,
+      minTurns: total > 0 ? Math.min(...turns) : 0,
+      maxTurns: total > 0 ? Math.max(...turns) : 0
+    },
+    wheatCurve: wheatCurve.map(point => ({
+      turn: point.turn,
+      games: point.games,
+      white: Math.round((point.white / point.games) * 100) / 100,
+      black: Math.round((point.black / point.games) * 100) / 100
+    })),
+    cropChoices: {},
+    gameResults: games
+  };
+  
+  OUTCOMES.forEach(outcome => {
+    report.outcomes[outcome] = { games: outcomes[outcome] || 0, rate: share(outcomes[outcome] || 0, total) };
+  });
+  
+  Object.keys(groups).forEach(group => {
+    report.winRates[group] = winRates(wins[group] || {}, groups[group]);
+    report.cropChoices[group] = cropChoices(crops[group] || {}, groups[group]);
+  });
+  
+  return report;
+}
+
+// Quote a CSV field when it needs it
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Render rows of fields as CSV
+function toCsv(header, rows) {
+  return [header].concat(rows).map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+// The report's tables as CSV, keyed by file name
+function reportToCsv(report) {
+  const groups = Object.keys(report.winRates);
+  
+  const summaryRows = [];
+  groups.forEach(group => {
+    Object.keys(report.winRates[group]).forEach(side => {
+      const rates = report.winRates[group][side];
+      summaryRows.push([group, side, 'win', rates.wins, rates.rate]);
+      Object.keys(rates.byVictoryType).forEach(type => {
+        summaryRows.push([group, side, type, rates.byVictoryType[type].wins, rates.byVictoryType[type].rate]);
+      });
+    });
+  });
+  OUTCOMES.forEach(outcome => {
+    summaryRows.push(['all', 'all', outcome, report.outcomes[outcome].games, report.outcomes[outcome].rate]);
+  });
+  
+  const cropTypes = Array.from(new Set(report.gameResults.reduce((types, game) =>
+    types.concat(Object.keys(game.crops.white), Object.keys(game.crops.black)), []))).sort();
+  
+  const cropRows = [];
+  groups.forEach(group => {
+    Object.keys(report.cropChoices[group]).forEach(side => {
+      Object.keys(report.cropChoices[group][side]).forEach(cropType => {
+        const choice = report.cropChoices[group][side][cropType];
+        cropRows.push([group, side, cropType, choice.planted, choice.share]);
+      });
+    });
+  });
+  
+  return {
+    'summary.csv': toCsv(['group', 'side', 'outcome', 'games', 'rate'], summaryRows),
+    'games.csv': toCsv(
+      ['game', 'white', 'black', 'winner', 'outcome', 'turns', 'white_wheat', 'black_wheat']
+        .concat(cropTypes.map(type => `white_crop_${type}`), cropTypes.map(type => `black_crop_${type}`)),
+      report.gameResults.map(game => [
+        game.game, game.white, game.black, game.winner || '', game.outcome, game.turns,
+        game.finalWheat.white, game.finalWheat.black
+      ].concat(cropTypes.map(type => game.crops.white[type] || 0), cropTypes.map(type => game.crops.black[type] || 0)))
+    ),
+    'wheat-curve.csv': toCsv(['turn', 'games', 'white', 'black'],
+      report.wheatCurve.map(point => [point.turn, point.games, point.white, point.black])),
+    'crops.csv': toCsv(['group', 'side', 'crop', 'planted', 'share'], cropRows)
+  };
+}
+
+// Read the command-line options
+function parseArgs(argv) {
+  const options = {
+    games: DEFAULTS.games,
+    white: DEFAULTS.strategy,
+    black: DEFAULTS.strategy,
+    maxTurns: DEFAULTS.maxTurns,
+    seed: Date.now() % 4294967296,
+    format: 'json',
+    alternate: false,
+    quiet: false
+  };
+  const flags = {
+    '--alternate': () => { options.alternate = true; },
+    '--quiet': () => { options.quiet = true; }
+  };
+  const values = {
+    '--games': value => { options.games = parsePositive('--games', value); },
+    '--config': value => { options.configFile = value; },
+    '--ruleset': value => { options.rulesetId = value; },
+    '--white': value => { options.white = value; },
+    '--black': value => { options.black = value; },
+    '--max-turns': value => { options.maxTurns = parsePositive('--max-turns', value); },
+    '--seed': value => { options.seed = parsePositive('--seed', value); },
+    '--format': value => {
+      if (value !== 'json' && value !== 'csv') {
+        throw new Error('--format must be json or csv');
+      }
+      options.format = value;
+    },
+    '--out': value => { options.out = value; }
+  };
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (flags[arg]) {
+      flags[arg]();
+    } else if (values[arg]) {
+      if (i + 1 >= argv.length) {
+        throw new Error(`${arg} needs a value`);
+      }
+      values[arg](argv[++i]);
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  
+  return options;
+}
+
+// Read a whole number option that must be above zero
+function parsePositive(name, value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`${name} must be a whole number above 0`);
+  }
+  return number;
+}
+
+// Build the config the games are played under: the default config, the config file's
+// settings on top (checked like an admin update) and then the ruleset preset
+function loadConfig(options) {
+  if (options.configFile) {
+    const settings = JSON.parse(fs.readFileSync(options.configFile, 'utf8'));
+    const result = gameConfig.updateConfig(settings);
+    if (!result.valid) {
+      const details = result.errors.map(error => `  ${error.field}: ${error.message}`).join('\n');
+      throw new Error(`Invalid config in ${options.configFile}:\n${details}`);
+    }
+  }
+  
+  const ruleset = gameConfig.getRuleset(options.rulesetId);
+  if (!ruleset) {
+    const presets = gameConfig.getRulesetPresets().map(preset => preset.id).join(', ');
+    throw new Error(`Unknown ruleset: ${options.rulesetId} (available: ${presets})`);
+  }
+  if (!ruleset.valid) {
+    const details = ruleset.errors.map(error => `  ${error.field}: ${error.message}`).join('\n');
+    throw new Error(`The ${ruleset.ruleset.id} ruleset is not valid with this config:\n${details}`);
+  }
+  
+  return ruleset;
+}
+
+function main() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const ruleset = loadConfig(options);
+    
+    const report = runSimulation(ruleset.config, Object.assign({}, options, {
+      ruleset: ruleset.ruleset,
+      onProgress: options.quiet ? null : (done, total) => {
+        if (done % 100 === 0 || done === total) {
+          process.stderr.write(`Played ${done} of ${total} games\n`);
+        }
+      }
+    }));
+    const csv = reportToCsv(report);
+    
+    if (options.out) {
+      fs.mkdirSync(options.out, { recursive: true });
+      fs.writeFileSync(path.join(options.out, 'report.json'), JSON.stringify(report, null, 2));
+      Object.keys(csv).forEach(file => {
+        fs.writeFileSync(path.join(options.out, file), csv[file]);
+      });
+    }
+    
+    // The per-game results are in games.csv - the printed report keeps to the totals
+    if (options.format === 'csv') {
+      process.stdout.write(csv['summary.csv']);
+    } else {
+      const printed = Object.assign({}, report);
+      delete printed.gameResults;
+      process.stdout.write(JSON.stringify(printed, null, 2) + '\n');
+    }
+  } catch (error) {
+    process.stderr.write(`${error.message}\n`);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  VICTORY_TYPES,
+  playGame,
+  runSimulation,
+  reportToCsv
+};
@@ -0,0 +1,259 @@
+// Socket payload schemas for Chessville
+// Declares the payload every inbound socket event must have, so handlers only ever see
+// data of the right types and sizes. An event without a schema here is not accepted.
+// Schema types: string (minLength, maxLength, enum, pattern), integer (min, max), boolean,
+// object (properties, extra to allow undeclared fields) and array (items, maxItems).
+// Any schema may be optional (can be missing) or nullable (can be null).
+
+// Largest payload accepted, measured as JSON
+const MAX_PAYLOAD_BYTES = 16 * 1024;
+
+// Error codes sent back with a rejected event
+const ERROR_CODES = {
+  UNKNOWN_EVENT: 'UNKNOWN_EVENT',
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+  RATE_LIMITED: 'RATE_LIMITED'
+};
+
+// Error codes for a single field of an invalid payload
+const FIELD_ERROR_CODES = {
+  UNKNOWN_FIELD: 'UNKNOWN_FIELD',
+  MISSING_FIELD: 'MISSING_FIELD',
+  INVALID_TYPE: 'INVALID_TYPE',
+  OUT_OF_RANGE: 'OUT_OF_RANGE',
+  INVALID_VALUE: 'INVALID_VALUE'
+};
+
+const ROOM_ID = { type: 'string', minLength: 1, maxLength: 64 };
+const USERNAME = { type: 'string', maxLength: 30, optional: true };
+const COLOR = { type: 'string', enum: ['white', 'black'] };
+const SQUARE = { type: 'string', pattern: '^[a-h][1-8]$' };
+// chess.js adds these to the moves the client sends; only from, to and promotion are used
+const MOVE_DETAIL = { type: 'string', maxLength: 10, optional: true };
+
+const PAYLOAD_SCHEMAS = {
+  joinGame: {
+    type: 'object',
+    properties: {
+      username: USERNAME,
+      // Empty or missing creates a new room
+      roomId: { type: 'string', maxLength: 64, optional: true },
+      isReconnecting: { type: 'boolean', optional: true },
+      previousColor: Object.assign({ optional: true, nullable: true }, COLOR),
+      reconnectToken: { type: 'string', maxLength: 128, optional: true, nullable: true },
+      ruleset: { type: 'string', maxLength: 40, optional: true }
+    }
+  },
+  watchGame: {
+    type: 'object',
+    properties: {
+      roomId: ROOM_ID,
+      username: USERNAME
+    }
+  },
+  'add-bot': {
+    type: 'object',
+    properties: {
+      roomId: ROOM_ID,
+      difficulty: { type: 'string', enum: ['easy', 'medium', 'hard'], optional: true }
+    }
+  },
+  'chess-move': {
+    type: 'object',
+    properties: {
+      roomId: ROOM_ID,
+      move: {
+        type: 'object',
+        properties: {
+          from: SQUARE,
+          to: SQUARE,
+          promotion: { type: 'string', enum: ['q', 'r', 'b', 'n'], optional: true },
+          color: MOVE_DETAIL,
+          piece: MOVE_DETAIL,
+          captured: MOVE_DETAIL,
+          flags: MOVE_DETAIL,
+          san: MOVE_DETAIL
+        }
+      }
+    }
+  },
+  'phase-change': {
+    type: 'object',
+    properties: {
+      roomId: ROOM_ID,
+      phase: { type: 'string', enum: ['farming', 'chess'] }
+    }
+  },
+  'end-turn': {
+    type: 'object',
+    properties: {
+      roomId: ROOM_ID,
+      // Sent by older clients and ignored - the server keeps its own position
+      chessEngineState: { type: 'string', maxLength: 100, optional: true, nullable: true }
+    }
+  },
+  'game-over': {
+    type: 'object',
+    properties: {
+      roomId: ROOM_ID,
+      winner: Object.assign({ optional: true, nullable: true }, COLOR),
+      reason: { type: 'string', maxLength: 40 }
+    }
+  },
+  'farm-action': {
+    type: 'object',
+    properties: {
+      roomId: ROOM_ID,
+      action: { type: 'string', enum: ['plant', 'harvest', 'unlock', 'auto-unlock'] },
+      data: {
+        type: 'object',
+        optional: true,
+        properties: {
+          plotIndex: { type: 'integer', min: 0, max: 11, optional: true },
+          cropType: { type: 'string', maxLength: 30, optional: true }
+        }
+      }
+    }
+  },
+  'farm-update': {
+    type: 'object',
+    properties: {
+      roomId: ROOM_ID,
+      // The client's own view of its plots - ignored, the server owns the farms
+      farmState: {
+        type: 'array',
+        maxItems: 12,
+        items: { type: 'object', extra: true, nullable: true, properties: {} }
+      }
+    }
+  }
+};
+
+// Describe the type of a value the way the schemas name types
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+// Join a parent path and a key into a dotted field name
+function join(field, key) {
+  return field ? `${field}.${key}` : key;
+}
+
+// Check one value against its schema, collecting any errors
+function checkValue(value, schema, field, errors) {
+  const actual = typeOf(value);
+  const addError = (code, message) => errors.push({ field: field, code: code, message: message });
+  
+  if (value === undefined) {
+    if (!schema.optional) {
+      addError(FIELD_ERROR_CODES.MISSING_FIELD, 'Is required');
+    }
+    return;
+  }
+  
+  if (value === null && schema.nullable) {
+    return;
+  }
+  
+  switch (schema.type) {
+    case 'string':
+      if (actual !== 'string') {
+        addError(FIELD_ERROR_CODES.INVALID_TYPE, `Must be a string, got ${actual}`);
+      } else if ((schema.minLength && value.length < schema.minLength) || (schema.maxLength && value.length > schema.maxLength)) {
+        addError(FIELD_ERROR_CODES.OUT_OF_RANGE, `Must be ${schema.minLength || 0} to ${schema.maxLength} characters long`);
+      } else if (schema.enum && !schema.enum.includes(value)) {
+        addError(FIELD_ERROR_CODES.INVALID_VALUE, `Must be one of ${schema.enum.join(', ')}`);
+      } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        addError(FIELD_ERROR_CODES.INVALID_VALUE, 'Is not in the expected format');
+      }
+      break;
+    
+    case 'integer':
+      if (actual !== 'integer') {
+        addError(FIELD_ERROR_CODES.INVALID_TYPE, `Must be a whole number, got ${actual}`);
+      } else if ((schema.min !== undefined && value < schema.min) || (schema.max !== undefined && value > schema.max)) {
+        addError(FIELD_ERROR_CODES.OUT_OF_RANGE, `Must be between ${schema.min} and ${schema.max}`);
+      }
+      break;
+    
+    case 'boolean':
+      if (actual !== 'boolean') {
+        addError(FIELD_ERROR_CODES.INVALID_TYPE, `Must be true or false, got ${actual}`);
+      }
+      break;
+    
+    case 'array':
+      if (actual !== 'array') {
+        addError(FIELD_ERROR_CODES.INVALID_TYPE, `Must be a list, got ${actual}`);
+        return;
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        addError(FIELD_ERROR_CODES.OUT_OF_RANGE, `Must have at most ${schema.maxItems} items`);
+        return;
+      }
+      value.forEach((item, index) => checkValue(item, schema.items, join(field, index), errors));
+      break;
+    
+    case 'object':
+      if (actual !== 'object') {
+        addError(FIELD_ERROR_CODES.INVALID_TYPE, `Must be an object, got ${actual}`);
+        return;
+      }
+      if (!schema.extra) {
+        Object.keys(value).forEach(key => {
+          if (!Object.prototype.hasOwnProperty.call(schema.properties, key)) {
+            errors.push({ field: join(field, key), code: FIELD_ERROR_CODES.UNKNOWN_FIELD, message: 'Is not expected' });
+          }
+        });
+      }
+      Object.keys(schema.properties).forEach(key => {
+        checkValue(value[key], schema.properties[key], join(field, key), errors);
+      });
+      break;
+  }
+}
+
+// Check an event's payload against its schema
+// Returns { valid: true } or { valid: false, code, message, errors }, where errors lists
+// { field, code, message } for an invalid payload
+function validatePayload(event, data) {
+  if (!Object.prototype.hasOwnProperty.call(PAYLOAD_SCHEMAS, event)) {
+    return { valid: false, code: ERROR_CODES.UNKNOWN_EVENT, message: `Unknown event: ${event}`, errors: [] };
+  }
+  
+  let size;
+  try {
+    size = Buffer.byteLength(JSON.stringify(data === undefined ? null : data));
+  } catch (error) {
+    return { valid: false, code: ERROR_CODES.INVALID_PAYLOAD, message: 'Payload must be plain JSON', errors: [] };
+  }
+  if (size > MAX_PAYLOAD_BYTES) {
+    return { valid: false, code: ERROR_CODES.PAYLOAD_TOO_LARGE, message: `Payload is ${size} bytes, the limit is ${MAX_PAYLOAD_BYTES}`, errors: [] };
+  }
+  
+  const errors = [];
+  checkValue(data, PAYLOAD_SCHEMAS[event], '', errors);
+  if (errors.length > 0) {
+    return { valid: false, code: ERROR_CODES.INVALID_PAYLOAD, message: `Invalid ${event} payload`, errors: errors };
+  }
+  
+  return { valid: true };
+}
+
+module.exports = {
+  MAX_PAYLOAD_BYTES,
+  ERROR_CODES,
+  FIELD_ERROR_CODES,
+  PAYLOAD_SCHEMAS,
+  validatePayload
+};
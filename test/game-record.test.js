@@ -0,0 +1,146 @@
+// Tests for game record validation
+//
+// Records are built the way the server builds them: an action log from a
+// played game, exported with GameRecord.fromActionLog().
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const GameRules = require('../js/modules/game-rules');
+const ActionLog = require('../js/modules/action-log');
+const GameRecord = require('../js/modules/game-record');
+const defaultConfig = require('../js/modules/game-config');
+
+const { ERROR_CODES } = GameRecord;
+
+const ACTIONS = [
+  { type: 'plant', color: 'white', plotIndex: 0, cropType: 'wheat' },
+  { type: 'skip-farming', color: 'white' },
+  { type: 'move', color: 'white', move: { from: 'e2', to: 'e4' } },
+  { type: 'end-turn', color: 'white' },
+  { type: 'skip-farming', color: 'black' },
+  { type: 'move', color: 'black', move: { from: 'e7', to: 'e5' } },
+  { type: 'end-turn', color: 'black' },
+  { type: 'resign', color: 'white' }
+];
+
+// Play the actions through the rules engine, logging them as the server does
+function createRecord() {
+  const log = ActionLog.createLog();
+  ActionLog.recordRoomCreated(log, defaultConfig, { id: 'classic', name: 'Classic', version: 1, configVersion: 1 });
+  ActionLog.recordJoin(log, 'white', 'alice', false);
+  ActionLog.recordJoin(log, 'black', 'bob', false);
+  
+  let state = GameRules.createInitialState(defaultConfig);
+  ACTIONS.forEach(action => {
+    const result = GameRules.applyAction(state, action, defaultConfig);
+    assert.equal(result.ok, true, `${action.type} was rejected: ${result.error && result.error.message}`);
+    ActionLog.recordAction(log, action, result.events);
+    state = result.state;
+  });
+  
+  // Round trip through JSON like an uploaded file
+  return JSON.parse(JSON.stringify(GameRecord.fromActionLog(log, { roomId: 'test-room' })));
+}
+
+// Assert that a record is rejected with an error on the given field
+function assertRejected(result, field, code) {
+  assert.equal(result.valid, false);
+  assert.ok(
+    result.errors.some(error => error.field === field && error.code === code),
+    `Expected ${code} on ${field}, got ${JSON.stringify(result.errors)}`
+  );
+}
+
+test('an exported game validates and replays to its result', () => {
+  const record = createRecord();
+  const result = GameRecord.validate(record);
+  
+  assert.equal(result.valid, true, JSON.stringify(result.errors));
+  assert.equal(record.actions.length, ACTIONS.length);
+  assert.equal(result.state.isGameOver, true);
+  assert.equal(result.state.winner, 'black');
+  assert.equal(result.state.reason, 'resignation');
+  assert.equal(record.players.white.username, 'alice');
+});
+
+test('records with events that replay differently are rejected', () => {
+  const record = createRecord();
+  record.actions[2].events[0].amount = -1;
+  
+  assertRejected(GameRecord.validate(record), 'actions.2.events', ERROR_CODES.RESULT_MISMATCH);
+});
+
+test('records whose actions break the rules are rejected', () => {
+  const record = createRecord();
+  record.actions[2].action.move = { from: 'e2', to: 'e5' };
+  
+  assertRejected(GameRecord.validate(record), 'actions.2', ERROR_CODES.REPLAY_FAILED);
+});
+
+test('records with a different result are rejected', () => {
+  const record = createRecord();
+  record.result.winner = 'white';
+  
+  assertRejected(GameRecord.validate(record), 'result', ERROR_CODES.RESULT_MISMATCH);
+});
+
+test('a malformed initial state is reported instead of crashing', () => {
+  const record = createRecord();
+  record.initialState = {};
+  
+  const result = GameRecord.validate(record);
+  assertRejected(result, 'initialState.fen', ERROR_CODES.INVALID_RECORD);
+  assertRejected(result, 'initialState.ledger', ERROR_CODES.INVALID_RECORD);
+});
+
+test('records from a newer version are rejected as unsupported', () => {
+  const record = createRecord();
+  record.version = GameRecord.VERSION + 1;
+  
+  assertRejected(GameRecord.validate(record), 'version', ERROR_CODES.UNSUPPORTED_VERSION);
+});
+
+test('records with an invalid config are rejected', () => {
+  const record = createRecord();
+  record.config.startingWheat = -5;
+  
+  const result = GameRecord.validate(record);
+  assert.equal(result.valid, false);
+  assert.ok(result.errors.some(error => error.code === ERROR_CODES.INVALID_CONFIG));
+});
+
+test('ruleset labels longer than 40 characters are rejected', () => {
+  const record = createRecord();
+  record.ruleset.name = 'x'.repeat(41);
+  
+  assertRejected(GameRecord.validate(record), 'ruleset', ERROR_CODES.INVALID_RECORD);
+});
+
+test('things that are not game records are rejected', () => {
+  [null, 'text', {}, { format: 'something-else' }].forEach(record => {
+    assertRejected(GameRecord.validate(record), 'format', ERROR_CODES.INVALID_RECORD);
+  });
+});
+
+test('positions can be requested a page at a time', () => {
+  const record = createRecord();
+  
+  const all = GameRecord.validate(record, { positions: {} });
+  assert.equal(all.positions.length, ACTIONS.length + 1);
+  
+  const page = GameRecord.validate(record, { positions: { from: 2, limit: 3 } });
+  assert.equal(page.valid, true);
+  assert.deepEqual(page.positions, all.positions.slice(2, 5));
+  
+  assert.equal(GameRecord.validate(record).positions, null);
+});
+
+test('a validated record converts back to an action log that replays to the same state', () => {
+  const record = createRecord();
+  const validation = GameRecord.validate(record);
+  const log = GameRecord.toActionLog(record, record.ruleset);
+  
+  const verification = ActionLog.verify(log, validation.state);
+  assert.equal(verification.ok, true, JSON.stringify(verification));
+});
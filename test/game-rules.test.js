@@ -0,0 +1,177 @@
+// Tests for the rules engine
+//
+// Run with `npm test`. Each test starts from the default config and drives
+// the state through GameRules.applyAction() only.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const GameRules = require('../js/modules/game-rules');
+const WheatLedger = require('../js/modules/wheat-ledger');
+const defaultConfig = require('../js/modules/game-config');
+
+const { ERROR_CODES } = GameRules;
+
+// Apply a list of actions that must all be accepted, returning the last result
+function applyAll(state, actions, config = defaultConfig) {
+  let result = { ok: true, state: state, events: [] };
+  actions.forEach(action => {
+    result = GameRules.applyAction(result.state, action, config);
+    assert.equal(result.ok, true, `${action.type} was rejected: ${result.error && result.error.message}`);
+  });
+  return result;
+}
+
+test('a new game starts with white farming and both players at the starting balance', () => {
+  const state = GameRules.createInitialState(defaultConfig);
+  
+  assert.equal(state.turn, 'white');
+  assert.equal(state.phase, 'farming');
+  assert.equal(state.turnNumber, 1);
+  assert.equal(state.isGameOver, false);
+  assert.deepEqual(GameRules.getWheatCounts(state), {
+    white: defaultConfig.startingWheat,
+    black: defaultConfig.startingWheat
+  });
+});
+
+test('planting charges the crop cost and uses up the farm action', () => {
+  const state = GameRules.createInitialState(defaultConfig);
+  const result = GameRules.applyAction(state, { type: 'plant', color: 'white', plotIndex: 0, cropType: 'wheat' }, defaultConfig);
+  
+  assert.equal(result.ok, true);
+  assert.equal(WheatLedger.getBalance(result.state.ledger, 'white'), defaultConfig.startingWheat - defaultConfig.crops.wheat.cost);
+  assert.equal(result.state.farms.white.plots[0].state, 'planted');
+  assert.equal(result.state.farmActionsTaken, 1);
+  assert.ok(result.events.some(event => event.type === 'crop-planted' && event.plotIndex === 0));
+  
+  const second = GameRules.applyAction(result.state, { type: 'plant', color: 'white', plotIndex: 1, cropType: 'wheat' }, defaultConfig);
+  assert.equal(second.ok, false);
+  assert.equal(second.error.code, ERROR_CODES.INVALID_FARM_ACTION);
+});
+
+test('planting rejects crops the config does not define', () => {
+  const state = GameRules.createInitialState(defaultConfig);
+  
+  ['constructor', '__proto__', 'toString', 'rice'].forEach(cropType => {
+    const result = GameRules.applyAction(state, { type: 'plant', color: 'white', plotIndex: 0, cropType: cropType }, defaultConfig);
+    assert.equal(result.ok, false);
+    assert.equal(result.error.code, ERROR_CODES.UNKNOWN_CROP);
+  });
+});
+
+test('planting rejects crops the player cannot afford', () => {
+  const config = { ...defaultConfig, startingWheat: 10 };
+  const state = GameRules.createInitialState(config);
+  const result = GameRules.applyAction(state, { type: 'plant', color: 'white', plotIndex: 0, cropType: 'potato' }, config);
+  
+  assert.equal(result.ok, false);
+  assert.equal(result.error.code, ERROR_CODES.INSUFFICIENT_WHEAT);
+  assert.equal(WheatLedger.getBalance(result.state.ledger, 'white'), 10);
+});
+
+test('pieces can only move during the chess phase', () => {
+  const state = GameRules.createInitialState(defaultConfig);
+  const result = GameRules.applyAction(state, { type: 'move', color: 'white', move: { from: 'e2', to: 'e4' } }, defaultConfig);
+  
+  assert.equal(result.ok, false);
+  assert.equal(result.error.code, ERROR_CODES.WRONG_PHASE);
+});
+
+test('a legal move charges the piece cost and updates the board', () => {
+  const { state } = applyAll(GameRules.createInitialState(defaultConfig), [{ type: 'skip-farming', color: 'white' }]);
+  const result = GameRules.applyAction(state, { type: 'move', color: 'white', move: { from: 'e2', to: 'e4' } }, defaultConfig);
+  
+  assert.equal(result.ok, true);
+  assert.equal(WheatLedger.getBalance(result.state.ledger, 'white'), defaultConfig.startingWheat - defaultConfig.pieceCosts.p);
+  assert.notEqual(result.state.fen, state.fen);
+  assert.equal(result.state.moveMade, true);
+  
+  const moved = result.events.find(event => event.type === 'piece-moved');
+  assert.equal(moved.move.san, 'e4');
+  assert.equal(moved.cost, defaultConfig.pieceCosts.p);
+});
+
+test('an illegal move is rejected and leaves the state untouched', () => {
+  const { state } = applyAll(GameRules.createInitialState(defaultConfig), [{ type: 'skip-farming', color: 'white' }]);
+  const result = GameRules.applyAction(state, { type: 'move', color: 'white', move: { from: 'e2', to: 'e5' } }, defaultConfig);
+  
+  assert.equal(result.ok, false);
+  assert.equal(result.error.code, ERROR_CODES.ILLEGAL_MOVE);
+  assert.equal(result.state, state);
+  assert.deepEqual(result.events, []);
+});
+
+test('players can only act on their own turn', () => {
+  const state = GameRules.createInitialState(defaultConfig);
+  const result = GameRules.applyAction(state, { type: 'skip-farming', color: 'black' }, defaultConfig);
+  
+  assert.equal(result.ok, false);
+  assert.equal(result.error.code, ERROR_CODES.NOT_YOUR_TURN);
+});
+
+test('ending the turn needs a move and hands the turn to the opponent', () => {
+  const { state } = applyAll(GameRules.createInitialState(defaultConfig), [{ type: 'skip-farming', color: 'white' }]);
+  
+  const early = GameRules.applyAction(state, { type: 'end-turn', color: 'white' }, defaultConfig);
+  assert.equal(early.ok, false);
+  assert.equal(early.error.code, ERROR_CODES.WRONG_PHASE);
+  
+  const result = applyAll(state, [
+    { type: 'move', color: 'white', move: { from: 'e2', to: 'e4' } },
+    { type: 'end-turn', color: 'white' }
+  ]);
+  assert.equal(result.state.turn, 'black');
+  assert.equal(result.state.phase, 'farming');
+  assert.equal(result.state.turnNumber, 2);
+  assert.equal(result.state.moveMade, false);
+  assert.ok(result.events.some(event => event.type === 'turn-changed' && event.color === 'black'));
+});
+
+test('reaching the economic threshold wins the game', () => {
+  const state = GameRules.createInitialState(defaultConfig);
+  const threshold = defaultConfig.victoryConditions.economicThreshold;
+  WheatLedger.credit(state.ledger, 'white', threshold - defaultConfig.startingWheat, 'harvest');
+  
+  const result = GameRules.applyAction(state, { type: 'skip-farming', color: 'white' }, defaultConfig);
+  
+  assert.equal(result.ok, true);
+  assert.equal(result.state.isGameOver, true);
+  assert.equal(result.state.winner, 'white');
+  assert.equal(result.state.reason, 'economic');
+  assert.deepEqual(result.events[result.events.length - 1], { type: 'game-over', winner: 'white', reason: 'economic' });
+});
+
+test('a player can resign off turn and no action is accepted afterwards', () => {
+  const { state } = applyAll(GameRules.createInitialState(defaultConfig), [{ type: 'resign', color: 'black' }]);
+  
+  assert.equal(state.isGameOver, true);
+  assert.equal(state.winner, 'white');
+  assert.equal(state.reason, 'resignation');
+  
+  const result = GameRules.applyAction(state, { type: 'skip-farming', color: 'white' }, defaultConfig);
+  assert.equal(result.ok, false);
+  assert.equal(result.error.code, ERROR_CODES.GAME_OVER);
+});
+
+test('unknown actions are rejected', () => {
+  const state = GameRules.createInitialState(defaultConfig);
+  const result = GameRules.applyAction(state, { type: 'teleport', color: 'white' }, defaultConfig);
+  
+  assert.equal(result.ok, false);
+  assert.equal(result.error.code, ERROR_CODES.UNKNOWN_ACTION);
+});
+
+test('accepted actions never mutate the state they are given', () => {
+  const state = GameRules.createInitialState(defaultConfig);
+  const before = JSON.stringify(state);
+  
+  applyAll(state, [
+    { type: 'plant', color: 'white', plotIndex: 0, cropType: 'wheat' },
+    { type: 'skip-farming', color: 'white' },
+    { type: 'move', color: 'white', move: { from: 'g1', to: 'f3' } },
+    { type: 'end-turn', color: 'white' }
+  ]);
+  
+  assert.equal(JSON.stringify(state), before);
+});
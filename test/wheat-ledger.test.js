@@ -0,0 +1,44 @@
+// Tests for the wheat ledger
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const WheatLedger = require('../js/modules/wheat-ledger');
+
+test('a new ledger starts both players at the starting balance', () => {
+  const ledger = WheatLedger.createLedger(25);
+  
+  assert.deepEqual(WheatLedger.getBalances(ledger), { white: 25, black: 25 });
+  assert.deepEqual(ledger.entries, []);
+});
+
+test('debits and credits update the balance and are recorded as entries', () => {
+  const ledger = WheatLedger.createLedger(25);
+  
+  assert.deepEqual(WheatLedger.debit(ledger, 'white', 5, 'plant', { plotIndex: 0 }), { success: true, balance: 20 });
+  assert.deepEqual(WheatLedger.credit(ledger, 'white', 10, 'harvest'), { success: true, balance: 30 });
+  
+  assert.deepEqual(ledger.entries.map(entry => [entry.color, entry.amount, entry.reason, entry.balance]), [
+    ['white', -5, 'plant', 20],
+    ['white', 10, 'harvest', 30]
+  ]);
+  assert.equal(WheatLedger.getBalance(ledger, 'black'), 25);
+});
+
+test('a debit the player cannot afford is refused and not recorded', () => {
+  const ledger = WheatLedger.createLedger(4);
+  const result = WheatLedger.debit(ledger, 'black', 5, 'move');
+  
+  assert.equal(result.success, false);
+  assert.equal(result.balance, 4);
+  assert.match(result.error, /Not enough wheat/);
+  assert.deepEqual(ledger.entries, []);
+});
+
+test('unknown colors are refused', () => {
+  const ledger = WheatLedger.createLedger(25);
+  
+  assert.equal(WheatLedger.debit(ledger, 'green', 1, 'move').success, false);
+  assert.equal(WheatLedger.credit(ledger, 'green', 1, 'harvest').success, false);
+  assert.deepEqual(ledger.entries, []);
+});
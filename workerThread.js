@@ -0,0 +1,95 @@
+// Worker threads for Chessville
+// Runs CPU-heavy work, like planning the computer's turns or replaying an imported game record,
+// on a worker thread so it never holds up the server. Each worker handles one task at a time,
+// in the order they were sent.
+//   createWorkerClient(file, options) - main thread side: starts file as a worker on the first task
+//   serveTasks(handler)               - worker side: answers every task with handler(task)
+
+const { Worker, parentPort } = require('worker_threads');
+
+// Answer every task sent to this worker with handler(task)
+// A handler that throws fails the task, with the error's message
+function serveTasks(handler) {
+  parentPort.on('message', ({ id, task }) => {
+    try {
+      parentPort.postMessage({ id, result: handler(task) });
+    } catch (error) {
+      parentPort.postMessage({ id, error: error.message });
+    }
+  });
+}
+
+// Create the main thread side of the worker in file, which must call serveTasks()
+// options.name names the worker in errors, and options.onError(error) is called if it crashes.
+// The worker is started on the first task and started again after a crash. Returns:
+//   run(task) - resolves to the worker's result for task, which must survive structured cloning
+//   queued()  - how many tasks have been sent and not yet answered
+//   close()   - stops the worker, failing any queued tasks
+function createWorkerClient(file, { name = 'Worker', onError } = {}) {
+  let worker = null;
+  let nextId = 1;
+  // Tasks sent to the worker and not yet answered, by ID
+  const pending = new Map();
+  
+  function startWorker() {
+    const started = new Worker(file);
+    
+    started.on('message', ({ id, result, error }) => {
+      const task = pending.get(id);
+      if (!task) {
+        return;
+      }
+      
+      pending.delete(id);
+      if (error) {
+        task.reject(new Error(error));
+      } else {
+        task.resolve(result);
+      }
+    });
+    started.on('error', error => {
+      if (onError) {
+        onError(error);
+      }
+    });
+    started.on('exit', code => {
+      if (worker === started) {
+        worker = null;
+      }
+      const error = new Error(`${name} worker stopped with exit code ${code}`);
+      pending.forEach(task => task.reject(error));
+      pending.clear();
+    });
+    // A worker waiting for tasks never keeps the process alive
+    started.unref();
+    
+    return started;
+  }
+  
+  return {
+    run(task) {
+      if (!worker) {
+        worker = startWorker();
+      }
+      
+      const id = nextId++;
+      return new Promise((resolve, reject) => {
+        pending.set(id, { resolve, reject });
+        worker.postMessage({ id, task });
+      });
+    },
+    queued() {
+      return pending.size;
+    },
+    close() {
+      const stopping = worker;
+      worker = null;
+      return stopping ? stopping.terminate() : Promise.resolve();
+    }
+  };
+}
+
+module.exports = {
+  serveTasks,
+  createWorkerClient
+};
@@ -0,0 +1,35 @@
+// Write queue for Chessville
+// Runs file operations one after another in the background, so saving a room or appending
+// to a log never holds up the server while the disk catches up, and operations on the same
+// files never interleave. A read queued behind writes sees everything they wrote.
+//   push(task) - queues task, an async function, and forgets it; a failure goes to onError
+//   run(task)  - queues task and returns a promise of its result, for the caller to handle
+
+// Create a queue, with onError(error) called for tasks queued with push() that fail
+function createWriteQueue({ onError } = {}) {
+  let tail = Promise.resolve();
+  
+  function enqueue(task) {
+    const result = tail.then(task);
+    // A failed task never stops the ones queued after it
+    tail = result.catch(() => {});
+    return result;
+  }
+  
+  return {
+    push(task) {
+      enqueue(task).catch(error => {
+        if (onError) {
+          onError(error);
+        }
+      });
+    },
+    run(task) {
+      return enqueue(task);
+    }
+  };
+}
+
+module.exports = {
+  createWriteQueue
+};